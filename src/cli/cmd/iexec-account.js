@@ -34,6 +34,7 @@ addWalletLoadOptions(deposit);
 deposit
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .description(desc.deposit())
   .action(async (amount, unit, opts) => {
@@ -44,7 +45,7 @@ deposit
       const txOptions = await computeTxOptions(opts);
       const keystore = Keystore(walletOptions);
       const chain = await loadChain(opts.chain, { txOptions, spinner });
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       spinner.start(info.depositing());
       const depositRes = await account.deposit(chain.contracts, [amount, unit]);
       spinner.succeed(info.deposited(formatRLC(depositRes.amount)), {
@@ -61,6 +62,7 @@ addWalletLoadOptions(withdraw);
 withdraw
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .description(desc.withdraw())
   .action(async (amount, unit, opts) => {
@@ -71,7 +73,7 @@ withdraw
       const txOptions = await computeTxOptions(opts);
       const keystore = Keystore(walletOptions);
       const chain = await loadChain(opts.chain, { txOptions, spinner });
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       spinner.start(info.withdrawing());
       const res = await account.withdraw(chain.contracts, [amount, unit]);
       spinner.succeed(info.withdrawn(formatRLC(res.amount)), {
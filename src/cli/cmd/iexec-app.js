@@ -2,6 +2,8 @@
 
 const cli = require('commander');
 const Debug = require('debug');
+const fs = require('fs-extra');
+const path = require('path');
 const {
   tagSchema,
   catidSchema,
@@ -24,13 +26,11 @@ const {
   getAppOwner,
   getDatasetOwner,
   getWorkerpoolOwner,
-  showCategory,
   checkDeployedApp,
   checkDeployedDataset,
   checkDeployedWorkerpool,
 } = require('../../common/modules/hub');
 const {
-  getRemainingVolume,
   createApporder,
   createDatasetorder,
   createWorkerpoolorder,
@@ -39,29 +39,30 @@ const {
   signDatasetorder,
   signWorkerpoolorder,
   signRequestorder,
+  presignRequestorder,
   publishApporder,
   publishRequestorder,
   unpublishLastApporder,
   unpublishAllApporders,
   matchOrders,
   NULL_DATASETORDER,
+  APP_ORDER,
+  DATASET_ORDER,
   WORKERPOOL_ORDER,
+  REQUEST_ORDER,
 } = require('../../common/modules/order');
-const {
-  fetchAppOrderbook,
-  fetchDatasetOrderbook,
-  fetchWorkerpoolOrderbook,
-} = require('../../common/modules/orderbook');
+const { findBestOrders } = require('../../common/modules/matching-engine');
 const { checkBalance } = require('../../common/modules/account');
+const ipfs = require('../../common/modules/ipfs');
+const secretMgtServ = require('../../common/modules/sms');
 const { obsDeal } = require('../../common/modules/iexecProcess');
 const {
   NULL_ADDRESS,
+  NULL_BYTES,
   NULL_BYTES32,
-  encodeTag,
-  sumTags,
-  checkActiveBitInTag,
   BN,
   stringifyNestedBn,
+  getSalt,
   formatRLC,
 } = require('../../common/utils/utils');
 const { paramsKeyName } = require('../../common/utils/params-utils');
@@ -80,6 +81,8 @@ const {
   option,
   orderOption,
   prompt,
+  secretEnv,
+  readSecret,
   Spinner,
   pretty,
   info,
@@ -92,6 +95,7 @@ const {
   initObj,
   saveDeployedObj,
   loadDeployedObj,
+  saveSignedOrder,
 } = require('../utils/fs');
 const { Keystore } = require('../utils/keystore');
 const { loadChain, connectKeystore } = require('../utils/chains');
@@ -100,6 +104,37 @@ const debug = Debug('iexec:iexec-app');
 
 const objName = 'app';
 
+const uploadLocalInputFiles = async (inputFiles, chain, spinner) => {
+  if (typeof inputFiles !== 'string') return inputFiles;
+  const files = inputFiles.split(',');
+  const isLocalFile = await Promise.all(
+    files.map((file) =>
+      fs
+        .stat(file)
+        .then((stats) => stats.isFile())
+        .catch(() => false),
+    ),
+  );
+  if (!isLocalFile.includes(true)) return inputFiles;
+  const ipfsNode = getPropertyFormChain(chain, 'ipfsNode');
+  const ipfsGateway = getPropertyFormChain(chain, 'ipfsGateway');
+  const uploadedFiles = await Promise.all(
+    files.map(async (file, i) => {
+      if (!isLocalFile[i]) return file;
+      spinner.start(`Uploading input file ${file} to IPFS`);
+      const { multiaddr } = await ipfs.add(
+        ipfsNode,
+        fs.createReadStream(file),
+        { fileName: path.basename(file) },
+      );
+      const url = `${ipfsGateway}${multiaddr}`;
+      spinner.info(`Uploaded input file ${file} to ${url}`);
+      return url;
+    }),
+  );
+  return uploadedFiles.join(',');
+};
+
 cli
   .name('iexec app')
   .usage('<command> [options]')
@@ -136,6 +171,7 @@ addWalletLoadOptions(deploy);
 deploy
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .description(desc.deployObj(objName))
   .action(async (opts) => {
@@ -154,7 +190,7 @@ deploy
           `Missing ${objName} in "iexec.json". Did you forget to run "iexec ${objName} init"?`,
         );
       }
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       spinner.start(info.deploying(objName));
       const { address, txHash } = await deployApp(
         chain.contracts,
@@ -246,6 +282,115 @@ count
     }
   });
 
+const pushSecret = cli.command('push-secret [appAddress]');
+addGlobalOptions(pushSecret);
+addWalletLoadOptions(pushSecret);
+pushSecret
+  .option(...option.chain())
+  .option(...option.secretValue())
+  .option(...option.secretPath())
+  .description(desc.pushAppSecret())
+  .action(async (appAddress, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore(walletOptions);
+      const chain = await loadChain(opts.chain, { spinner });
+      const { contracts } = chain;
+      const sms = getPropertyFormChain(chain, 'sms');
+      const resourceAddress =
+        appAddress ||
+        (await loadDeployedObj(objName).then(
+          (deployedObj) => deployedObj && deployedObj[chain.id],
+        ));
+      debug('resourceAddress', resourceAddress);
+      if (!resourceAddress) {
+        throw Error(
+          'Missing appAddress argument and no app found in "deployed.json"',
+        );
+      }
+
+      let secretToPush;
+      if (opts.secretValue) {
+        spinner.warn(
+          'Option --secret-value may be unsafe, make sure to know what you do',
+        );
+        secretToPush = opts.secretValue;
+      } else {
+        secretToPush = await readSecret({
+          name: 'secret',
+          file: opts.secretPath,
+          fileOption: option.secretPath()[0],
+          env: secretEnv.secretValue,
+          promptMessage: `Paste your secret for app ${resourceAddress}`,
+          useMask: true,
+        });
+      }
+
+      await connectKeystore(chain, keystore);
+      const isPushed = await secretMgtServ.pushAppSecret(
+        contracts,
+        sms,
+        resourceAddress,
+        secretToPush,
+      );
+      if (isPushed) {
+        spinner.succeed(
+          `Secret successfully pushed for app ${resourceAddress}`,
+          {
+            raw: {},
+          },
+        );
+      } else {
+        throw Error('Something went wrong');
+      }
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const checkSecret = cli.command('check-secret [appAddress]');
+addGlobalOptions(checkSecret);
+checkSecret
+  .option(...option.chain())
+  .description(desc.checkSecret())
+  .action(async (appAddress, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const chain = await loadChain(opts.chain, { spinner });
+      const resourceAddress =
+        appAddress ||
+        (await loadDeployedObj(objName).then(
+          (deployedObj) => deployedObj && deployedObj[chain.id],
+        ));
+      if (!resourceAddress) {
+        throw Error(
+          'Missing appAddress argument and no app found in "deployed.json"',
+        );
+      }
+      spinner.info(`Checking secret for address ${resourceAddress}`);
+      const sms = getPropertyFormChain(chain, 'sms');
+      const secretIsSet = await secretMgtServ.checkAppSecretExists(
+        chain.contracts,
+        sms,
+        resourceAddress,
+      );
+      if (secretIsSet) {
+        spinner.succeed(`Secret found for app ${resourceAddress}`, {
+          raw: { isSecretSet: true },
+        });
+      } else {
+        spinner.succeed(`No secret found for app ${resourceAddress}`, {
+          raw: { isSecretSet: false },
+        });
+      }
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
 const publish = cli.command('publish [appAddress]');
 addGlobalOptions(publish);
 addWalletLoadOptions(publish);
@@ -389,6 +534,7 @@ addWalletLoadOptions(run);
 run
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .option(...option.appRunWatch())
@@ -404,6 +550,7 @@ run
   .option(...orderOption.trust())
   .option(...orderOption.beneficiary())
   .option(...orderOption.params())
+  .option(...orderOption.maxPrice())
   .option(...option.skipRequestCheck())
   .description(desc.appRun())
   .action(async (appAddress, opts) => {
@@ -415,6 +562,8 @@ run
       const keystore = Keystore(walletOptions);
       const chain = await loadChain(opts.chain, { txOptions, spinner });
       const result = { deals: [] };
+      const offline = !!txOptions.offline;
+      debug('offline', offline);
       const useDeployedApp = !appAddress;
       const app =
         appAddress ||
@@ -493,7 +642,9 @@ run
       const inputParams = await paramsSchema().validate(opts.params);
       const inputParamsArgs = await paramsArgsSchema().validate(opts.args);
       const inputParamsInputFiles =
-        await paramsInputFilesArraySchema().validate(opts.inputFiles);
+        await paramsInputFilesArraySchema().validate(
+          await uploadLocalInputFiles(opts.inputFiles, chain, spinner),
+        );
       const inputParamsStorageProvider =
         await paramsStorageProviderSchema().validate(opts.storageProvider);
       const inputParamsResultEncrytion =
@@ -540,13 +691,20 @@ run
       const download = !!opts.download;
       debug('download', download);
 
-      const getApporder = async () => {
+      const maxPrice =
+        opts.maxPrice !== undefined
+          ? await nRlcAmountSchema().label('max-price').validate(opts.maxPrice)
+          : undefined;
+      debug('maxPrice', maxPrice);
+
+      const getOwnApporder = async () => {
         spinner.info(`Using app ${app}`);
         if (!(await checkDeployedApp(chain.contracts, app)))
           throw Error(`No app deployed at address ${app}`);
         const appOwner = await getAppOwner(chain.contracts, app);
         const isAppOwner = appOwner.toLowerCase() === requester.toLowerCase();
-        if (isAppOwner) {
+        // in offline mode the orders cannot be signed on this machine
+        if (isAppOwner && !offline) {
           spinner.info('Creating apporder');
           await connectKeystore(chain, keystore);
           const order = await createApporder(chain.contracts, {
@@ -558,26 +716,10 @@ run
           }).then((o) => signApporder(chain.contracts, o));
           return order;
         }
-        spinner.info('Fetching apporder from iExec Marketplace');
-        const teeAppRequired = checkActiveBitInTag(tag, 1);
-        const { orders } = await fetchAppOrderbook(
-          chain.contracts,
-          getPropertyFormChain(chain, 'iexecGateway'),
-          app,
-          {
-            requester,
-            ...(useDataset && { dataset }),
-            ...(runOnWorkerpool && { workerpool }),
-            ...(teeAppRequired && { minTag: encodeTag(['tee']) }),
-            maxTag: tag,
-          },
-        );
-        const order = orders[0] && orders[0].order;
-        if (!order) throw Error(`No order available for app ${app}`);
-        return order;
+        return undefined;
       };
 
-      const getDatasetorder = async () => {
+      const getOwnDatasetorder = async () => {
         spinner.info(
           useDataset ? `Using dataset ${dataset}` : 'Not using dataset',
         );
@@ -592,7 +734,7 @@ run
         const datasetOwner = await getDatasetOwner(chain.contracts, dataset);
         const isDatasetOwner =
           datasetOwner.toLowerCase() === requester.toLowerCase();
-        if (isDatasetOwner) {
+        if (isDatasetOwner && !offline) {
           spinner.info('Creating datasetorder');
           await connectKeystore(chain, keystore);
           const order = await createDatasetorder(chain.contracts, {
@@ -604,136 +746,79 @@ run
           }).then((o) => signDatasetorder(chain.contracts, o));
           return order;
         }
-        spinner.info('Fetching datasetorder from iExec Marketplace');
-        const { orders } = await fetchDatasetOrderbook(
-          chain.contracts,
-          getPropertyFormChain(chain, 'iexecGateway'),
-          dataset,
-          {
-            app,
-            requester,
-            ...(runOnWorkerpool && { workerpool }),
-            maxTag: tag,
-          },
-        );
-        const order = orders[0] && orders[0].order;
-        if (!order) throw Error(`No order available for dataset ${dataset}`);
-        return order;
+        return undefined;
       };
 
-      spinner.start('Preparing deal');
-
-      const apporder = await getApporder();
-      const datasetorder = await getDatasetorder();
-
-      debug('apporder', apporder);
-      debug('datasetorder', datasetorder);
-
-      const getWorkerpoolorder = async () => {
+      const getOwnWorkerpoolorder = async () => {
         spinner.info(
           workerpool
             ? `Using workerpool ${workerpool}`
             : 'Using any workerpool',
         );
-        const minTag = sumTags([apporder.tag, datasetorder.tag, tag]);
-        debug('minTag', minTag);
-        if (runOnWorkerpool) {
-          if (!(await checkDeployedWorkerpool(chain.contracts, workerpool)))
-            throw Error(`No workerpool deployed at address ${workerpool}`);
-          const workerpoolOwner = await getWorkerpoolOwner(
-            chain.contracts,
+        if (!runOnWorkerpool) return undefined;
+        if (!(await checkDeployedWorkerpool(chain.contracts, workerpool)))
+          throw Error(`No workerpool deployed at address ${workerpool}`);
+        const workerpoolOwner = await getWorkerpoolOwner(
+          chain.contracts,
+          workerpool,
+        );
+        const isWorkerpoolOwner =
+          workerpoolOwner.toLowerCase() === requester.toLowerCase();
+        if (isWorkerpoolOwner && !offline) {
+          spinner.info('Creating workerpoolorder');
+          await connectKeystore(chain, keystore);
+          // apporders and datasetorders are selected with tags included in the requested tag
+          const order = await createWorkerpoolorder(chain.contracts, {
             workerpool,
-          );
-          const isWorkerpoolOwner =
-            workerpoolOwner.toLowerCase() === requester.toLowerCase();
-          if (isWorkerpoolOwner) {
-            spinner.info('Creating workerpoolorder');
-            await connectKeystore(chain, keystore);
-            const order = await createWorkerpoolorder(chain.contracts, {
-              workerpool,
-              workerpoolprice: 0,
-              volume: 1,
-              requesterrestrict: requester,
-              tag: minTag,
-              trust,
-              category: category || 0,
-            }).then((o) => signWorkerpoolorder(chain.contracts, o));
-            return order;
-          }
+            workerpoolprice: 0,
+            volume: 1,
+            requesterrestrict: requester,
+            tag,
+            trust,
+            category: category || 0,
+          }).then((o) => signWorkerpoolorder(chain.contracts, o));
+          return order;
         }
-        spinner.info('Fetching workerpoolorder from iExec Marketplace');
-        const fetchWorkerpoolOrder = async (
-          catid = 0,
-          { strict = false } = {},
-        ) => {
-          debug('try category', catid, 'strict', strict);
-          const { orders } = await fetchWorkerpoolOrderbook(
-            chain.contracts,
-            getPropertyFormChain(chain, 'iexecGateway'),
-            {
-              category: catid,
-              app,
-              ...(useDataset && { dataset }),
-              ...(runOnWorkerpool && { workerpool }),
-              requester,
-              minTag,
-              minTrust: trust,
-            },
-          );
+        return undefined;
+      };
 
-          const getFirstOpen = async (i = 0) => {
-            const order = orders[i] && orders[i].order;
-            if (order) {
-              const workerpoolVolume = await getRemainingVolume(
-                chain.contracts,
-                WORKERPOOL_ORDER,
-                order,
-              );
-              if (workerpoolVolume.gte(new BN(0))) {
-                return order;
-              }
-              return getFirstOpen(i + 1);
-            }
-            return null;
-          };
-          const order = await getFirstOpen();
+      spinner.start('Preparing deal');
 
-          if (order) {
-            return order;
-          }
-          if (strict) {
-            throw Error(
-              `No workerpoolorder matching your conditions available in category ${category}`,
-            );
-          }
-          const nextCatid = catid + 1;
-          try {
-            await showCategory(chain.contracts, nextCatid);
-          } catch (error) {
-            debug(error);
-            throw Error(
-              'No workerpoolorder matching your conditions currently available',
-            );
-          }
-          return fetchWorkerpoolOrder(nextCatid);
-        };
-        const order = await fetchWorkerpoolOrder(category, {
-          strict: useCategory,
-        });
-        if (!order) {
-          throw Error(`No workerpoolorder available in category ${category}`);
-        }
-        return order;
-      };
+      const ownApporder = await getOwnApporder();
+      const ownDatasetorder = await getOwnDatasetorder();
+      const ownWorkerpoolorder = await getOwnWorkerpoolorder();
 
-      const workerpoolorder = await getWorkerpoolorder();
+      spinner.info('Selecting the cheapest orders from iExec Marketplace');
+      const { apporder, datasetorder, workerpoolorder } = await findBestOrders(
+        chain.contracts,
+        getPropertyFormChain(chain, 'iexecGateway'),
+        {
+          app,
+          dataset:
+            ownDatasetorder === NULL_DATASETORDER ? NULL_ADDRESS : dataset,
+          workerpool: runOnWorkerpool ? workerpool : NULL_ADDRESS,
+          requester,
+          category,
+          tag,
+          trust,
+          volume: 1,
+        },
+        {
+          maxPrice,
+          apporder: ownApporder,
+          ...(ownDatasetorder !== NULL_DATASETORDER && {
+            datasetorder: ownDatasetorder,
+          }),
+          workerpoolorder: ownWorkerpoolorder,
+        },
+      );
 
-      debug('workerpoolorder', workerpoolorder);
       debug('apporder', apporder);
       debug('datasetorder', datasetorder);
+      debug('workerpoolorder', workerpoolorder);
 
       spinner.info('Creating requestorder');
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       const requestorderToSign = await createRequestorder(
         { contracts: chain.contracts, resultProxyURL: chain.resultProxy },
         {
@@ -767,10 +852,10 @@ run
           );
         });
       }
-      const requestorder = await signRequestorder(
-        chain.contracts,
-        requestorderToSign,
-      );
+      // in offline mode the requestorder is presigned on-chain by the requester
+      const requestorder = offline
+        ? { ...requestorderToSign, salt: getSalt(), sign: NULL_BYTES }
+        : await signRequestorder(chain.contracts, requestorderToSign);
 
       debug('requestorder', requestorder);
 
@@ -825,6 +910,21 @@ run
         );
       }
 
+      if (offline) {
+        await saveSignedOrder(APP_ORDER, chain.id, apporder);
+        if (datasetorder.dataset !== NULL_ADDRESS) {
+          await saveSignedOrder(DATASET_ORDER, chain.id, datasetorder);
+        }
+        await saveSignedOrder(WORKERPOOL_ORDER, chain.id, workerpoolorder);
+        await saveSignedOrder(REQUEST_ORDER, chain.id, requestorder);
+        spinner.info(
+          'Orders saved in "orders.json", once the requestorder presign transaction is confirmed run "iexec order fill --offline <unsignedTxFile>" to submit the deal',
+        );
+        spinner.start('Presigning requestorder');
+        // the unsigned transaction is saved and the command exits
+        await presignRequestorder(chain.contracts, requestorder);
+      }
+
       spinner.start('Submitting deal');
       const { dealid, volume, txHash } = await matchOrders(
         chain.contracts,
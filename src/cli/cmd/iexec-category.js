@@ -48,6 +48,7 @@ addWalletLoadOptions(create);
 create
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .description(desc.createObj(objName))
   .action(async (opts) => {
@@ -66,7 +67,7 @@ create
           `Missing ${objName} in "iexec.json". Did you forget to run "iexec ${objName} init"?`,
         );
       }
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       spinner.start(info.creating('category'));
       const { catid, txHash } = await hub.createCategory(
         chain.contracts,
@@ -10,6 +10,7 @@ const {
   countUserDatasets,
   showDataset,
   showUserDataset,
+  verifyDataset,
 } = require('../../common/modules/hub');
 const {
   createDatasetorder,
@@ -19,19 +20,27 @@ const {
   unpublishAllDatasetorders,
 } = require('../../common/modules/order');
 const secretMgtServ = require('../../common/modules/sms');
+const ipfs = require('../../common/modules/ipfs');
 const { NULL_ADDRESS } = require('../../common/utils/utils');
 const {
+  AES_256_CBC,
   generateAes256Key,
-  encryptAes256Cbc,
-  sha256Sum,
 } = require('../../common/utils/encryption-utils');
+const {
+  datasetEncryptionAlgorithmSchema,
+} = require('../../common/utils/validator');
+const {
+  encryptDatasetStream,
+  decryptDatasetStream,
+} = require('../../common/utils/encryption-stream-utils');
 const {
   loadIExecConf,
   initObj,
   saveDeployedObj,
   loadDeployedObj,
   isEmptyDir,
-  saveToFile,
+  createDeterministicZipStream,
+  computeFileChecksum,
   saveTextToFile,
 } = require('../utils/fs');
 const { Keystore } = require('../utils/keystore');
@@ -52,6 +61,7 @@ const {
   pretty,
   info,
   prompt,
+  readSecretFile,
   isEthAddress,
   getPropertyFormChain,
 } = require('../utils/cli-helper');
@@ -117,6 +127,7 @@ addWalletLoadOptions(deploy);
 deploy
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .description(desc.deployObj(objName))
   .action(async (opts) => {
@@ -135,7 +146,7 @@ deploy
           `Missing ${objName} in "iexec.json". Did you forget to run "iexec ${objName} init"?`,
         );
       }
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       spinner.start(info.deploying(objName));
       const { address, txHash } = await deployDataset(
         chain.contracts,
@@ -241,6 +252,8 @@ encryptDataset
   .option(...option.datasetKeystoredir())
   .option(...option.originalDatasetDir())
   .option(...option.encryptedDatasetDir())
+  .option(...option.zipFolders())
+  .option(...option.datasetEncryptionAlgorithm())
   .description(desc.encryptDataset())
   .action(async (opts) => {
     await checkUpdate(opts);
@@ -272,18 +285,19 @@ encryptDataset
         );
       }
 
-      const encryptDatasetFile = async (datasetFileName) => {
+      const algorithm = await datasetEncryptionAlgorithmSchema().validate(
+        opts.algorithm || AES_256_CBC,
+      );
+      spinner.info(`Using ${algorithm} encryption`);
+
+      const encryptDatasetFile = async (
+        originalFilePath,
+        datasetFileName,
+        datasetStream,
+      ) => {
         spinner.info(`Encrypting ${datasetFileName}`);
         const key = generateAes256Key();
 
-        const originalFilePath = path.join(
-          originalDatasetFolderPath,
-          datasetFileName,
-        );
-        const fileBuffer = await fs.readFile(originalFilePath);
-        const encryptedFileBuffer = await encryptAes256Cbc(fileBuffer, key);
-        const encryptedFileChecksum = await sha256Sum(encryptedFileBuffer);
-
         const keyFilePath = await saveTextToFile(
           `${datasetFileName}.key`,
           key,
@@ -300,13 +314,18 @@ encryptDataset
           `Generated dataset encryption key for ${datasetFileName} in ${keyFilePath}`,
         );
 
-        const encryptedFilePath = await saveToFile(
+        const encryptedFilePath = path.join(
+          encryptedDatasetFolderPath,
           `${datasetFileName}.enc`,
-          encryptedFileBuffer,
-          {
-            fileDir: encryptedDatasetFolderPath,
-            force: opts.force,
-          },
+        );
+        const encryptedFileExists = await fs.pathExists(encryptedFilePath);
+        if (encryptedFileExists && !opts.force)
+          await prompt.fileExists(encryptedFilePath);
+        const encryptedFileChecksum = await encryptDatasetStream(
+          await datasetStream(),
+          fs.createWriteStream(encryptedFilePath),
+          key,
+          { algorithm },
         );
         spinner.info(
           `Generated encrypted dataset for ${datasetFileName} in ${encryptedFilePath}`,
@@ -318,6 +337,7 @@ encryptDataset
           encrypted: encryptedFilePath,
           key: keyFilePath,
           checksum: encryptedFileChecksum,
+          algorithm,
         };
       };
 
@@ -327,16 +347,33 @@ encryptDataset
         encryptedFiles = [],
       ) => {
         if (index >= filesNames.length) return encryptedFiles;
-        const stats = await fs.lstat(
-          path.join(originalDatasetFolderPath, filesNames[index]),
+        const originalPath = path.join(
+          originalDatasetFolderPath,
+          filesNames[index],
         );
-        if (!stats.isFile()) {
+        const stats = await fs.lstat(originalPath);
+        if (stats.isFile()) {
+          const paths = await encryptDatasetFile(
+            originalPath,
+            filesNames[index],
+            () => fs.createReadStream(originalPath),
+          );
+          encryptedFiles.push(paths);
+        } else if (stats.isDirectory() && opts.zipFolders) {
+          const paths = await encryptDatasetFile(
+            originalPath,
+            `${filesNames[index]}.zip`,
+            () => createDeterministicZipStream(originalPath),
+          );
+          encryptedFiles.push(paths);
+        } else if (stats.isDirectory()) {
           spinner.info(
-            `Datasets must be single file, skipping ${filesNames[index]}\n`,
+            `Datasets must be single file, skipping folder ${filesNames[index]} (use --zip-folders to encrypt folders)\n`,
           );
         } else {
-          const paths = await encryptDatasetFile(filesNames[index]);
-          encryptedFiles.push(paths);
+          spinner.info(
+            `Datasets must be single file, skipping ${filesNames[index]}\n`,
+          );
         }
         return recursiveEncryptDatasets(filesNames, index + 1, encryptedFiles);
       };
@@ -360,6 +397,200 @@ encryptDataset
     }
   });
 
+const decryptDataset = cli.command(
+  'decrypt <encryptedFilePath> [datasetAddress]',
+);
+addGlobalOptions(decryptDataset);
+decryptDataset
+  .option(...option.chain())
+  .option(...option.force())
+  .option(...option.datasetKeystoredir())
+  .option(...option.datasetKeyFile())
+  .option(...option.decryptedDatasetPath())
+  .description(desc.decryptDataset())
+  .action(async (encryptedFilePath, datasetAddress, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const encryptedFileName = path.basename(encryptedFilePath);
+      const datasetFileName = encryptedFileName.endsWith('.enc')
+        ? encryptedFileName.slice(0, -'.enc'.length)
+        : encryptedFileName;
+
+      let keyFilePath;
+      if (opts.keyFile) {
+        keyFilePath = opts.keyFile;
+      } else {
+        const { datasetSecretsFolderPath } = createEncFolderPaths(opts);
+        keyFilePath = path.join(
+          datasetSecretsFolderPath,
+          `${datasetFileName}.key`,
+        );
+        spinner.info(`No --key-file <path> option, using ${keyFilePath}`);
+      }
+      let key;
+      try {
+        key = (await fs.readFile(keyFilePath, 'utf8')).trim();
+      } catch (error) {
+        debug(error);
+        throw Error(`Failed to load dataset key from "${keyFilePath}"`);
+      }
+
+      const outputFilePath =
+        opts.output || path.join(process.cwd(), datasetFileName);
+      const outputExists = await fs.pathExists(outputFilePath);
+      if (outputExists && !opts.force) await prompt.fileExists(outputFilePath);
+
+      const chain = await loadChain(opts.chain, { spinner });
+      const resourceAddress =
+        datasetAddress ||
+        (await loadDeployedObj(objName).then(
+          (deployedObj) => deployedObj && deployedObj[chain.id],
+        ));
+      debug('resourceAddress', resourceAddress);
+      let datasetChecksum;
+      if (resourceAddress) {
+        const { dataset } = await showDataset(chain.contracts, resourceAddress);
+        datasetChecksum = dataset.datasetChecksum;
+      } else {
+        spinner.warn(
+          'No datasetAddress argument and no dataset found in "deployed.json", skipping checksum verification',
+        );
+      }
+
+      // the checksum is verified before writing any decrypted content
+      if (datasetChecksum) {
+        const encryptedFileChecksum = await computeFileChecksum(
+          encryptedFilePath,
+        );
+        if (datasetChecksum !== encryptedFileChecksum) {
+          throw Error(
+            `Encrypted file checksum ${encryptedFileChecksum} does not match dataset ${resourceAddress} checksum ${datasetChecksum}`,
+          );
+        }
+      }
+
+      spinner.start(`Decrypting ${encryptedFilePath}`);
+      let checksum;
+      try {
+        checksum = await decryptDatasetStream(
+          fs.createReadStream(encryptedFilePath),
+          fs.createWriteStream(outputFilePath),
+          key,
+        );
+      } catch (error) {
+        await fs.remove(outputFilePath);
+        throw error;
+      }
+      spinner.succeed(
+        `Dataset successfully decrypted in ${outputFilePath}${
+          datasetChecksum
+            ? `\nEncrypted file checksum matches dataset ${resourceAddress} checksum ${datasetChecksum}`
+            : ''
+        }`,
+        {
+          raw: {
+            decryptedFilePath: outputFilePath,
+            checksum,
+            ...(datasetChecksum && {
+              datasetAddress: resourceAddress,
+              datasetChecksum,
+            }),
+          },
+        },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const uploadDataset = cli.command('upload <encryptedFilePath>');
+addGlobalOptions(uploadDataset);
+uploadDataset
+  .option(...option.chain())
+  .description(desc.uploadDataset())
+  .action(async (encryptedFilePath, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const chain = await loadChain(opts.chain, { spinner });
+      const ipfsNode = getPropertyFormChain(chain, 'ipfsNode');
+      if (!(await fs.pathExists(encryptedFilePath))) {
+        throw Error(`File ${encryptedFilePath} not found`);
+      }
+      spinner.start(`Uploading ${encryptedFilePath} to IPFS`);
+      const { multiaddr, checksum } = await ipfs.add(
+        ipfsNode,
+        fs.createReadStream(encryptedFilePath),
+        { fileName: path.basename(encryptedFilePath) },
+      );
+      const iexecConf = await loadIExecConf();
+      const { saved, fileName } = await initObj(objName, {
+        obj: iexecConf[objName] && {
+          ...iexecConf[objName],
+          multiaddr,
+          checksum,
+        },
+        overwrite: { multiaddr, checksum },
+      });
+      spinner.succeed(
+        `Uploaded ${encryptedFilePath} to IPFS at ${multiaddr}\nSaved ${objName} multiaddr and checksum in "${fileName}":${pretty(
+          saved,
+        )}`,
+        { raw: { multiaddr, checksum, dataset: saved } },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const verify = cli.command('verify [datasetAddress]');
+addGlobalOptions(verify);
+verify
+  .option(...option.chain())
+  .description(desc.verifyDataset())
+  .action(async (datasetAddress, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const chain = await loadChain(opts.chain, { spinner });
+      const resourceAddress =
+        datasetAddress ||
+        (await loadDeployedObj(objName).then(
+          (deployedObj) => deployedObj && deployedObj[chain.id],
+        ));
+      if (!resourceAddress) {
+        throw Error(
+          'Missing datasetAddress argument and no dataset found in "deployed.json"',
+        );
+      }
+      debug('resourceAddress', resourceAddress);
+      spinner.start(`Downloading ${objName} ${resourceAddress} content`);
+      const res = await verifyDataset(chain.contracts, resourceAddress, {
+        ipfsGatewayURL: chain.ipfsGateway,
+      });
+      const details = pretty({
+        multiaddr: res.multiaddr,
+        url: res.url,
+        checksum: res.checksum,
+        datasetChecksum: res.datasetChecksum,
+      });
+      if (res.verified) {
+        spinner.succeed(
+          `${objName} ${res.address} content matches the on-chain checksum${details}`,
+          { raw: res },
+        );
+      } else {
+        spinner.fail(
+          `${objName} ${res.address} content does NOT match the on-chain checksum${details}`,
+          { raw: res },
+        );
+      }
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
 const pushSecret = cli.command('push-secret [datasetAddress]');
 addGlobalOptions(pushSecret);
 addWalletLoadOptions(pushSecret);
@@ -404,7 +635,7 @@ pushSecret
         );
       }
 
-      const secretToPush = (await fs.readFile(secretFilePath, 'utf8')).trim();
+      const secretToPush = (await readSecretFile(secretFilePath)).trim();
       debug('secretToPush', secretToPush);
 
       await connectKeystore(chain, keystore);
@@ -1,9 +1,21 @@
 #!/usr/bin/env node
 
 const cli = require('commander');
+const path = require('path');
+const fs = require('fs-extra');
 const deal = require('../../common/modules/deal');
-const { obsDeal } = require('../../common/modules/iexecProcess');
-const { stringifyNestedBn } = require('../../common/utils/utils');
+const {
+  obsDeal,
+  fetchDealResults,
+} = require('../../common/modules/iexecProcess');
+const {
+  stringifyNestedBn,
+  formatRLC,
+  BN,
+  NULL_ADDRESS,
+  NULL_BYTES32,
+} = require('../../common/utils/utils');
+const { dateSchema } = require('../../common/utils/validator');
 const {
   finalizeCli,
   addGlobalOptions,
@@ -18,6 +30,9 @@ const {
   info,
   pretty,
   renderTasksStatus,
+  displayPaginableRequest,
+  getPropertyFormChain,
+  loadBeneficiaryKey,
 } = require('../utils/cli-helper');
 const { Keystore } = require('../utils/keystore');
 const { loadChain, connectKeystore } = require('../utils/chains');
@@ -91,12 +106,240 @@ show
     }
   });
 
+const list = cli.command('list [requester]');
+addGlobalOptions(list);
+addWalletLoadOptions(list);
+list
+  .option(...option.chain())
+  .option(...option.filterAppSpecific())
+  .option(...option.filterDatasetSpecific())
+  .option(...option.filterWorkerpoolSpecific())
+  .option(...option.fromDate())
+  .option(...option.toDate())
+  .description(desc.listDeals())
+  .action(async (requester, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore({ ...walletOptions, isSigner: false });
+      let requesterAddress;
+      if (!requester) {
+        try {
+          const [userWalletAddress] = await keystore.accounts();
+          if (userWalletAddress && userWalletAddress !== NULL_ADDRESS) {
+            requesterAddress = userWalletAddress;
+            spinner.info(`Current account address ${userWalletAddress}`);
+          } else {
+            throw Error('Wallet file not found');
+          }
+        } catch (error) {
+          throw Error(
+            `Failed to load wallet address from keystore: ${error.message}`,
+          );
+        }
+      } else {
+        requesterAddress = requester;
+      }
+      const fromDate =
+        opts.from !== undefined
+          ? await dateSchema().label('from').validate(opts.from)
+          : undefined;
+      const toDate =
+        opts.to !== undefined
+          ? await dateSchema()
+              .label('to')
+              .validate(opts.to)
+              .then((date) =>
+                // a date without time includes the whole day
+                /^\d{4}-\d{2}-\d{2}$/.test(opts.to)
+                  ? new Date(
+                      date.getFullYear(),
+                      date.getMonth(),
+                      date.getDate(),
+                      23,
+                      59,
+                      59,
+                      999,
+                    )
+                  : date,
+              )
+          : undefined;
+      const chain = await loadChain(opts.chain, { spinner });
+
+      // deals are sorted from the most recent, stop paginating past --from
+      const stopAtFromDate = (pageRequest) =>
+        pageRequest.then((res) => {
+          const { deals = [], more } = res;
+          const fromDateReached =
+            !!fromDate &&
+            deals.length > 0 &&
+            new Date(deals[deals.length - 1].blockTimestamp) < fromDate;
+          return {
+            ...res,
+            more:
+              more && !fromDateReached
+                ? () => stopAtFromDate(more())
+                : undefined,
+          };
+        });
+
+      const request = stopAtFromDate(
+        deal.fetchRequesterDeals(
+          chain.contracts,
+          getPropertyFormChain(chain, 'iexecGateway'),
+          requesterAddress,
+          {
+            appAddress: opts.app,
+            datasetAddress: opts.dataset,
+            workerpoolAddress: opts.workerpool,
+          },
+        ),
+      );
+      const isInDateRange = ({ blockTimestamp }) => {
+        const dealDate = new Date(blockTimestamp);
+        return (
+          (!fromDate || dealDate >= fromDate) && (!toDate || dealDate <= toDate)
+        );
+      };
+      const processResponse = (res) =>
+        res.deals ? res.deals.filter(isInDateRange) : [];
+      const useDateRange = !!(fromDate || toDate);
+      const createResultsMessage = (
+        callResults,
+        initilResultsCount,
+        totalCount,
+      ) =>
+        `Deals (${initilResultsCount + 1} to ${
+          initilResultsCount + callResults.length
+        }${!useDateRange && totalCount ? ` of ${totalCount}` : ''}):${pretty(
+          callResults.map((e) => ({
+            dealid: e.dealid,
+            date: e.blockTimestamp,
+            app: e.app.pointer,
+            ...(e.dataset.pointer !== NULL_ADDRESS && {
+              dataset: e.dataset.pointer,
+            }),
+            workerpool: e.workerpool.pointer,
+            category: e.category,
+            ...(e.tag !== NULL_BYTES32 && { tag: e.tag }),
+            volume: e.botSize,
+            cost: `${formatRLC(
+              new BN(e.app.price)
+                .add(new BN(e.dataset.price))
+                .add(new BN(e.workerpool.price))
+                .mul(new BN(e.botSize)),
+            )} RLC`,
+          })),
+        )}`;
+
+      const { results, count } = await displayPaginableRequest({
+        request,
+        processResponse,
+        fetchMessage: info.showing(objName),
+        createResultsMessage,
+        spinner,
+        raw: opts.raw,
+      });
+
+      spinner.succeed(
+        results.length > 0 ? 'No more results' : 'No deal found',
+        {
+          raw: {
+            ...(!useDateRange && { count }),
+            deals: results,
+          },
+        },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const downloadResults = cli.command('download-results <dealid>');
+addGlobalOptions(downloadResults);
+addWalletLoadOptions(downloadResults);
+downloadResults
+  .option(...option.chain())
+  .option(...option.resultsOutputDir())
+  .option(...option.downloadConcurrency())
+  .option(...option.decrypt())
+  .option(...option.beneficiaryKeystoredir())
+  .option(...option.beneficiaryKeyFile())
+  .description(desc.downloadDealResults())
+  .action(async (dealid, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore({ ...walletOptions, isSigner: false });
+      const chain = await loadChain(opts.chain, { spinner });
+      const beneficiaryKey = opts.decrypt
+        ? await loadBeneficiaryKey(opts, keystore, { spinner })
+        : undefined;
+      const outputDir = path.resolve(opts.outputDir || dealid);
+      await fs.ensureDir(outputDir);
+      const resultPaths = {};
+      let downloadedCount = 0;
+      spinner.start(info.downloading());
+      const { tasksCount, downloaded, failed, notCompleted } =
+        await fetchDealResults(chain.contracts, dealid, {
+          ipfsGatewayURL: chain.ipfsGateway,
+          beneficiaryKey,
+          concurrency: opts.concurrency,
+          onTaskResult: async ({ idx, result }) => {
+            const taskDir = path.join(outputDir, `task-${idx}`);
+            await fs.ensureDir(taskDir);
+            resultPaths[idx] = path.join(taskDir, 'result.zip');
+            await fs.writeFile(resultPaths[idx], result);
+            downloadedCount += 1;
+            spinner.start(
+              `${info.downloading()} (${downloadedCount} downloaded)`,
+            );
+          },
+        });
+      const manifest = {
+        dealid,
+        tasksCount,
+        downloaded: downloaded.map(({ idx, taskid }) => ({
+          idx,
+          taskid,
+          path: resultPaths[idx],
+        })),
+        failed: failed.map(({ idx, taskid, error }) => ({
+          idx,
+          taskid,
+          error: error.message,
+        })),
+        notCompleted,
+      };
+      const manifestPath = path.join(outputDir, 'manifest.json');
+      await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+      const summary = `${downloaded.length}/${tasksCount} tasks results downloaded to ${outputDir} (${failed.length} failed, ${notCompleted.length} not completed), see ${manifestPath}`;
+      if (failed.length > 0) {
+        spinner.fail(
+          `${summary}${pretty(
+            manifest.failed.map(
+              ({ idx, error }) => `Task idx ${idx}: ${error}`,
+            ),
+          )}`,
+          { raw: { ...manifest, manifestPath } },
+        );
+      } else {
+        spinner.succeed(summary, { raw: { ...manifest, manifestPath } });
+      }
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
 const claim = cli.command('claim <dealid>');
 addGlobalOptions(claim);
 addWalletLoadOptions(claim);
 claim
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .description(desc.claimObj(objName))
   .action(async (dealid, opts) => {
@@ -107,7 +350,7 @@ claim
       const keystore = Keystore(walletOptions);
       const txOptions = await computeTxOptions(opts);
       const chain = await loadChain(opts.chain, { txOptions, spinner });
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       spinner.start(info.claiming(objName));
       const { claimed, transactions } = await deal.claim(
         chain.contracts,
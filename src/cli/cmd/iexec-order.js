@@ -19,6 +19,7 @@ const {
   isBytes32,
   prompt,
   getPropertyFormChain,
+  renderTable,
 } = require('../utils/cli-helper');
 const {
   checkRequestRequirements,
@@ -321,12 +322,77 @@ sign
     }
   });
 
+const fetchOrderByHash = async (chain, orderName, orderHash, { spinner }) => {
+  if (isBytes32(orderHash, { strict: false })) {
+    spinner.info(`Fetching ${orderName} ${orderHash} from iexec marketplace`);
+    const orderRes = await order.fetchPublishedOrderByHash(
+      getPropertyFormChain(chain, 'iexecGateway'),
+      orderName,
+      chain.id,
+      orderHash,
+    );
+    if (!orderRes) {
+      throw Error(
+        `${orderName} ${orderHash} is not published on iexec marketplace`,
+      );
+    }
+    return orderRes.order;
+  }
+  throw Error(`Invalid ${orderName} hash`);
+};
+
+const showMatchReport = async (
+  chain,
+  spinner,
+  { appOrder, datasetOrder, workerpoolOrder, requestOrder },
+) => {
+  spinner.start('Checking orders matchability');
+  const { matchable, volume, checks } = await order.diagnoseMatch(
+    chain.contracts,
+    appOrder,
+    datasetOrder,
+    workerpoolOrder,
+    requestOrder,
+  );
+  const table = renderTable(
+    checks.map(({ name, pass, expected, actual, message }) => [
+      name,
+      pass ? 'OK' : 'FAIL',
+      expected,
+      actual,
+      message,
+    ]),
+    { columns: ['check', 'status', 'expected', 'actual', 'message'] },
+  );
+  spinner.succeed(
+    `${
+      matchable
+        ? `Orders can be matched (matchable volume ${volume})`
+        : `Orders can't be matched (${
+            checks.filter(({ pass }) => !pass).length
+          } failed checks)`
+    }:\n${table}`,
+    {
+      raw: {
+        matchable,
+        volume: volume.toString(),
+        checks: checks.map(({ expected, actual, error, ...check }) => ({
+          ...check,
+          expected: expected !== undefined ? `${expected}` : undefined,
+          actual: actual !== undefined ? `${actual}` : undefined,
+        })),
+      },
+    },
+  );
+};
+
 const fill = cli.command('fill');
 addGlobalOptions(fill);
 addWalletLoadOptions(fill);
 fill
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .option(...option.fillAppOrder())
@@ -335,6 +401,7 @@ fill
   .option(...option.fillRequestOrder())
   .option(...option.fillRequestParams())
   .option(...option.skipRequestCheck())
+  .option(...option.checkMatch())
   .description(desc.fill(objName))
   .action(async (opts) => {
     await checkUpdate(opts);
@@ -351,26 +418,8 @@ fill
       const inputParams = opts.params;
       const requestOnTheFly = inputParams !== undefined;
 
-      const getOrderByHash = async (orderName, orderHash) => {
-        if (isBytes32(orderHash, { strict: false })) {
-          spinner.info(
-            `Fetching ${orderName} ${orderHash} from iexec marketplace`,
-          );
-          const orderRes = await order.fetchPublishedOrderByHash(
-            getPropertyFormChain(chain, 'iexecGateway'),
-            orderName,
-            chain.id,
-            orderHash,
-          );
-          if (!orderRes) {
-            throw Error(
-              `${orderName} ${orderHash} is not published on iexec marketplace`,
-            );
-          }
-          return orderRes.order;
-        }
-        throw Error(`Invalid ${orderName} hash`);
-      };
+      const getOrderByHash = (orderName, orderHash) =>
+        fetchOrderByHash(chain, orderName, orderHash, { spinner });
       const appOrder = opts.app
         ? await getOrderByHash(order.APP_ORDER, opts.app)
         : signedOrders[chain.id].apporder;
@@ -399,7 +448,7 @@ fill
       if (!workerpoolOrder) throw new Error('Missing workerpoolorder');
 
       const computeRequestOrder = async () => {
-        await connectKeystore(chain, keystore, { txOptions });
+        await connectKeystore(chain, keystore, { txOptions, spinner });
         const unsignedOrder = await order.createRequestorder(
           { contracts: chain.contracts, resultProxyURL: chain.resultProxy },
           {
@@ -431,6 +480,16 @@ fill
         throw new Error('Missing requestorder');
       }
 
+      if (opts.check) {
+        await showMatchReport(chain, spinner, {
+          appOrder,
+          datasetOrder: useDataset ? datasetOrder : undefined,
+          workerpoolOrder,
+          requestOrder,
+        });
+        return;
+      }
+
       if (!opts.skipRequestCheck) {
         await checkRequestRequirements(
           { contracts: chain.contracts, smsURL: chain.sms },
@@ -446,7 +505,78 @@ fill
         });
       }
 
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
+      spinner.start(info.filling(objName));
+      const { dealid, volume, txHash } = await order.matchOrders(
+        chain.contracts,
+        appOrder,
+        useDataset ? datasetOrder : undefined,
+        workerpoolOrder,
+        requestOrder,
+      );
+      spinner.succeed(
+        `${volume} task successfully purchased with dealid ${dealid}`,
+        { raw: { dealid, volume: volume.toString(), txHash } },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const match = cli.command('match');
+addGlobalOptions(match);
+addWalletLoadOptions(match);
+match
+  .option(...option.chain())
+  .option(...option.txGasPrice())
+  .option(...option.txOffline())
+  .option(...option.txConfirms())
+  .option(...option.fillAppOrder())
+  .option(...option.fillDatasetOrder())
+  .option(...option.fillWorkerpoolOrder())
+  .option(...option.fillRequestOrder())
+  .option(...option.checkMatch())
+  .description(desc.matchOrders())
+  .action(async (opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const txOptions = await computeTxOptions(opts);
+      const keystore = Keystore(walletOptions);
+      const [chain, signedOrders] = await Promise.all([
+        loadChain(opts.chain, { txOptions, spinner }),
+        loadSignedOrders(),
+      ]);
+      const chainOrders = signedOrders[chain.id] || {};
+      const getOrder = (orderName, orderHash) =>
+        orderHash
+          ? fetchOrderByHash(chain, orderName, orderHash, { spinner })
+          : chainOrders[orderName];
+      const [appOrder, datasetOrder, workerpoolOrder, requestOrder] =
+        await Promise.all([
+          getOrder(order.APP_ORDER, opts.app),
+          getOrder(order.DATASET_ORDER, opts.dataset),
+          getOrder(order.WORKERPOOL_ORDER, opts.workerpool),
+          getOrder(order.REQUEST_ORDER, opts.request),
+        ]);
+      if (!appOrder) throw new Error('Missing apporder');
+      if (!workerpoolOrder) throw new Error('Missing workerpoolorder');
+      if (!requestOrder) throw new Error('Missing requestorder');
+      const useDataset = requestOrder.dataset !== NULL_ADDRESS;
+      if (!datasetOrder && useDataset) throw new Error('Missing datasetorder');
+
+      if (opts.check) {
+        await showMatchReport(chain, spinner, {
+          appOrder,
+          datasetOrder: useDataset ? datasetOrder : undefined,
+          workerpoolOrder,
+          requestOrder,
+        });
+        return;
+      }
+
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       spinner.start(info.filling(objName));
       const { dealid, volume, txHash } = await order.matchOrders(
         chain.contracts,
@@ -711,6 +841,7 @@ addWalletLoadOptions(cancel);
 cancel
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .option(...option.cancelAppOrder())
@@ -734,7 +865,7 @@ cancel
         loadChain(opts.chain, { txOptions, spinner }),
         loadSignedOrders(),
       ]);
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       const success = {};
       const failed = [];
 
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+const cli = require('commander');
+const Debug = require('debug');
+const secretMgtServ = require('../../common/modules/sms');
+const {
+  finalizeCli,
+  addGlobalOptions,
+  addWalletLoadOptions,
+  computeWalletLoadOptions,
+  checkUpdate,
+  handleError,
+  desc,
+  option,
+  Spinner,
+  pretty,
+  secretEnv,
+  readSecret,
+  getPropertyFormChain,
+} = require('../utils/cli-helper');
+const {
+  saveRequesterSecretName,
+  loadRequesterSecretNames,
+} = require('../utils/fs');
+const { loadChain, connectKeystore } = require('../utils/chains');
+const { Keystore } = require('../utils/keystore');
+
+const debug = Debug('iexec:iexec-requester');
+
+cli.name('iexec requester').usage('<command> [options]');
+
+const pushSecret = cli.command('push-secret <secretName>');
+addGlobalOptions(pushSecret);
+addWalletLoadOptions(pushSecret);
+pushSecret
+  .option(...option.chain())
+  .option(...option.forceUpdateSecret())
+  .option(...option.secretValue())
+  .option(...option.secretPath())
+  .description(desc.pushRequesterSecret())
+  .action(async (secretName, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore(walletOptions);
+      const [chain, [address]] = await Promise.all([
+        loadChain(opts.chain, { spinner }),
+        keystore.accounts(),
+      ]);
+      const { contracts } = chain;
+      const sms = getPropertyFormChain(chain, 'sms');
+      debug('address', address);
+
+      let secretToPush;
+      if (opts.secretValue) {
+        spinner.warn(
+          'Option --secret-value may be unsafe, make sure to know what you do',
+        );
+        secretToPush = opts.secretValue;
+      } else {
+        secretToPush = await readSecret({
+          name: 'secret',
+          file: opts.secretPath,
+          fileOption: option.secretPath()[0],
+          env: secretEnv.secretValue,
+          promptMessage: `Paste your secret "${secretName}"`,
+          useMask: true,
+        });
+      }
+
+      await connectKeystore(chain, keystore);
+      const { isPushed, isUpdated } = await secretMgtServ.pushRequesterSecret(
+        contracts,
+        sms,
+        secretName,
+        secretToPush,
+        { forceUpdate: !!opts.forceUpdate },
+      );
+      if (isPushed) {
+        await saveRequesterSecretName(chain.id, address, secretName);
+        spinner.succeed(
+          `Secret "${secretName}" successfully ${
+            isUpdated ? 'updated' : 'pushed'
+          }`,
+          { raw: { isPushed, isUpdated } },
+        );
+      } else {
+        throw Error('Something went wrong');
+      }
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const checkSecret = cli.command('check-secret <secretName> [requesterAddress]');
+addGlobalOptions(checkSecret);
+addWalletLoadOptions(checkSecret);
+checkSecret
+  .option(...option.chain())
+  .description(desc.checkRequesterSecret())
+  .action(async (secretName, requesterAddress, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const chain = await loadChain(opts.chain, { spinner });
+      let keyAddress;
+      if (requesterAddress) {
+        keyAddress = requesterAddress;
+      } else {
+        const walletOptions = await computeWalletLoadOptions(opts);
+        const keystore = Keystore({ ...walletOptions, isSigner: false });
+        [keyAddress] = await keystore.accounts();
+        spinner.info(
+          `Checking secret "${secretName}" exists for wallet ${keyAddress}`,
+        );
+      }
+      const sms = getPropertyFormChain(chain, 'sms');
+      const secretExists = await secretMgtServ.checkRequesterSecretExists(
+        chain.contracts,
+        sms,
+        keyAddress,
+        secretName,
+      );
+      if (secretExists) {
+        spinner.succeed(`Secret "${secretName}" found for ${keyAddress}`, {
+          raw: { isSecretSet: true },
+        });
+      } else {
+        spinner.succeed(`No secret "${secretName}" found for ${keyAddress}`, {
+          raw: { isSecretSet: false },
+        });
+      }
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const list = cli.command('list');
+addGlobalOptions(list);
+addWalletLoadOptions(list);
+list
+  .option(...option.chain())
+  .description(desc.listRequesterSecrets())
+  .action(async (opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore({ ...walletOptions, isSigner: false });
+      const [chain, [address]] = await Promise.all([
+        loadChain(opts.chain, { spinner }),
+        keystore.accounts(),
+      ]);
+      const sms = getPropertyFormChain(chain, 'sms');
+      const secretNames = await loadRequesterSecretNames(chain.id, address);
+      const secretsSet = await Promise.all(
+        secretNames.map((secretName) =>
+          secretMgtServ.checkRequesterSecretExists(
+            chain.contracts,
+            sms,
+            address,
+            secretName,
+          ),
+        ),
+      );
+      const secrets = secretNames.map((name, i) => ({
+        name,
+        isSecretSet: secretsSet[i],
+      }));
+      spinner.succeed(
+        secrets.length > 0
+          ? `Requester secrets pushed by ${address} from this project:${pretty(
+              secrets.map(
+                ({ name, isSecretSet }) =>
+                  `${name}${isSecretSet ? '' : ' (not found in the SMS)'}`,
+              ),
+            )}`
+          : `No requester secret pushed by ${address} from this project`,
+        { raw: { secrets } },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+finalizeCli(cli);
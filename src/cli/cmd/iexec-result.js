@@ -6,8 +6,11 @@ const semver = require('semver');
 const fs = require('fs-extra');
 const { Buffer } = require('buffer');
 const path = require('path');
-const { generateKeyPair } = require('crypto');
-const { decryptResult } = require('../../common/utils/utils');
+const { promisify } = require('util');
+const { pipeline } = require('stream');
+const { createHash, createPublicKey } = require('crypto');
+const { decryptResultStream } = require('../../common/utils/result-utils');
+const { generateRsaKeypair } = require('../../common/utils/crypto-utils');
 const {
   getResultEncryptionKeyName,
 } = require('../../common/utils/secrets-utils');
@@ -22,22 +25,170 @@ const {
   desc,
   option,
   Spinner,
+  info,
   prompt,
+  readSecretFile,
   createEncFolderPaths,
   DEFAULT_ENCRYPTED_RESULTS_NAME,
   DEFAULT_DECRYPTED_RESULTS_NAME,
   publicKeyName,
   privateKeyName,
+  keyringName,
+  loadBeneficiaryKeyring,
+  loadBeneficiaryKeys,
+  decryptWithBeneficiaryKeys,
   getPropertyFormChain,
 } = require('../utils/cli-helper');
 const { loadChain, connectKeystore } = require('../utils/chains');
-const { saveTextToFile } = require('../utils/fs');
+const { saveTextToFile, saveJSONToFile } = require('../utils/fs');
 const { Keystore } = require('../utils/keystore');
 
 const debug = Debug('iexec:iexec-result');
 
 cli.name('iexec result').usage('<command> [options]');
 
+const computeKeyId = (publicKey) =>
+  createHash('sha256').update(publicKey).digest('hex').substr(0, 16);
+
+const addKeyToKeyring = async (
+  beneficiarySecretsFolderPath,
+  address,
+  keyring,
+  { privateKey, publicKey },
+  { createdAt = new Date() } = {},
+) => {
+  const id = computeKeyId(publicKey);
+  const privateKeyFile = privateKeyName(address, id);
+  const publicKeyFile = publicKeyName(address, id);
+  await saveTextToFile(privateKeyFile, privateKey, {
+    force: true,
+    fileDir: beneficiarySecretsFolderPath,
+  });
+  await saveTextToFile(publicKeyFile, publicKey, {
+    force: true,
+    fileDir: beneficiarySecretsFolderPath,
+  });
+  return {
+    ...keyring,
+    keys: [
+      ...keyring.keys.filter((key) => key.id !== id),
+      {
+        id,
+        createdAt: createdAt.toISOString(),
+        privateKeyFile,
+        publicKeyFile,
+      },
+    ],
+  };
+};
+
+// keys generated before the keyring only exist as the active key files
+const importLegacyKey = async (
+  beneficiarySecretsFolderPath,
+  address,
+  keyring,
+) => {
+  const legacyKeyPath = path.join(
+    beneficiarySecretsFolderPath,
+    privateKeyName(address),
+  );
+  if (keyring.keys.length > 0 || !(await fs.pathExists(legacyKeyPath))) {
+    return keyring;
+  }
+  let privateKey;
+  let publicKey;
+  try {
+    privateKey = await fs.readFile(legacyKeyPath, 'utf8');
+    publicKey = createPublicKey(privateKey).export({
+      type: 'spki',
+      format: 'pem',
+    });
+  } catch (error) {
+    debug(error);
+    throw Error(`Failed to load beneficiary key from "${legacyKeyPath}"`);
+  }
+  const { mtime } = await fs.stat(legacyKeyPath);
+  const importedKeyring = await addKeyToKeyring(
+    beneficiarySecretsFolderPath,
+    address,
+    keyring,
+    { privateKey, publicKey },
+    { createdAt: mtime },
+  );
+  return {
+    ...importedKeyring,
+    activeKeyId: importedKeyring.keys[0].id,
+  };
+};
+
+// the new key is added to the keyring, it becomes active with activateBeneficiaryKey()
+const createBeneficiaryKeypair = async (
+  address,
+  { beneficiarySecretsFolderPath, spinner },
+) => {
+  const nodeMinVersion = 'v10.12.0';
+  if (semver.gt(nodeMinVersion, process.version)) {
+    throw Error(
+      `Minimum node version to use this command is ${nodeMinVersion}, found ${process.version}`,
+    );
+  }
+  await fs.ensureDir(beneficiarySecretsFolderPath);
+  const keyring = await importLegacyKey(
+    beneficiarySecretsFolderPath,
+    address,
+    await loadBeneficiaryKeyring(beneficiarySecretsFolderPath, address),
+  );
+
+  spinner.start('Generating new keypair');
+  const { privateKey, publicKey } = await generateRsaKeypair();
+  spinner.stop();
+
+  const updatedKeyring = await addKeyToKeyring(
+    beneficiarySecretsFolderPath,
+    address,
+    keyring,
+    { privateKey, publicKey },
+  );
+  await saveJSONToFile(keyringName(address), updatedKeyring, {
+    force: true,
+    fileDir: beneficiarySecretsFolderPath,
+  });
+  return {
+    keyring: updatedKeyring,
+    keyId: computeKeyId(publicKey),
+    previousKeyId: keyring.activeKeyId,
+    privateKey,
+    publicKey,
+  };
+};
+
+const activateBeneficiaryKey = async (
+  address,
+  { keyring, keyId, privateKey, publicKey },
+  { beneficiarySecretsFolderPath, force = false },
+) => {
+  const priKeyFileName = privateKeyName(address);
+  const pubKeyFileName = publicKeyName(address);
+  const saved = await saveTextToFile(priKeyFileName, privateKey, {
+    force,
+    fileDir: beneficiarySecretsFolderPath,
+  });
+  if (!saved) throw Error(info.userAborted());
+  await saveTextToFile(pubKeyFileName, publicKey, {
+    force: true,
+    fileDir: beneficiarySecretsFolderPath,
+  });
+  await saveJSONToFile(
+    keyringName(address),
+    { ...keyring, activeKeyId: keyId },
+    { force: true, fileDir: beneficiarySecretsFolderPath },
+  );
+  return {
+    privateKeyFile: priKeyFileName,
+    publicKeyFile: pubKeyFileName,
+  };
+};
+
 const generateKeys = cli
   .command('generate-encryption-keypair')
   .alias('generate-keys');
@@ -51,12 +202,6 @@ generateKeys
     await checkUpdate(opts);
     const spinner = Spinner(opts);
     try {
-      const nodeMinVersion = 'v10.12.0';
-      if (semver.gt(nodeMinVersion, process.version)) {
-        throw Error(
-          `Minimum node version to use this command is ${nodeMinVersion}, found ${process.version}`,
-        );
-      }
       const walletOptions = await computeWalletLoadOptions(opts);
       const keystore = Keystore(
         Object.assign(walletOptions, { isSigner: false }),
@@ -64,55 +209,95 @@ generateKeys
       const [address] = await keystore.accounts();
 
       const { beneficiarySecretsFolderPath } = createEncFolderPaths(opts);
-      await fs.ensureDir(beneficiarySecretsFolderPath);
 
       spinner.info(`Generate encryption keypair for wallet address ${address}`);
-      spinner.start('Generating new keypair');
+      const keypair = await createBeneficiaryKeypair(address, {
+        beneficiarySecretsFolderPath,
+        spinner,
+      });
+      const { keyId } = keypair;
+      const { privateKeyFile, publicKeyFile } = await activateBeneficiaryKey(
+        address,
+        keypair,
+        { beneficiarySecretsFolderPath, force: opts.force },
+      );
 
-      const { privateKey, publicKey } = await new Promise((resolve, reject) => {
-        generateKeyPair(
-          'rsa',
-          {
-            modulusLength: 4096,
-            publicKeyEncoding: {
-              type: 'spki',
-              format: 'pem',
-            },
-            privateKeyEncoding: {
-              type: 'pkcs8',
-              format: 'pem',
-            },
-          },
-          (err, pub, pri) => {
-            if (err) reject(err);
-            else {
-              resolve({
-                privateKey: pri,
-                publicKey: pub,
-              });
-            }
+      spinner.succeed(
+        `Encryption keypair "${privateKeyFile}" and "${publicKeyFile}" generated in "${beneficiarySecretsFolderPath}" (key id ${keyId}), make sure to backup this keypair\nRun "iexec result push-encryption-key" to securely share your public key for result encryption`,
+        {
+          raw: {
+            secretPath: beneficiarySecretsFolderPath,
+            privateKeyFile,
+            publicKeyFile,
+            keyId,
           },
-        );
-      });
-      spinner.stop();
-      const priKeyFileName = privateKeyName(address);
-      const pubKeyFileName = publicKeyName(address);
-      await saveTextToFile(priKeyFileName, privateKey, {
-        force: opts.force,
-        fileDir: beneficiarySecretsFolderPath,
-      });
-      await saveTextToFile(pubKeyFileName, publicKey, {
-        force: true,
-        fileDir: beneficiarySecretsFolderPath,
+        },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const rotateKeys = cli.command('rotate-encryption-key').alias('rotate');
+addGlobalOptions(rotateKeys);
+addWalletLoadOptions(rotateKeys);
+rotateKeys
+  .option(...option.chain())
+  .option(...option.beneficiaryKeystoredir())
+  .description(desc.rotateResultKey())
+  .action(async (opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore(walletOptions);
+      const [chain, [address]] = await Promise.all([
+        loadChain(opts.chain, {
+          spinner,
+        }),
+        keystore.accounts(),
+      ]);
+      await connectKeystore(chain, keystore);
+      const { contracts } = chain;
+      const sms = getPropertyFormChain(chain, 'sms');
+
+      const { beneficiarySecretsFolderPath } = createEncFolderPaths(opts);
+
+      spinner.info(`Rotate encryption keypair for wallet address ${address}`);
+      const keypair = await createBeneficiaryKeypair(address, {
+        beneficiarySecretsFolderPath,
+        spinner,
       });
+      const { keyId, previousKeyId, publicKey } = keypair;
 
+      // the new key is activated only once pushed, the previous key stays active on failure
+      spinner.start('Pushing new encryption key');
+      const { isPushed, isUpdated } = await secretMgtServ.pushWeb2Secret(
+        contracts,
+        sms,
+        getResultEncryptionKeyName(),
+        Buffer.from(publicKey, 'utf8').toString('base64'),
+        { forceUpdate: true },
+      );
+      if (!isPushed) {
+        throw Error('Something went wrong');
+      }
+      const { privateKeyFile, publicKeyFile } = await activateBeneficiaryKey(
+        address,
+        keypair,
+        { beneficiarySecretsFolderPath, force: true },
+      );
       spinner.succeed(
-        `Encryption keypair "${priKeyFileName}" and "${pubKeyFileName}" generated in "${beneficiarySecretsFolderPath}", make sure to backup this keypair\nRun "iexec result push-encryption-key" to securely share your public key for result encryption`,
+        `Encryption key ${keyId} is now active and pushed, previous keys are kept in "${beneficiarySecretsFolderPath}" to decrypt older results`,
         {
           raw: {
             secretPath: beneficiarySecretsFolderPath,
-            privateKeyFile: priKeyFileName,
-            publicKeyFile: pubKeyFileName,
+            privateKeyFile,
+            publicKeyFile,
+            keyId,
+            previousKeyId,
+            isPushed,
+            isUpdated,
           },
         },
       );
@@ -154,41 +339,27 @@ decryptResults
         Object.assign(walletOptions, { isSigner: false }),
       );
 
-      let beneficiaryKeyPath;
-      if (opts.beneficiaryKeyFile) {
-        beneficiaryKeyPath = path.join(
-          beneficiarySecretsFolderPath,
-          opts.beneficiaryKeyFile,
-        );
-      } else {
-        const [address] = await keystore.accounts();
-        spinner.info(`Using beneficiary encryption key for wallet ${address}`);
-        beneficiaryKeyPath = path.join(
-          beneficiarySecretsFolderPath,
-          privateKeyName(address),
-        );
-      }
-
-      let beneficiaryKey;
-      try {
-        beneficiaryKey = await fs.readFile(beneficiaryKeyPath, 'utf8');
-      } catch (error) {
-        debug(error);
-        throw Error(
-          `Failed to load beneficiary encryption key from "${beneficiaryKeyPath}"`,
-        );
-      }
+      const beneficiaryKeys = await loadBeneficiaryKeys(opts, keystore, {
+        spinner,
+      });
 
       const outputExists = await fs.exists(outputFile);
       if (outputExists && !opts.force) await prompt.fileExists(outputFile);
 
       spinner.start('Decrypting results');
-      const encResultsZip = await fs.readFile(inputFile);
-      const decryptedResultsZip = await decryptResult(
-        encResultsZip,
-        beneficiaryKey,
+      const decryptedResultsStream = await decryptWithBeneficiaryKeys(
+        beneficiaryKeys,
+        (beneficiaryKey) => decryptResultStream(inputFile, beneficiaryKey),
       );
-      await saveTextToFile(outputFile, decryptedResultsZip, { force: true });
+      try {
+        await promisify(pipeline)(
+          decryptedResultsStream,
+          fs.createWriteStream(outputFile),
+        );
+      } catch (error) {
+        await fs.remove(outputFile);
+        throw error;
+      }
       spinner.succeed(`Results successfully decrypted in ${outputFile}`, {
         raw: {
           resultsPath: outputFile,
@@ -235,7 +406,7 @@ pushSecret
           publicKeyName(address),
         );
       }
-      const publicKey = await fs.readFile(secretFilePath, 'utf8');
+      const publicKey = await readSecretFile(secretFilePath);
       const secretToPush = Buffer.from(publicKey, 'utf8').toString('base64');
       debug('secretToPush', secretToPush);
       const { isPushed, isUpdated } = await secretMgtServ.pushWeb2Secret(
@@ -13,7 +13,8 @@ const {
   handleError,
   desc,
   option,
-  prompt,
+  secretEnv,
+  readSecret,
   Spinner,
   getPropertyFormChain,
 } = require('../utils/cli-helper');
@@ -29,6 +30,7 @@ initStorage
   .option(...option.chain())
   .option(...option.forceUpdateSecret())
   .option(...option.storageToken())
+  .option(...option.storageTokenFile())
   .description(desc.initStorage())
   .action(async (provider, opts) => {
     await checkUpdate(opts);
@@ -68,7 +70,12 @@ initStorage
       } else {
         token =
           opts.token ||
-          (await prompt.password(`Paste your ${provider} token`, {
+          (await readSecret({
+            name: `${provider} token`,
+            file: opts.tokenFile,
+            fileOption: option.storageTokenFile()[0],
+            env: secretEnv.storageToken,
+            promptMessage: `Paste your ${provider} token`,
             useMask: true,
           }));
         await connectKeystore(chain, keystore);
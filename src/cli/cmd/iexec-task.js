@@ -26,8 +26,8 @@ const {
   Spinner,
   info,
   pretty,
-  createEncFolderPaths,
-  privateKeyName,
+  loadBeneficiaryKeys,
+  decryptWithBeneficiaryKeys,
 } = require('../utils/cli-helper');
 const { Keystore } = require('../utils/keystore');
 const { loadChain, connectKeystore } = require('../utils/chains');
@@ -107,39 +107,14 @@ show
           });
           if (opts.decrypt) {
             spinner.start(info.decrypting());
-            const { beneficiarySecretsFolderPath } = createEncFolderPaths(opts);
-            const exists = await fs.pathExists(beneficiarySecretsFolderPath);
-            if (!exists) {
-              throw Error(
-                'Beneficiary secrets folder is missing did you forget to run "iexec results generate-encryption-keypair"?',
-              );
-            }
-            let beneficiaryKeyPath;
-            if (opts.beneficiaryKeyFile) {
-              beneficiaryKeyPath = path.join(
-                beneficiarySecretsFolderPath,
-                opts.beneficiaryKeyFile,
-              );
-            } else {
-              const [address] = await keystore.accounts();
-              spinner.info(`Using beneficiary key for wallet ${address}`);
-              beneficiaryKeyPath = path.join(
-                beneficiarySecretsFolderPath,
-                privateKeyName(address),
-              );
-            }
-            let beneficiaryKey;
-            try {
-              beneficiaryKey = await fs.readFile(beneficiaryKeyPath, 'utf8');
-            } catch (error) {
-              debug(error);
-              throw Error(
-                `Failed to load beneficiary key from "${beneficiaryKeyPath}"`,
-              );
-            }
-            const result = await decryptResult(
-              await res.arrayBuffer(),
-              beneficiaryKey,
+            const beneficiaryKeys = await loadBeneficiaryKeys(opts, keystore, {
+              spinner,
+            });
+            const encryptedResult = await res.arrayBuffer();
+            const result = await decryptWithBeneficiaryKeys(
+              beneficiaryKeys,
+              (beneficiaryKey) =>
+                decryptResult(encryptedResult, beneficiaryKey),
             );
             await fs.writeFile(resultPath, result);
           } else {
@@ -185,6 +160,7 @@ addWalletLoadOptions(claim);
 claim
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .description(desc.claimObj(objName))
   .action(async (taskid, opts) => {
@@ -195,7 +171,7 @@ claim
       const keystore = Keystore(walletOptions);
       const txOptions = await computeTxOptions(opts);
       const chain = await loadChain(opts.chain, { txOptions, spinner });
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
 
       spinner.start(info.claiming(objName));
       const txHash = await taskModule.claim(chain.contracts, taskid);
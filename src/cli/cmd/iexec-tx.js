@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+const cli = require('commander');
+const Debug = require('debug');
+const path = require('path');
+const fs = require('fs-extra');
+const { Wallet } = require('ethers');
+const transaction = require('../../common/modules/transaction');
+const {
+  addGlobalOptions,
+  addWalletLoadOptions,
+  computeWalletLoadOptions,
+  computeTxOptions,
+  checkUpdate,
+  handleError,
+  finalizeCli,
+  desc,
+  option,
+  Spinner,
+  pretty,
+  prompt,
+} = require('../utils/cli-helper');
+const { saveJSONToFile } = require('../utils/fs');
+const { loadChain } = require('../utils/chains');
+const { Keystore } = require('../utils/keystore');
+
+const debug = Debug('iexec:iexec-tx');
+
+cli.name('iexec tx').usage('<command> [options]');
+
+const loadTxFile = async (filePath) => {
+  try {
+    return await fs.readJson(filePath);
+  } catch (error) {
+    debug('loadTxFile()', error);
+    throw Error(`Failed to load transaction file "${filePath}"`);
+  }
+};
+
+const getDefaultSignedTxFile = (unsignedTxFile) =>
+  path.join(
+    path.dirname(unsignedTxFile),
+    `${path.basename(
+      unsignedTxFile,
+      path.extname(unsignedTxFile),
+    )}.signed.json`,
+  );
+
+const sign = cli.command('sign <unsignedTxFile>');
+addGlobalOptions(sign);
+addWalletLoadOptions(sign);
+sign
+  .option(...option.signedTxFile())
+  .option(...option.force())
+  .description(desc.signTx())
+  .action(async (unsignedTxFile, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const unsignedTx = await loadTxFile(unsignedTxFile);
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore(walletOptions);
+      if (!opts.force) {
+        await prompt.signTransaction(pretty(unsignedTx));
+      }
+      const { privateKey } = await keystore.load();
+      const { hash, rawTransaction } = await transaction.signTransaction(
+        new Wallet(privateKey),
+        unsignedTx,
+      );
+      const signedTxFile = await saveJSONToFile(
+        opts.signedTxFile || getDefaultSignedTxFile(unsignedTxFile),
+        { ...unsignedTx, hash, rawTransaction },
+      );
+      spinner.succeed(
+        `Transaction ${hash} signed and saved in "${signedTxFile}", broadcast it with "iexec tx send"`,
+        { raw: { hash, rawTransaction, signedTxFile } },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const send = cli.command('send <signedTxFile>');
+addGlobalOptions(send);
+send
+  .option(...option.chain())
+  .option(...option.txConfirms())
+  .description(desc.sendTx())
+  .action(async (signedTxFile, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const { rawTransaction } = await loadTxFile(signedTxFile);
+      const txOptions = await computeTxOptions(opts);
+      const chain = await loadChain(opts.chain, { txOptions, spinner });
+      spinner.start('Sending transaction...');
+      const { volume, catid, ...result } =
+        await transaction.sendSignedTransaction(
+          chain.contracts,
+          rawTransaction,
+        );
+      const raw = {
+        ...result,
+        ...(volume && { volume: volume.toString() }),
+        ...(catid && { catid: catid.toString() }),
+      };
+      spinner.succeed(`Transaction ${result.txHash} confirmed${pretty(raw)}`, {
+        raw,
+      });
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+finalizeCli(cli);
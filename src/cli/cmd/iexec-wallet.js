@@ -1,11 +1,15 @@
 #!/usr/bin/env node
 
 const cli = require('commander');
+const path = require('path');
 const wallet = require('../../common/modules/wallet');
 const {
   Keystore,
+  listWallets,
+  encryptUnencryptedWallet,
   createAndSave,
   importPrivateKeyAndSave,
+  importMnemonicAndSave,
 } = require('../utils/keystore');
 const {
   formatEth,
@@ -13,9 +17,11 @@ const {
   NULL_ADDRESS,
 } = require('../../common/utils/utils');
 const {
+  addressSchema,
   nRlcAmountSchema,
   weiAmountSchema,
 } = require('../../common/utils/validator');
+const { saveDefaultWallet } = require('../utils/fs');
 const {
   addGlobalOptions,
   addWalletCreateOptions,
@@ -30,6 +36,8 @@ const {
   option,
   desc,
   prompt,
+  secretEnv,
+  readSecret,
   pretty,
   info,
   getPropertyFormChain,
@@ -45,42 +53,88 @@ addGlobalOptions(create);
 addWalletCreateOptions(create);
 create
   .option(...option.forceCreate())
+  .option(...option.mnemonic())
+  .option(...option.derivationPath())
   .description(desc.createWallet())
   .action(async (opts) => {
     await checkUpdate(opts);
     const spinner = Spinner(opts);
     try {
+      if (opts.derivationPath && !opts.mnemonic) {
+        spinner.warn('Option --derivation-path will be ignored');
+      }
       const force = opts.force || false;
       const walletOptions = await computeWalletCreateOptions(opts);
-      const res = await createAndSave({ force, ...walletOptions });
+      const res = await createAndSave({
+        force,
+        mnemonic: !!opts.mnemonic,
+        derivationPath: opts.derivationPath,
+        ...walletOptions,
+      });
       spinner.succeed(
         `Your wallet address is ${res.address}\nWallet saved in "${
           res.fileName
         }":\n${pretty(res.wallet)}`,
         { raw: res },
       );
+      if (res.mnemonic) {
+        spinner.info(
+          `Your mnemonic phrase is:\n${res.mnemonic}\nAccounts are derived from the path ${res.derivationPath}`,
+        );
+        spinner.warn(
+          'Anyone knowing your mnemonic phrase can use your wallet, write it down and store it in a safe place!',
+        );
+      }
       spinner.warn('You must backup your wallet file in a safe place!');
     } catch (error) {
       handleError(error, cli, opts);
     }
   });
 
-const importPk = cli.command('import <privateKey>');
+const importPk = cli.command('import [privateKeyOrMnemonic]');
 addGlobalOptions(importPk);
 addWalletCreateOptions(importPk);
 importPk
   .option(...option.forceCreate())
+  .option(...option.mnemonic())
+  .option(...option.derivationPath())
   .description(desc.importWallet())
-  .action(async (privateKey, opts) => {
+  .action(async (privateKeyOrMnemonic, opts) => {
     await checkUpdate(opts);
     const spinner = Spinner(opts);
     try {
+      if (opts.derivationPath && !opts.mnemonic) {
+        spinner.warn('Option --derivation-path will be ignored');
+      }
+      const secret =
+        privateKeyOrMnemonic ||
+        (await readSecret(
+          opts.mnemonic
+            ? {
+                name: 'mnemonic phrase',
+                env: secretEnv.walletMnemonic,
+                promptMessage: 'Paste your mnemonic phrase',
+                useMask: true,
+              }
+            : {
+                name: 'private key',
+                env: secretEnv.walletPrivateKey,
+                promptMessage: 'Paste your private key',
+                useMask: true,
+              },
+        ));
       const force = opts.force || false;
       const walletOptions = await computeWalletCreateOptions(opts);
-      const res = await importPrivateKeyAndSave(privateKey, {
-        force,
-        ...walletOptions,
-      });
+      const res = opts.mnemonic
+        ? await importMnemonicAndSave(secret.trim(), {
+            force,
+            derivationPath: opts.derivationPath,
+            ...walletOptions,
+          })
+        : await importPrivateKeyAndSave(secret, {
+            force,
+            ...walletOptions,
+          });
       spinner.succeed(
         `Your wallet address is ${res.address}\nWallet saved in "${
           res.fileName
@@ -103,17 +157,15 @@ show
   .action(async (address, opts) => {
     await checkUpdate(opts);
     const spinner = Spinner(opts);
-
-    const walletOptions = await computeWalletLoadOptions(opts);
-    const keystore = Keystore({
-      ...walletOptions,
-      ...((address || !opts.showPrivateKey) && { isSigner: false }),
-    });
-
     let userWallet;
     let userWalletAddress;
     let displayedWallet;
     try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore({
+        ...walletOptions,
+        ...((address || !opts.showPrivateKey) && { isSigner: false }),
+      });
       if (!address) {
         if (opts.showPrivateKey) {
           userWallet = await keystore.load();
@@ -181,6 +233,170 @@ show
     }
   });
 
+const getCustomKeystoreDirs = (opts) =>
+  opts.keystoredir &&
+  opts.keystoredir !== 'local' &&
+  opts.keystoredir !== 'global'
+    ? [opts.keystoredir]
+    : [];
+
+const list = cli.command('list');
+addGlobalOptions(list);
+list
+  .option(...option.keystoredir())
+  .description(desc.listWallets())
+  .action(async (opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const wallets = await listWallets({
+        keystoreDirs: getCustomKeystoreDirs(opts),
+      });
+      spinner.succeed(
+        wallets.length > 0
+          ? `Wallets found:${pretty(
+              wallets.map(
+                ({
+                  address,
+                  isEncrypted,
+                  creationDate,
+                  fileName,
+                  keystoreDir,
+                  isDefault,
+                }) =>
+                  `${address}${isDefault ? ' (default)' : ''} ${
+                    isEncrypted ? 'encrypted' : 'unencrypted'
+                  }${
+                    creationDate ? ` created ${creationDate}` : ''
+                  } in ${path.join(keystoreDir, fileName)}`,
+              ),
+            )}`
+          : 'No wallet found',
+        { raw: { wallets } },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const use = cli.command('use <address>');
+addGlobalOptions(use);
+use
+  .option(...option.keystoredir())
+  .description(desc.useWallet())
+  .action(async (address, opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const vAddress = await addressSchema().validate(address);
+      const match = (
+        await listWallets({ keystoreDirs: getCustomKeystoreDirs(opts) })
+      ).find((e) => e.address === vAddress);
+      if (!match) {
+        throw Error(`No wallet file matching address ${vAddress} found`);
+      }
+      await saveDefaultWallet(vAddress);
+      spinner.succeed(
+        `Default wallet for this project set to ${vAddress} (${path.join(
+          match.keystoreDir,
+          match.fileName,
+        )})`,
+        { raw: { defaultWallet: vAddress, fileName: match.fileName } },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const changePassword = cli.command('change-password');
+addGlobalOptions(changePassword);
+addWalletLoadOptions(changePassword);
+changePassword
+  .option(...option.newPassword())
+  .option(...option.newPasswordFile())
+  .description(desc.changeWalletPassword())
+  .action(async (opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore(walletOptions);
+      let newPassword;
+      if (opts.newPassword) {
+        newPassword = opts.newPassword;
+        spinner.warn(
+          'Option --new-password may be unsafe, make sure to know what you do',
+        );
+      } else {
+        newPassword = await readSecret({
+          name: 'new wallet password',
+          file: opts.newPasswordFile,
+          fileOption: option.newPasswordFile()[0],
+          env: secretEnv.walletNewPassword,
+          promptMessage: 'Please choose a new password for wallet encryption',
+          confirm: true,
+        });
+      }
+      const res = await keystore.changePassword(newPassword);
+      spinner.succeed(
+        `Password changed for wallet ${res.address} saved in "${res.fileName}"`,
+        { raw: res },
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const encryptWallet = cli.command('encrypt');
+addGlobalOptions(encryptWallet);
+encryptWallet
+  .option(...option.password())
+  .option(...option.passwordFile())
+  .option(...option.keystoredir())
+  .description(desc.encryptWallet())
+  .action(async (opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletCreateOptions(opts);
+      const res = await encryptUnencryptedWallet(walletOptions);
+      spinner.succeed(
+        `Wallet ${res.address} encrypted and saved in "${res.fileName}", unencrypted "wallet.json" removed`,
+        { raw: res },
+      );
+      spinner.warn('You must backup your wallet file in a safe place!');
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
+const decryptWallet = cli.command('decrypt');
+addGlobalOptions(decryptWallet);
+addWalletLoadOptions(decryptWallet);
+decryptWallet
+  .option(...option.force())
+  .description(desc.decryptWallet())
+  .action(async (opts) => {
+    await checkUpdate(opts);
+    const spinner = Spinner(opts);
+    try {
+      const walletOptions = await computeWalletLoadOptions(opts);
+      const keystore = Keystore(walletOptions);
+      const res = await keystore.decryptToUnencryptedWallet({
+        force: !!opts.force,
+      });
+      spinner.succeed(
+        `Wallet ${res.address} decrypted and saved in "${res.fileName}"`,
+        { raw: res },
+      );
+      spinner.warn(
+        'The unencrypted wallet file is unprotected, this is unsafe, make sure to know what you do',
+      );
+    } catch (error) {
+      handleError(error, cli, opts);
+    }
+  });
+
 const getEth = cli.command('get-ether').alias('getETH'); // DEPRECATED getETH
 addGlobalOptions(getEth);
 addWalletLoadOptions(getEth);
@@ -265,6 +481,7 @@ addWalletLoadOptions(sendETH);
 sendETH
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .option(...option.to())
@@ -283,7 +500,7 @@ sendETH
         keystore.accounts(),
         loadChain(opts.chain, { txOptions, spinner }),
       ]);
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       if (!opts.to) throw Error('Missing --to option');
       if (!opts.force) {
         await prompt.transferETH(
@@ -317,6 +534,7 @@ addWalletLoadOptions(sendRLC);
 sendRLC
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .option(...option.to())
@@ -336,7 +554,7 @@ sendRLC
         loadChain(opts.chain, { txOptions, spinner }),
       ]);
       if (!opts.to) throw Error('Missing --to option');
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       if (!opts.force) {
         await prompt.transferRLC(
           formatRLC(nRlcAmount),
@@ -371,6 +589,7 @@ addWalletLoadOptions(sweep);
 sweep
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .option(...option.to())
@@ -386,7 +605,7 @@ sweep
         keystore.accounts(),
         loadChain(opts.chain, { txOptions, spinner }),
       ]);
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       if (!opts.to) throw Error('Missing --to option');
       if (!opts.force) {
         await prompt.sweep(chain.contracts.isNative ? 'RLC' : 'ether and RLC')(
@@ -425,6 +644,7 @@ addWalletLoadOptions(bridgeToSidechain);
 bridgeToSidechain
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .description(desc.bridgeToSidechain())
@@ -440,7 +660,7 @@ bridgeToSidechain
         keystore.accounts(),
         loadChain(opts.chain, { txOptions, spinner }),
       ]);
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       if (chain.contracts.isNative)
         throw Error('Cannot bridge sidechain to sidechain');
       const bridgeConf = getPropertyFormChain(chain, 'bridge');
@@ -512,6 +732,7 @@ addWalletLoadOptions(bridgeToMainchain);
 bridgeToMainchain
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .description(desc.bridgeToMainchain())
@@ -527,7 +748,7 @@ bridgeToMainchain
         keystore.accounts(),
         loadChain(opts.chain, { txOptions, spinner }),
       ]);
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       if (!chain.contracts.isNative)
         throw Error('Cannot bridge mainchain to mainchain');
       const bridgeConf = getPropertyFormChain(chain, 'bridge');
@@ -599,6 +820,7 @@ addWalletLoadOptions(wrapEnterpriseRLC);
 wrapEnterpriseRLC
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .description(desc.wrapEnterpriseRLC())
@@ -633,6 +855,7 @@ wrapEnterpriseRLC
 
       await connectKeystore({ contracts: standardContracts }, keystore, {
         txOptions,
+        spinner,
       });
       if (!opts.force) {
         await prompt.wrap(formatRLC(nRlcAmount), chain.id);
@@ -662,6 +885,7 @@ addWalletLoadOptions(unwrapEnterpriseRLC);
 unwrapEnterpriseRLC
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .description(desc.unwrapEnterpriseRLC())
@@ -691,6 +915,7 @@ unwrapEnterpriseRLC
 
       await connectKeystore({ contracts: enterpriseContracts }, keystore, {
         txOptions,
+        spinner,
       });
       if (!opts.force) {
         await prompt.unwrap(formatRLC(nRlcAmount), chain.id);
@@ -720,6 +945,7 @@ addWalletLoadOptions(sendNRLC);
 sendNRLC
   .option(...option.chain())
   .option(...option.txGasPrice())
+  .option(...option.txOffline())
   .option(...option.txConfirms())
   .option(...option.force())
   .option(...option.to())
@@ -737,7 +963,7 @@ sendNRLC
         loadChain(opts.chain, { txOptions, spinner }),
       ]);
       if (!opts.to) throw Error('Missing --to option');
-      await connectKeystore(chain, keystore, { txOptions });
+      await connectKeystore(chain, keystore, { txOptions, spinner });
       if (!opts.force) {
         await prompt.transferRLC(
           formatRLC(nRlcAmount),
@@ -110,8 +110,12 @@ async function main() {
 
   cli.command('storage', 'manage remote storage');
 
+  cli.command('requester', 'manage requester secrets');
+
   cli.command('registry', 'interact with iExec registry');
 
+  cli.command('tx', 'sign and send transactions built offline');
+
   const infoCmd = cli.command('info');
   addGlobalOptions(infoCmd);
   infoCmd
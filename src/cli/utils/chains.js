@@ -5,9 +5,10 @@ const {
   getChainDefaults,
   isEnterpriseEnabled,
 } = require('../../common/utils/config');
-const { EnhancedWallet } = require('../../common/utils/signers');
-const { loadChainConf } = require('./fs');
-const { Spinner } = require('./cli-helper');
+const { EnhancedWallet, OfflineSigner } = require('../../common/utils/signers');
+const { decodeTransaction } = require('../../common/modules/transaction');
+const { loadChainConf, saveJSONToFile } = require('./fs');
+const { Spinner, pretty } = require('./cli-helper');
 
 const debug = Debug('iexec:chains');
 
@@ -233,7 +234,49 @@ const loadChain = async (
   }
 };
 
-const connectKeystore = async (chain, keystore, { txOptions = {} } = {}) => {
+const connectKeystore = async (
+  chain,
+  keystore,
+  { txOptions = {}, spinner = Spinner() } = {},
+) => {
+  if (txOptions.offline) {
+    const [address] = await keystore.accounts();
+    chain.contracts.setSigner(
+      new OfflineSigner(address, undefined, {
+        gasPrice: txOptions.gasPrice,
+        onUnsignedTransaction: async (unsignedTx) => {
+          // the description helps reviewing the transaction before signing
+          const description = await decodeTransaction(
+            chain.contracts,
+            unsignedTx,
+          ).catch((error) => {
+            debug('decodeTransaction()', error);
+            return {};
+          });
+          await saveJSONToFile(txOptions.offline, {
+            ...unsignedTx,
+            ...(description.method && { description }),
+          });
+          // in offline mode the command stops at the first transaction to send
+          spinner.succeed(
+            `Unsigned transaction saved in "${
+              txOptions.offline
+            }", sign it with "iexec tx sign" then broadcast it with "iexec tx send"${pretty(
+              unsignedTx,
+            )}`,
+            {
+              raw: {
+                unsignedTxFile: txOptions.offline,
+                unsignedTx,
+              },
+            },
+          );
+          process.exit(0);
+        },
+      }),
+    );
+    return;
+  }
   const { privateKey } = await keystore.load();
   const keystoreOptions = { gasPrice: txOptions.gasPrice };
   chain.contracts.setSigner(
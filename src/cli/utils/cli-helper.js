@@ -4,11 +4,13 @@ const inquirer = require('inquirer');
 const prettyjson = require('prettyjson');
 const BN = require('bn.js');
 const path = require('path');
+const fs = require('fs-extra');
 const checkForUpdate = require('update-check');
 const isDocker = require('is-docker');
 const packageJSON = require('../../../package.json');
 const {
   weiAmountSchema,
+  positiveIntSchema,
   positiveStrictIntSchema,
 } = require('../../common/utils/validator');
 const { storageProviders } = require('../../common/utils/params-utils');
@@ -73,8 +75,19 @@ const desc = {
   unpublishObj: (objName) =>
     `unpublish last published ${objName}order for from the marketplace`,
   createWallet: () => 'create a new wallet',
-  importWallet: () => 'import a wallet from an ethereum private key',
+  importWallet: () =>
+    'import a wallet from an ethereum private key or a BIP-39 mnemonic',
+  listWallets: () => 'list the wallets found in the local and global keystores',
+  changeWalletPassword: () => 'change the password of an encrypted wallet',
+  encryptWallet: () =>
+    'encrypt the unencrypted "wallet.json" into a keystore file and remove "wallet.json"',
+  decryptWallet: () =>
+    'decrypt an encrypted wallet into an unencrypted "wallet.json" in the working directory (unsafe)',
+  useWallet: () =>
+    'set the default wallet used in the current project (saved in "chain.json")',
   fill: (objName) => `fill an ${objName} to execute a work`,
+  matchOrders: () =>
+    'match signed orders from "orders.json" or from the marketplace to execute a work',
   cancel: (objName) => `cancel an ${objName}`,
   showObj: (objName, owner = 'user') => `show ${owner} ${objName} details`,
   countObj: (objName, owner = 'user') => `get ${owner} ${objName} count`,
@@ -100,12 +113,22 @@ const desc = {
     'push the dataset secret to the secret management service (default push the last secret genarated, use --secret-path <secretPath> to overwrite)',
   pushResultKey: () =>
     'push the public encryption key to the secret management service',
+  pushAppSecret: () =>
+    'push the app developer secret to the secret management service (the secret is available to the TEE app only)',
   checkSecret: () =>
     'check if a secret exists in the secret management service',
   encryptDataset: () =>
     "for each file in the original dataset directory, generate a key, create an encrypted copy of the file in the encrypted dataset directory and compute the encrypted file's checksum",
+  decryptDataset: () =>
+    "decrypt an encrypted dataset file with its key and verify the encrypted file's checksum against the deployed dataset checksum",
+  verifyDataset: () =>
+    "download a deployed dataset and verify its content against the dataset's on-chain checksum",
+  uploadDataset: () =>
+    'upload an encrypted dataset file to IPFS and fill the dataset multiaddr and checksum in "iexec.json"',
   generateKeys: () =>
     'generate a beneficiary key pair to encrypt and decrypt the results',
+  rotateResultKey: () =>
+    'generate a new beneficiary key pair, make it the active key and push its public key to the secret management service (previous keys are kept to decrypt older results)',
   decryptResults: () => 'decrypt encrypted results with beneficary key',
   bridgeToSidechain: () =>
     'send RLC from the mainchain to the sidechain (default unit nRLC)',
@@ -115,11 +138,34 @@ const desc = {
     'swap RLC for the same amount of eRLC (default unit nRLC) - the wallet must be authorized to interact with eRLC',
   unwrapEnterpriseRLC: () =>
     'swap eRLC for the same amount of RLC (default unit neRLC) - the wallet must be authorized to interact with eRLC',
+  downloadDealResults: () =>
+    'download the result of every completed task of a deal, each result is written in a task directory and a manifest summarizes the download',
+  listDeals: () =>
+    'list the deals of a requester (default wallet address) from the iExec Marketplace',
   appRun: () =>
     'run an iExec application at market price (default run last deployed app)',
   requestRun: () => 'request an iExec application execution at limit price',
   initStorage: () => 'initialize the remote storage',
   checkStorage: () => 'check if the remote storage is initialized',
+  pushRequesterSecret: () =>
+    'push a named requester secret to the secret management service',
+  checkRequesterSecret: () =>
+    'check if a named requester secret exists in the secret management service',
+  listRequesterSecrets: () =>
+    'list the requester secrets pushed from this project and check they exist in the secret management service',
+  signTx: () =>
+    'sign an unsigned transaction built with --offline (does not require network access)',
+  sendTx: () => 'broadcast a signed transaction and wait for its confirmation',
+};
+
+// environment variables used as secret sources in non-interactive mode
+const secretEnv = {
+  walletPassword: 'IEXEC_WALLET_PASSWORD',
+  walletNewPassword: 'IEXEC_WALLET_NEW_PASSWORD',
+  walletPrivateKey: 'IEXEC_WALLET_PRIVATE_KEY',
+  walletMnemonic: 'IEXEC_WALLET_MNEMONIC',
+  secretValue: 'IEXEC_SECRET_VALUE',
+  storageToken: 'IEXEC_STORAGE_TOKEN',
 };
 
 const option = {
@@ -205,6 +251,10 @@ const option = {
     'specify the params of the request, existing request order will be ignored\n* usage: --params \'{"iexec_args":"dostuff","iexec_input_files":["https://example.com/file.zip"]}\'',
   ],
   appRunWatch: () => ['--watch', 'watch execution status changes'],
+  checkMatch: () => [
+    '--check',
+    'run every matching check and show a report instead of matching the orders',
+  ],
   to: () => ['--to <address>', 'receiver address'],
   skipWallet: () => ['--skip-wallet', 'skip creating a new wallet'],
   forceCreate: () => [
@@ -222,9 +272,29 @@ const option = {
     'download a task result data to local filesystem, if completed',
   ],
   decrypt: () => ['--decrypt', 'decrypt an encrypted result'],
+  resultsOutputDir: () => [
+    '--output-dir <path>',
+    'directory where the tasks results are written (default "<dealid>")',
+  ],
+  downloadConcurrency: () => [
+    '--concurrency <integer>',
+    'maximum number of results downloaded in parallel (default 5)',
+  ],
   category: () => ['--category <id>', 'specify the work category'],
   filterAppSpecific: () => ['--app <address>', 'filter by app'],
   filterDatasetSpecific: () => ['--dataset <address>', 'filter by dataset'],
+  filterWorkerpoolSpecific: () => [
+    '--workerpool <address>',
+    'filter by workerpool',
+  ],
+  fromDate: () => [
+    '--from <date>',
+    'filter items created after the date (usage: --from 2021-07-19T00:00:00Z)',
+  ],
+  toDate: () => [
+    '--to <date>',
+    'filter items created before the date, a date without time includes the whole day (usage: --to 2021-07-31)',
+  ],
   filterBeneficiarySpecific: () => [
     '--beneficiary <address>',
     'filter by beneficiary',
@@ -261,6 +331,18 @@ const option = {
     '--password <password>',
     'password used to encrypt the wallet (unsafe)',
   ],
+  passwordFile: () => [
+    '--password-file <path>',
+    `read the wallet password from a file ("-" for stdin), can be replaced by the environment variable ${secretEnv.walletPassword}`,
+  ],
+  newPassword: () => [
+    '--new-password <password>',
+    'new password used to encrypt the wallet (unsafe)',
+  ],
+  newPasswordFile: () => [
+    '--new-password-file <path>',
+    `read the new wallet password from a file ("-" for stdin), can be replaced by the environment variable ${secretEnv.walletNewPassword}`,
+  ],
   unencrypted: () => [
     '--unencrypted',
     'generate unsafe unencrypted wallet in working directory (--keystoredir option is ignored)',
@@ -280,9 +362,25 @@ const option = {
     '--wallet-file <walletFileName>',
     'specify the name of the wallet file to use',
   ],
+  mnemonic: () => [
+    '--mnemonic',
+    'use a BIP-39 mnemonic phrase (the wallet can derive multiple accounts)',
+  ],
+  derivationPath: () => [
+    '--derivation-path <path>',
+    `specify the derivation path of the account to use with --mnemonic (default "m/44'/60'/0'/0/0")`,
+  ],
+  accountIndex: () => [
+    '--account-index <index>',
+    'use the account derived at <index> from the wallet mnemonic (replaces the last component of the wallet derivation path)',
+  ],
   secretPath: () => [
     '--secret-path <secretPath>',
-    'push the secret from a file',
+    'push the secret from a file ("-" for stdin)',
+  ],
+  secretValue: () => [
+    '--secret-value <secretValue>',
+    'specify the secret value (unsafe)',
   ],
   datasetKeystoredir: () => [
     '--dataset-keystoredir <path>',
@@ -308,6 +406,22 @@ const option = {
     '--original-dataset-dir <path>',
     'specify the original dataset directory',
   ],
+  datasetEncryptionAlgorithm: () => [
+    '--algorithm <algorithm>',
+    'dataset encryption algorithm "aes-256-cbc" or "aes-256-gcm" (authenticated encryption, the encrypted file starts with a version header) (default "aes-256-cbc")',
+  ],
+  datasetKeyFile: () => [
+    '--key-file <path>',
+    'dataset encryption key file (default "<encryptedFileName>.key" in the dataset keystore directory)',
+  ],
+  decryptedDatasetPath: () => [
+    '--output <path>',
+    'path of the decrypted dataset file (default "<encryptedFileName>" without ".enc" in the current directory)',
+  ],
+  zipFolders: () => [
+    '--zip-folders',
+    'pack each folder of the original dataset directory into a deterministic zip (sorted entries and fixed dates) and encrypt it',
+  ],
   txGasPrice: () => [
     '--gas-price <amount unit...>',
     'set custom gas price for transactions (default unit wei)',
@@ -316,7 +430,19 @@ const option = {
     '--confirms <blockCount>',
     'set custom block count to wait for transactions confirmation (default 1 block)',
   ],
+  txOffline: () => [
+    '--offline <unsignedTxFile>',
+    'build the transaction and save it unsigned into <unsignedTxFile> instead of sending it (sign it with "iexec tx sign" then broadcast it with "iexec tx send")',
+  ],
+  signedTxFile: () => [
+    '--signed-tx-file <path>',
+    'save the signed transaction into <path> (default "<unsignedTxFile>.signed.json")',
+  ],
   forceUpdateSecret: () => ['--force-update', 'update if already exists'],
+  storageTokenFile: () => [
+    '--token-file <path>',
+    `read the storage provider authorization token from a file ("-" for stdin), can be replaced by the environment variable ${secretEnv.storageToken}`,
+  ],
   storageToken: () => [
     '--token <token>',
     'storage provider authorization token (unsafe)',
@@ -374,6 +500,10 @@ const orderOption = {
     '--workerpool-price <amount unit...>',
     'workerpool price per task (default unit nRLC)',
   ],
+  maxPrice: () => [
+    '--max-price <amount unit...>',
+    'maximum total price to pay, the cheapest orders are selected within this budget (default unit nRLC)',
+  ],
   volume: () => ['--volume <volume>', 'number of run'],
   tag: () => ['--tag <tag>', 'specify tags\n* usage: --tag tag1,tag2'],
   category: () => ['--category <id>', 'id of the task category'],
@@ -412,7 +542,7 @@ const orderOption = {
   ],
   requestInputFiles: () => [
     '--input-files <fileUrl>',
-    'specify the URL of input files to be used by the app\n* usage: --input-files https://example.com/foo.txt,https://example.com/bar.zip',
+    'specify the URL of input files to be used by the app, local file paths are uploaded to IPFS\n* usage: --input-files https://example.com/foo.txt,./bar.zip',
   ],
   requestEncryptResult: () => [
     '--encrypt-result',
@@ -431,15 +561,18 @@ const addGlobalOptions = (cli) => {
 
 const addWalletCreateOptions = (cli) => {
   cli.option(...option.password());
+  cli.option(...option.passwordFile());
   cli.option(...option.unencrypted());
   cli.option(...option.keystoredir());
 };
 
 const addWalletLoadOptions = (cli) => {
   cli.option(...option.password());
+  cli.option(...option.passwordFile());
   cli.option(...option.walletFileName());
   cli.option(...option.walletAddress());
   cli.option(...option.keystoredir());
+  cli.option(...option.accountIndex());
 };
 
 const question = async (
@@ -488,6 +621,59 @@ const promptConfirmedPassword = async (
   throw Error('Password missmatch');
 };
 
+let isStdinRead = false;
+
+const readStdin = () =>
+  new Promise((resolve, reject) => {
+    if (isStdinRead) {
+      reject(Error('stdin can only be used as a source for one secret'));
+      return;
+    }
+    isStdinRead = true;
+    const chunks = [];
+    process.stdin
+      .on('data', (chunk) => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+      .on('error', reject);
+  });
+
+const readSecretFile = async (filePath) =>
+  filePath === '-' ? readStdin() : fs.readFile(filePath, 'utf8');
+
+// secret sources by priority: file (or stdin), environment variable, interactive prompt
+const readSecret = async ({
+  name,
+  file,
+  fileOption,
+  env,
+  promptMessage = `Please enter your ${name}`,
+  confirm = false,
+  useMask = false,
+} = {}) => {
+  if (file) {
+    const secret = (await readSecretFile(file)).trim();
+    if (!secret)
+      throw Error(`Empty ${name} in ${file === '-' ? 'stdin' : file}`);
+    return secret;
+  }
+  if (env && process.env[env]) {
+    return process.env[env];
+  }
+  if (!process.stdin.isTTY) {
+    const sources = [
+      ...(fileOption ? [`option ${fileOption}`] : []),
+      ...(env ? [`environment variable ${env}`] : []),
+    ];
+    throw Error(
+      `Missing ${name}${
+        sources.length > 0 ? `, use ${sources.join(' or ')}` : ''
+      } (interactive prompt is disabled when stdin is not a TTY)`,
+    );
+  }
+  if (confirm) return promptConfirmedPassword(promptMessage);
+  return promptPassword(promptMessage, { useMask });
+};
+
 const prompt = {
   password: (message, options) => promptPassword(message, options),
   confimedPassword: (message, confirmation) =>
@@ -536,6 +722,8 @@ const prompt = {
   unpublishFromJsonFile: (orderName, order) =>
     question(`Do you want to unpublish the following ${orderName}? ${order}`),
   more: () => question('Show more?', { rejectDefault: true, strict: false }),
+  signTransaction: (tx) =>
+    question(`Do you want to sign the following transaction? ${tx}`),
 };
 
 prompt.transferETH = (...args) => prompt.transfer('ether', ...args);
@@ -657,10 +845,15 @@ const computeWalletCreateOptions = async (opts) => {
       spinner.warn(
         'Option --password may be unsafe, make sure to know what you do',
       );
-    } else if (!opts.unencrypted) {
-      pw = await prompt.confimedPassword(
-        'Please choose a password for wallet encryption',
-      );
+    } else if (opts.passwordFile || !opts.unencrypted) {
+      pw = await readSecret({
+        name: 'wallet password',
+        file: opts.passwordFile,
+        fileOption: option.passwordFile()[0],
+        env: secretEnv.walletPassword,
+        promptMessage: 'Please choose a password for wallet encryption',
+        confirm: true,
+      });
     }
     if (!pw && !opts.unencrypted) {
       throw Error('Missing wallet password');
@@ -714,8 +907,18 @@ const computeWalletLoadOptions = (opts) => {
         ? opts.keystoredir
         : false;
     const password = (opts && opts.password) || false;
+    const passwordFile = (opts && opts.passwordFile) || false;
     const walletFileName = (opts && opts.walletFile) || false;
     const walletAddress = (opts && opts.walletAddress) || false;
+    const accountIndex =
+      opts && opts.accountIndex !== undefined
+        ? positiveIntSchema()
+            .max(0x7fffffff)
+            .label('account-index')
+            .validateSync(opts.accountIndex)
+        : undefined;
+    // in offline mode the wallet key is not loaded, the address is enough
+    const offline = !!(opts && opts.offline);
     return {
       walletOptions: {
         global,
@@ -724,6 +927,9 @@ const computeWalletLoadOptions = (opts) => {
         walletAddress,
         walletFileName,
         password,
+        passwordFile,
+        accountIndex,
+        offline,
       },
     };
   } catch (error) {
@@ -770,8 +976,126 @@ const createEncFolderPaths = (opts = {}) => {
 
 const DEFAULT_ENCRYPTED_RESULTS_NAME = 'encryptedResults.zip';
 const DEFAULT_DECRYPTED_RESULTS_NAME = 'results.zip';
-const publicKeyName = (address) => `${address}_key.pub`;
-const privateKeyName = (address) => `${address}_key`;
+const privateKeyName = (address, keyId) =>
+  keyId ? `${address}_${keyId}_key` : `${address}_key`;
+const publicKeyName = (address, keyId) =>
+  `${privateKeyName(address, keyId)}.pub`;
+const keyringName = (address) => `${address}_keyring.json`;
+
+const loadBeneficiaryKey = async (opts, keystore, { spinner } = {}) => {
+  const { beneficiarySecretsFolderPath } = createEncFolderPaths(opts);
+  const exists = await fs.pathExists(beneficiarySecretsFolderPath);
+  if (!exists) {
+    throw Error(
+      'Beneficiary secrets folder is missing did you forget to run "iexec results generate-encryption-keypair"?',
+    );
+  }
+  let beneficiaryKeyPath;
+  if (opts.beneficiaryKeyFile) {
+    beneficiaryKeyPath = path.join(
+      beneficiarySecretsFolderPath,
+      opts.beneficiaryKeyFile,
+    );
+  } else {
+    const [address] = await keystore.accounts();
+    if (spinner) spinner.info(`Using beneficiary key for wallet ${address}`);
+    beneficiaryKeyPath = path.join(
+      beneficiarySecretsFolderPath,
+      privateKeyName(address),
+    );
+  }
+  try {
+    return await fs.readFile(beneficiaryKeyPath, 'utf8');
+  } catch (error) {
+    debug(error);
+    throw Error(`Failed to load beneficiary key from "${beneficiaryKeyPath}"`);
+  }
+};
+
+const loadBeneficiaryKeyring = async (
+  beneficiarySecretsFolderPath,
+  address,
+) => {
+  const keyringPath = path.join(
+    beneficiarySecretsFolderPath,
+    keyringName(address),
+  );
+  const exists = await fs.pathExists(keyringPath);
+  if (!exists) return { keys: [] };
+  try {
+    const keyring = await fs.readJson(keyringPath);
+    if (!Array.isArray(keyring.keys)) throw Error('Missing keys');
+    return keyring;
+  } catch (error) {
+    debug(error);
+    throw Error(`Invalid beneficiary keyring "${keyringPath}"`);
+  }
+};
+
+const loadBeneficiaryKeys = async (opts, keystore, { spinner } = {}) => {
+  if (opts.beneficiaryKeyFile) {
+    return [await loadBeneficiaryKey(opts, keystore, { spinner })];
+  }
+  const { beneficiarySecretsFolderPath } = createEncFolderPaths(opts);
+  const exists = await fs.pathExists(beneficiarySecretsFolderPath);
+  if (!exists) {
+    throw Error(
+      'Beneficiary secrets folder is missing did you forget to run "iexec results generate-encryption-keypair"?',
+    );
+  }
+  const [address] = await keystore.accounts();
+  if (spinner) spinner.info(`Using beneficiary keys for wallet ${address}`);
+  const { activeKeyId, keys } = await loadBeneficiaryKeyring(
+    beneficiarySecretsFolderPath,
+    address,
+  );
+  // try the active key first then the previous keys from the newest to the oldest
+  const keyFiles = [
+    privateKeyName(address),
+    ...keys
+      .filter(({ id }) => id === activeKeyId)
+      .map(({ privateKeyFile }) => privateKeyFile),
+    ...[...keys]
+      .reverse()
+      .filter(({ id }) => id !== activeKeyId)
+      .map(({ privateKeyFile }) => privateKeyFile),
+  ];
+  const loadedKeys = await Promise.all(
+    keyFiles.map((keyFile) =>
+      fs
+        .readFile(path.join(beneficiarySecretsFolderPath, keyFile), 'utf8')
+        .catch((error) => {
+          debug(error);
+          return undefined;
+        }),
+    ),
+  );
+  const beneficiaryKeys = loadedKeys.filter(
+    (key, index) => key !== undefined && loadedKeys.indexOf(key) === index,
+  );
+  if (beneficiaryKeys.length === 0) {
+    throw Error(
+      `Failed to load beneficiary key from "${path.join(
+        beneficiarySecretsFolderPath,
+        privateKeyName(address),
+      )}"`,
+    );
+  }
+  return beneficiaryKeys;
+};
+
+const decryptWithBeneficiaryKeys = async (beneficiaryKeys, decryptFn) => {
+  const tryKey = async (index) => {
+    try {
+      return await decryptFn(beneficiaryKeys[index]);
+    } catch (error) {
+      if (index + 1 >= beneficiaryKeys.length) throw error;
+      debug(`beneficiary key ${index} failed`, error);
+      return tryKey(index + 1);
+    }
+  };
+  return tryKey(0);
+};
 
 const computeTxOptions = async (opts) => {
   let gasPrice;
@@ -795,8 +1119,10 @@ const computeTxOptions = async (opts) => {
       });
   }
   debug('confirms', confirms);
+  const offline = opts.offline || undefined;
+  debug('offline', offline);
 
-  return { gasPrice, confirms };
+  return { gasPrice, confirms, offline };
 };
 
 const getPropertyFormChain = (chain, property, { strict = true } = {}) => {
@@ -919,6 +1245,20 @@ const displayPaginableRequest = async (
       }
       return { results, count: totalCount };
     }
+  } else if (res.more && typeof res.more === 'function') {
+    // every result of the page was filtered out, try the next page
+    return displayPaginableRequest(
+      {
+        request: res.more(),
+        processResponse,
+        fetchMessage,
+        emptyResultsMessage,
+        createResultsMessage,
+        spinner,
+        raw,
+      },
+      { results, count },
+    );
   }
   if (results.length === 0 && emptyResultsMessage) {
     spinner.info(emptyResultsMessage);
@@ -971,6 +1311,23 @@ const renderTasksStatus = (tasksStatusMap, { detailed = false } = {}) => {
   return `${completedMsg}${failedMsg}${statusMsg}`;
 };
 
+const renderTable = (rows = [], { columns = [] } = {}) => {
+  const lines = [columns, ...rows].map((row) =>
+    row.map((cell) => (cell === undefined ? '' : `${cell}`)),
+  );
+  const widths = columns.map((column, i) =>
+    Math.max(...lines.map((line) => line[i].length)),
+  );
+  const renderLine = (line) =>
+    line
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join(' | ')
+      .trimEnd();
+  const separator = widths.map((width) => '-'.repeat(width)).join('-+-');
+  const [header, ...body] = lines;
+  return [renderLine(header), separator, ...body.map(renderLine)].join('\n');
+};
+
 module.exports = {
   finalizeCli,
   checkUpdate,
@@ -992,7 +1349,15 @@ module.exports = {
   DEFAULT_DECRYPTED_RESULTS_NAME,
   publicKeyName,
   privateKeyName,
+  keyringName,
+  loadBeneficiaryKey,
+  loadBeneficiaryKeyring,
+  loadBeneficiaryKeys,
+  decryptWithBeneficiaryKeys,
   prompt,
+  secretEnv,
+  readSecret,
+  readSecretFile,
   pretty,
   prettyRPC,
   isEthAddress,
@@ -1001,5 +1366,6 @@ module.exports = {
   lba,
   lb,
   renderTasksStatus,
+  renderTable,
   displayPaginableRequest,
 };
@@ -1,10 +1,13 @@
 const Debug = require('debug');
 const fs = require('fs-extra');
 const path = require('path');
+const { createHash } = require('crypto');
+const JSZip = require('jszip');
 const { object, string, number, boolean, lazy } = require('yup');
 const {
   addressSchema,
   chainIdSchema,
+  ValidationError,
 } = require('../../common/utils/validator');
 const { prompt, info } = require('./cli-helper');
 const templates = require('./templates');
@@ -19,6 +22,7 @@ const chainConfSchema = () =>
     sms: string(),
     resultProxy: string(),
     ipfsGateway: string(),
+    ipfsNode: string(),
     iexecGateway: string(),
     native: boolean(),
     useGas: boolean().default(true),
@@ -41,6 +45,9 @@ const chainConfSchema = () =>
 const chainsConfSchema = () =>
   object({
     default: string(),
+    defaultWallet: lazy((value) =>
+      value === undefined ? string() : addressSchema(),
+    ),
     chains: object()
       .test(async (chains) => {
         await Promise.all(
@@ -87,11 +94,37 @@ const deployedObjSchema = () =>
     return true;
   });
 
+const requesterSecretsSchema = () =>
+  object().test(async (obj) => {
+    await Promise.all(
+      Object.entries({ ...obj }).map(async ([chainId, requesters]) => {
+        await chainIdSchema().validate(chainId, { strict: true });
+        await Promise.all(
+          Object.entries({ ...requesters }).map(
+            async ([address, secretNames]) => {
+              await addressSchema().validate(address, { strict: true });
+              if (
+                !Array.isArray(secretNames) ||
+                !secretNames.every((name) => typeof name === 'string')
+              ) {
+                throw new ValidationError(
+                  `Invalid requester secrets names for ${address}`,
+                );
+              }
+            },
+          ),
+        );
+      }),
+    );
+    return true;
+  });
+
 const deployedConfSchema = () =>
   object({
     app: deployedObjSchema().notRequired(),
     dataset: deployedObjSchema().notRequired(),
     workerpool: deployedObjSchema().notRequired(),
+    requesterSecrets: requesterSecretsSchema().notRequired(),
   })
     .noUnknown(true, 'Unknown key "${unknown}"')
     .strict();
@@ -338,6 +371,53 @@ const saveSignedOrder = async (orderName, chainId, signedOrder) => {
   }
 };
 
+const saveRequesterSecretName = async (chainId, address, secretName) => {
+  try {
+    const deployedConf = await loadDeployedConf({ retry: () => ({}) });
+    const requesterSecrets = deployedConf.requesterSecrets || {};
+    const chainSecrets = requesterSecrets[chainId] || {};
+    const secretNames = chainSecrets[address] || [];
+    if (!secretNames.includes(secretName)) {
+      deployedConf.requesterSecrets = {
+        ...requesterSecrets,
+        [chainId]: {
+          ...chainSecrets,
+          [address]: [...secretNames, secretName].sort(),
+        },
+      };
+      await saveDeployedConf(deployedConf, { force: true });
+    }
+  } catch (error) {
+    debug('saveRequesterSecretName()', error);
+    throw error;
+  }
+};
+
+const loadRequesterSecretNames = async (chainId, address) => {
+  const deployedConf = await loadDeployedConf({ retry: () => ({}) });
+  const requesterSecrets = deployedConf.requesterSecrets || {};
+  return (
+    (requesterSecrets[chainId] && requesterSecrets[chainId][address]) || []
+  );
+};
+
+const saveDefaultWallet = async (address) => {
+  try {
+    const chainConf = await loadChainConf();
+    chainConf.defaultWallet = address;
+    const fileName = await saveChainConf(chainConf, { force: true });
+    return { saved: address, fileName };
+  } catch (error) {
+    debug('saveDefaultWallet()', error);
+    throw error;
+  }
+};
+
+const loadDefaultWallet = async () => {
+  const chainConf = await loadChainConf({ retry: () => ({}) });
+  return chainConf.defaultWallet;
+};
+
 const loadDeployedObj = async (objName) => {
   const deployedConf = await loadDeployedConf({ retry: () => ({}) });
 
@@ -356,6 +436,75 @@ const isEmptyDir = async (dirPath) => {
   }
 };
 
+// DOS epoch, zip entries dates are fixed for the zip checksum to be reproducible
+const DETERMINISTIC_ZIP_DATE = new Date('1980-01-01T00:00:00Z');
+
+const listFolderEntries = async (folderPath, relativePath = '') => {
+  const names = (await fs.readdir(path.join(folderPath, relativePath))).sort();
+  const listEntries = async (index = 0, entries = []) => {
+    if (index >= names.length) return entries;
+    const entryPath = path.posix.join(relativePath, names[index]);
+    const stats = await fs.lstat(path.join(folderPath, entryPath));
+    if (stats.isDirectory()) {
+      entries.push({ path: entryPath, dir: true });
+      entries.push(...(await listFolderEntries(folderPath, entryPath)));
+    } else if (stats.isFile()) {
+      entries.push({ path: entryPath, dir: false });
+    } else {
+      debug(`listFolderEntries() skipping ${entryPath} (not a file)`);
+    }
+    return listEntries(index + 1, entries);
+  };
+  return listEntries();
+};
+
+const createDeterministicZipStream = async (folderPath) => {
+  try {
+    const entries = await listFolderEntries(folderPath);
+    const zip = new JSZip();
+    entries.forEach((entry) => {
+      if (entry.dir) {
+        zip.file(entry.path, null, {
+          dir: true,
+          date: DETERMINISTIC_ZIP_DATE,
+          createFolders: false,
+        });
+      } else {
+        zip.file(
+          entry.path,
+          fs.createReadStream(path.join(folderPath, entry.path)),
+          {
+            binary: true,
+            date: DETERMINISTIC_ZIP_DATE,
+            createFolders: false,
+          },
+        );
+      }
+    });
+    return zip.generateNodeStream({
+      type: 'nodebuffer',
+      streamFiles: true,
+      compression: 'DEFLATE',
+      compressionOptions: { level: 9 },
+    });
+  } catch (error) {
+    debug('createDeterministicZipStream()', error);
+    throw error;
+  }
+};
+
+const computeFileChecksum = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(`0x${hash.digest('hex')}`))
+      .on('error', (error) => {
+        debug('computeFileChecksum()', error);
+        reject(Error(`Failed to read file "${filePath}"`));
+      });
+  });
+
 module.exports = {
   saveToFile,
   saveTextToFile,
@@ -377,9 +526,15 @@ module.exports = {
   initObj,
   initIExecConf,
   loadDeployedObj,
+  saveRequesterSecretName,
+  loadRequesterSecretNames,
+  saveDefaultWallet,
+  loadDefaultWallet,
   initChainConf,
   initOrderObj,
   isEmptyDir,
+  createDeterministicZipStream,
+  computeFileChecksum,
   IEXEC_FILE_NAME,
   CHAIN_FILE_NAME,
   WALLET_FILE_NAME,
@@ -1,6 +1,7 @@
 const Debug = require('debug');
 const os = require('os');
 const path = require('path');
+const { randomBytes } = require('crypto');
 const fs = require('fs-extra');
 const { Wallet } = require('ethers');
 const { computePublicKey } = require('ethers').utils;
@@ -8,13 +9,21 @@ const {
   checksummedAddress,
   NULL_ADDRESS,
 } = require('../../common/utils/utils');
+const { addressSchema } = require('../../common/utils/validator');
 const {
   saveWalletConf,
   loadWalletConf,
   saveEncryptedWalletConf,
   loadEncryptedWalletConf,
+  loadDefaultWallet,
 } = require('./fs');
-const { prompt, option, computeWalletLoadOptions } = require('./cli-helper');
+const {
+  prompt,
+  option,
+  secretEnv,
+  readSecret,
+  computeWalletLoadOptions,
+} = require('./cli-helper');
 
 const debug = Debug('iexec:keystore');
 
@@ -38,6 +47,123 @@ const osDefaultPathMap = {
   },
 };
 
+const getGlobalKeystoreDir = () => {
+  const keystoredir = osDefaultPathMap[os.platform()]
+    ? osDefaultPathMap[os.platform()].keystoredir
+    : osDefaultPathMap.fallback.keystoredir;
+  return path.join(os.homedir(), keystoredir);
+};
+
+const isKeystoreFileName = (fileName) => !!fileName.split('--')[2];
+
+const isAddressFileName = (fileName, address) => {
+  const fileAddress = fileName.split('--')[2];
+  return (
+    !!fileAddress &&
+    ('0x'.concat(fileAddress).toLowerCase() === address.toLowerCase() ||
+      fileAddress.toLowerCase() === address.toLowerCase())
+  );
+};
+
+const descSortWallet = (a, b) => {
+  const aDate = a.split('--')[1];
+  const bDate = b.split('--')[1];
+  if (aDate < bDate) return 1;
+  if (aDate > bDate) return -1;
+  return 0;
+};
+
+// UTC--2021-01-01T00-00-00.000000000Z--<address> => 2021-01-01T00:00:00.000Z
+const creationDateFromFileName = (fileName) => {
+  const match = fileName
+    .split('--')[1]
+    .match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(\.\d{1,3})?\d*Z$/);
+  if (!match) return undefined;
+  const [, day, hours, minutes, seconds, millis = ''] = match;
+  const date = new Date(`${day}T${hours}:${minutes}:${seconds}${millis}Z`);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+const readDirFiles = async (dir) => {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    debug('readDirFiles()', error);
+    return [];
+  }
+};
+
+const listWallets = async ({ keystoreDirs = [] } = {}) => {
+  try {
+    const localDir = process.cwd();
+    const dirs = [
+      ...keystoreDirs.map((dir) => path.resolve(dir)),
+      localDir,
+      getGlobalKeystoreDir(),
+    ].filter((dir, i, arr) => arr.indexOf(dir) === i);
+    const wallets = [];
+    // unencrypted wallet.json in working directory
+    if (await fs.pathExists(path.join(localDir, WALLET_FILE_NAME))) {
+      try {
+        const { address } = await loadWalletConf({
+          fileName: WALLET_FILE_NAME,
+        });
+        const { mtime } = await fs.stat(path.join(localDir, WALLET_FILE_NAME));
+        wallets.push({
+          address: checksummedAddress(address),
+          isEncrypted: false,
+          creationDate: mtime.toISOString(),
+          fileName: WALLET_FILE_NAME,
+          keystoreDir: localDir,
+        });
+      } catch (error) {
+        debug('listWallets() invalid wallet', WALLET_FILE_NAME, error);
+      }
+    }
+    const dirsWallets = await Promise.all(
+      dirs.map(async (keystoreDir) => {
+        const fileNames = (await readDirFiles(keystoreDir))
+          .filter(isKeystoreFileName)
+          .sort(descSortWallet);
+        const dirWallets = await Promise.all(
+          fileNames.map(async (fileName) => {
+            try {
+              const { address } = await loadEncryptedWalletConf({
+                fileName,
+                fileDir: keystoreDir,
+              });
+              return {
+                address: checksummedAddress(address),
+                isEncrypted: true,
+                creationDate: creationDateFromFileName(fileName),
+                fileName,
+                keystoreDir,
+              };
+            } catch (error) {
+              debug('listWallets() invalid wallet', fileName, error);
+              return null;
+            }
+          }),
+        );
+        return dirWallets.filter((wallet) => wallet !== null);
+      }),
+    );
+    dirsWallets.forEach((dirWallets) => wallets.push(...dirWallets));
+    const defaultWallet = await loadDefaultWallet().catch(() => undefined);
+    return wallets.map((wallet) => ({
+      ...wallet,
+      isDefault:
+        !!defaultWallet &&
+        wallet.address.toLowerCase() === defaultWallet.toLowerCase(),
+    }));
+  } catch (error) {
+    debug('listWallets()', error);
+    throw error;
+  }
+};
+
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
 const walletFromPrivKey = (privateKey) => {
   const signerWallet = new Wallet(privateKey);
   const wallet = {
@@ -48,13 +174,73 @@ const walletFromPrivKey = (privateKey) => {
   return { wallet, signerWallet };
 };
 
+const walletFromMnemonic = (
+  phrase,
+  derivationPath = DEFAULT_DERIVATION_PATH,
+) => {
+  let signerWallet;
+  try {
+    signerWallet = Wallet.fromMnemonic(phrase, derivationPath);
+  } catch (error) {
+    debug('walletFromMnemonic()', error);
+    throw Error(
+      `Failed to derive wallet from mnemonic with derivation path ${derivationPath}: ${
+        error.reason || error.message
+      }`,
+    );
+  }
+  const wallet = {
+    privateKey: signerWallet.privateKey,
+    publicKey: computePublicKey(signerWallet.privateKey),
+    address: signerWallet.address,
+    mnemonic: {
+      phrase: signerWallet.mnemonic.phrase,
+      path: signerWallet.mnemonic.path,
+    },
+  };
+  return { wallet, signerWallet };
+};
+
+const walletFromConf = ({ privateKey, mnemonic }) =>
+  mnemonic
+    ? walletFromMnemonic(mnemonic.phrase, mnemonic.path)
+    : walletFromPrivKey(privateKey);
+
+const checkWalletAddress = (wallet, expectedAddress) => {
+  if (
+    !expectedAddress ||
+    wallet.address.toLowerCase() !==
+      checksummedAddress(expectedAddress).toLowerCase()
+  ) {
+    throw Error(
+      `Wallet address verification failed, expected ${expectedAddress} got ${wallet.address}`,
+    );
+  }
+};
+
+// the file is replaced only once its content is verified, the temporary file is always removed
+const writeVerifiedJSONFile = async (filePath, obj, verify) => {
+  const tmpFilePath = `${filePath}.${randomBytes(8).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(tmpFilePath, JSON.stringify(obj, null, 2));
+    await verify(await fs.readJson(tmpFilePath));
+    await fs.rename(tmpFilePath, filePath);
+  } finally {
+    await fs.remove(tmpFilePath);
+  }
+};
+
+// the account index replaces the last component of the derivation path
+const getAccountDerivationPath = (derivationPath, accountIndex) =>
+  `${derivationPath.split('/').slice(0, -1).join('/')}/${accountIndex}`;
+
 const decrypt = async (encryptedJSON, password) => {
   try {
-    const { privateKey } = await Wallet.fromEncryptedJson(
+    const { privateKey, mnemonic } = await Wallet.fromEncryptedJson(
       JSON.stringify(encryptedJSON),
       password,
     );
-    const { wallet } = walletFromPrivKey(privateKey);
+    const { wallet } = walletFromConf({ privateKey, mnemonic });
     return wallet;
   } catch (error) {
     debug('decrypt()', error);
@@ -62,9 +248,12 @@ const decrypt = async (encryptedJSON, password) => {
   }
 };
 
-const encrypt = async (privateKey, password) => {
+const encrypt = async ({ privateKey, mnemonic }, password) => {
   try {
-    const wallet = new Wallet(privateKey);
+    // wallets derived from a mnemonic keep the encrypted mnemonic in the keystore file
+    const wallet = mnemonic
+      ? Wallet.fromMnemonic(mnemonic.phrase, mnemonic.path)
+      : new Wallet(privateKey);
     const encryptedJSON = await wallet.encrypt(password);
     const encrypted = await JSON.parse(encryptedJSON);
     return encrypted;
@@ -78,10 +267,7 @@ const saveWallet = async (userWallet, options) => {
   // keystoredir
   let fileDir;
   if (options.walletOptions && options.walletOptions.global) {
-    const keystoredir = osDefaultPathMap[os.platform()]
-      ? osDefaultPathMap[os.platform()].keystoredir
-      : osDefaultPathMap.fallback.keystoredir;
-    fileDir = path.join(os.homedir(), keystoredir);
+    fileDir = getGlobalKeystoreDir();
   } else if (options.walletOptions && options.walletOptions.path) {
     fileDir = path.join(options.walletOptions.path);
   }
@@ -89,7 +275,7 @@ const saveWallet = async (userWallet, options) => {
   // encryted
   if (options.walletOptions && options.walletOptions.password) {
     const encryptedWallet = await encrypt(
-      userWallet.privateKey,
+      userWallet,
       options.walletOptions.password,
     );
     // Wallet name
@@ -126,8 +312,60 @@ const importPrivateKeyAndSave = async (privateKey, options) => {
   return saveWallet(wallet, options);
 };
 
-const createAndSave = async (options) =>
-  importPrivateKeyAndSave(Wallet.createRandom().privateKey, options);
+const importMnemonicAndSave = async (
+  phrase,
+  { derivationPath = DEFAULT_DERIVATION_PATH, ...options } = {},
+) => {
+  const { wallet } = walletFromMnemonic(phrase, derivationPath);
+  const saved = await saveWallet(wallet, options);
+  return { ...saved, derivationPath: wallet.mnemonic.path };
+};
+
+const createAndSave = async ({ mnemonic = false, ...options } = {}) => {
+  if (mnemonic) {
+    const { phrase } = Wallet.createRandom().mnemonic;
+    const saved = await importMnemonicAndSave(phrase, options);
+    return { ...saved, mnemonic: phrase };
+  }
+  return importPrivateKeyAndSave(Wallet.createRandom().privateKey, options);
+};
+
+const encryptUnencryptedWallet = async (options) => {
+  try {
+    if (!options.walletOptions || !options.walletOptions.password) {
+      throw Error('Missing wallet password');
+    }
+    const filePath = path.join(process.cwd(), WALLET_FILE_NAME);
+    let walletConf;
+    try {
+      walletConf = await loadWalletConf({ fileName: WALLET_FILE_NAME });
+    } catch (error) {
+      debug('encryptUnencryptedWallet() load', error);
+      throw Error(`No "${WALLET_FILE_NAME}" found in working directory`);
+    }
+    const { wallet } = walletFromConf(walletConf);
+    checkWalletAddress(wallet, walletConf.address);
+    const saved = await saveWallet(wallet, options);
+    try {
+      checkWalletAddress(
+        await decrypt(
+          await fs.readJson(saved.fileName),
+          options.walletOptions.password,
+        ),
+        wallet.address,
+      );
+    } catch (error) {
+      debug('encryptUnencryptedWallet() verify', error);
+      await fs.remove(saved.fileName);
+      throw Error(`Failed to verify the encrypted wallet: ${error.message}`);
+    }
+    await fs.remove(filePath);
+    return { address: wallet.address, fileName: saved.fileName };
+  } catch (error) {
+    debug('encryptUnencryptedWallet()', error);
+    throw error;
+  }
+};
 
 const Keystore = ({
   walletOptions = computeWalletLoadOptions().walletOptions,
@@ -138,24 +376,13 @@ const Keystore = ({
   // keystoreDir
   let fileDir;
   if (walletOptions && walletOptions.global) {
-    const keystoredir = osDefaultPathMap[os.platform()]
-      ? osDefaultPathMap[os.platform()].keystoredir
-      : osDefaultPathMap.fallback.keystoredir;
-    fileDir = path.join(os.homedir(), keystoredir);
+    fileDir = getGlobalKeystoreDir();
   } else if (walletOptions && walletOptions.path) {
     fileDir = path.join(walletOptions.path);
   } else {
     fileDir = process.cwd();
   }
 
-  const descSortWallet = (a, b) => {
-    const aDate = a.split('--')[1];
-    const bDate = b.split('--')[1];
-    if (aDate < bDate) return 1;
-    if (aDate > bDate) return -1;
-    return 0;
-  };
-
   const getMostRecentWalletFileName = async () => {
     let files;
     try {
@@ -165,9 +392,7 @@ const Keystore = ({
       debug('getMostRecentWalletFileName()', error);
       throw error;
     }
-    const sortedWallet = files
-      .filter((e) => e.split('--')[2])
-      .sort(descSortWallet);
+    const sortedWallet = files.filter(isKeystoreFileName).sort(descSortWallet);
     return sortedWallet[0] || null;
   };
 
@@ -186,16 +411,7 @@ const Keystore = ({
         );
       }
       const match = files
-        .filter((e) => {
-          const address = e.split('--')[2];
-          return (
-            address &&
-            ('0x'.concat(address).toLowerCase() ===
-              walletOptions.walletAddress.toLowerCase() ||
-              address.toLowerCase() ===
-                walletOptions.walletAddress.toLowerCase())
-          );
-        })
+        .filter((e) => isAddressFileName(e, walletOptions.walletAddress))
         .sort(descSortWallet)[0];
       if (match) {
         return match;
@@ -204,6 +420,23 @@ const Keystore = ({
         `No wallet file matching address ${walletOptions.walletAddress} found in ${fileDir}`,
       );
     }
+    // project default wallet set with "iexec wallet use"
+    const defaultWallet = await loadDefaultWallet();
+    if (defaultWallet) {
+      const wallet = (await listWallets({ keystoreDirs: [fileDir] })).find(
+        ({ address }) => address.toLowerCase() === defaultWallet.toLowerCase(),
+      );
+      if (!wallet) {
+        throw Error(
+          `No wallet file matching default wallet ${defaultWallet} found, run "iexec wallet use <address>" to change the default wallet or use option ${
+            option.walletAddress()[0]
+          }`,
+        );
+      }
+      if (!wallet.isEncrypted) return null;
+      fileDir = wallet.keystoreDir;
+      return wallet.fileName;
+    }
     const existsUnencrypted = await fs.existsSync(
       path.join(process.cwd(), 'wallet.json'),
     );
@@ -211,19 +444,47 @@ const Keystore = ({
     return getMostRecentWalletFileName();
   };
 
+  const decryptWalletFile = async (fileName) => {
+    const loadingOptions = { fileName, fileDir };
+    const encryptedWallet = await loadEncryptedWalletConf(loadingOptions);
+    if (!password) {
+      password = await readSecret({
+        name: 'wallet password',
+        file: walletOptions && walletOptions.passwordFile,
+        fileOption: option.passwordFile()[0],
+        env: secretEnv.walletPassword,
+        promptMessage: `Using wallet ${fileName}\nPlease enter your password to unlock your wallet`,
+      });
+    }
+    const wallet = await decrypt(encryptedWallet, password);
+    return { wallet, address: encryptedWallet.address };
+  };
+
+  const getEncryptedWalletFileName = async () => {
+    const fileName = await getWalletFileName();
+    if (!fileName) {
+      throw Error(
+        `The wallet in use is the unencrypted "${WALLET_FILE_NAME}", run "iexec wallet encrypt" to encrypt it`,
+      );
+    }
+    return fileName;
+  };
+
   // load wallet from FS
   const load = async () => {
     if (cachedWallet && cachedWallet.wallet) return cachedWallet.wallet;
     const fileName = await getWalletFileName();
     // try local unencrypted
     let pk;
+    let mnemonic;
     if (!fileName) {
       try {
         const loadingOptions = {
           fileName: WALLET_FILE_NAME,
         };
-        const { privateKey } = await loadWalletConf(loadingOptions);
-        pk = privateKey;
+        const walletConf = await loadWalletConf(loadingOptions);
+        pk = walletConf.privateKey;
+        mnemonic = walletConf.mnemonic;
       } catch (error) {
         debug('try load unencrypted', error);
         throw Error(
@@ -236,25 +497,38 @@ const Keystore = ({
     // try encrypted
     if (!pk) {
       try {
-        const loadingOptions = { fileName, fileDir };
-        const encryptedWallet = await loadEncryptedWalletConf(loadingOptions);
-        if (!password) {
-          password = await prompt.password(
-            `Using wallet ${fileName}\nPlease enter your password to unlock your wallet`,
-          );
-        }
-        const wallet = await decrypt(encryptedWallet, password);
+        const { wallet } = await decryptWalletFile(fileName);
         pk = wallet.privateKey;
+        mnemonic = wallet.mnemonic;
       } catch (error) {
         debug('try load encrypted', error);
         throw error;
       }
     }
-    cachedWallet = walletFromPrivKey(pk);
+    if (walletOptions && walletOptions.accountIndex !== undefined) {
+      if (!mnemonic) {
+        throw Error(
+          `Option ${
+            option.accountIndex()[0]
+          } requires a wallet created or imported from a mnemonic`,
+        );
+      }
+      cachedWallet = walletFromMnemonic(
+        mnemonic.phrase,
+        getAccountDerivationPath(mnemonic.path, walletOptions.accountIndex),
+      );
+    } else {
+      cachedWallet = walletFromPrivKey(pk);
+    }
     return cachedWallet.wallet;
   };
 
   const loadWalletAddress = async () => {
+    // derived accounts addresses are not stored in the wallet file
+    if (walletOptions && walletOptions.accountIndex !== undefined) {
+      const { address } = await load();
+      return address;
+    }
     const fileName = await getWalletFileName();
     let walletAddress;
     // try local unencrypted
@@ -282,11 +556,31 @@ const Keystore = ({
     return walletAddress;
   };
 
+  // offline mode, the wallet key is not required on this machine
+  const loadOfflineAddress = async () => {
+    if (walletOptions.walletAddress && !walletOptions.walletFileName) {
+      return addressSchema()
+        .label('wallet-address')
+        .validate(walletOptions.walletAddress);
+    }
+    const walletAddress = await loadWalletAddress();
+    if (!walletAddress) {
+      throw Error(
+        `Missing option ${
+          option.walletAddress()[0]
+        }, the wallet address is required in offline mode`,
+      );
+    }
+    return walletAddress;
+  };
+
   const accounts = async () => {
     try {
       debug('accounts');
       let walletAddress;
-      if (isSigner) {
+      if (walletOptions && walletOptions.offline) {
+        walletAddress = await loadOfflineAddress();
+      } else if (isSigner) {
         try {
           const wallet = await load();
           walletAddress = wallet.address;
@@ -308,14 +602,57 @@ const Keystore = ({
     }
   };
 
+  const changePassword = async (newPassword) => {
+    try {
+      const fileName = await getEncryptedWalletFileName();
+      const { wallet, address } = await decryptWalletFile(fileName);
+      checkWalletAddress(wallet, address);
+      const encryptedWallet = await encrypt(wallet, newPassword);
+      const filePath = path.join(fileDir, fileName);
+      await writeVerifiedJSONFile(filePath, encryptedWallet, async (saved) =>
+        checkWalletAddress(await decrypt(saved, newPassword), address),
+      );
+      password = newPassword;
+      return { address: wallet.address, fileName: filePath };
+    } catch (error) {
+      debug('changePassword()', error);
+      throw error;
+    }
+  };
+
+  const decryptToUnencryptedWallet = async ({ force = false } = {}) => {
+    try {
+      const fileName = await getEncryptedWalletFileName();
+      const { wallet, address } = await decryptWalletFile(fileName);
+      checkWalletAddress(wallet, address);
+      const filePath = path.join(process.cwd(), WALLET_FILE_NAME);
+      if (!force && (await fs.pathExists(filePath))) {
+        await prompt.overwrite(WALLET_FILE_NAME);
+      }
+      await writeVerifiedJSONFile(filePath, wallet, async (saved) =>
+        checkWalletAddress(walletFromConf(saved).wallet, address),
+      );
+      return { address: wallet.address, fileName: WALLET_FILE_NAME };
+    } catch (error) {
+      debug('decryptToUnencryptedWallet()', error);
+      throw error;
+    }
+  };
+
   return {
     load,
     accounts,
+    changePassword,
+    decryptToUnencryptedWallet,
   };
 };
 
 module.exports = {
   Keystore,
+  listWallets,
+  encryptUnencryptedWallet,
   importPrivateKeyAndSave,
+  importMnemonicAndSave,
   createAndSave,
+  DEFAULT_DERIVATION_PATH,
 };
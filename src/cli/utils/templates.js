@@ -136,6 +136,7 @@ const chains = {
     //   sms: 'http://localhost:5000',
     //   resultProxy: 'http://localhost:8089',
     //   ipfsGateway: 'http://localhost:8080',
+    //   ipfsNode: 'http://localhost:5001',
     //   flavour: 'standard',
     //   hub: '0xC129e7917b7c7DeDfAa5Fff1FB18d5D7050fE8ca',
     //   enterprise: {
@@ -148,6 +149,7 @@ const chains = {
     //   sms: 'http://localhost:5000',
     //   resultProxy: 'http://localhost:8089',
     //   ipfsGateway: 'http://localhost:8080',
+    //   ipfsNode: 'http://localhost:5001',
     //   flavour: 'enterprise',
     //   hub: '0xb80C02d24791fA92fA8983f15390274698A75D23',
     //   enterprise: {
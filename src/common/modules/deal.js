@@ -1,14 +1,17 @@
 const Debug = require('debug');
 const { defaultAbiCoder, keccak256 } = require('ethers').utils;
-const { showCategory, getTimeoutRatio } = require('./hub');
+const { showCategory } = require('./hub');
+const taskModule = require('./task');
 const {
   cleanRPC,
   bnifyNestedEthersBn,
   ethersBnToBn,
   NULL_ADDRESS,
+  NULL_BYTES32,
   BN,
 } = require('../utils/utils');
 const { jsonApi, wrapPaginableRequest } = require('../utils/api-utils');
+const { multicall } = require('../utils/multicall');
 const {
   chainIdSchema,
   addressSchema,
@@ -18,7 +21,7 @@ const {
   positiveStrictIntSchema,
   throwIfMissing,
 } = require('../utils/validator');
-const { ObjectNotFoundError } = require('../utils/errors');
+const { ObjectNotFoundError, MarketplaceApiError } = require('../utils/errors');
 const { wrapCall, wrapSend, wrapWait } = require('../utils/errorWrappers');
 
 const debug = Debug('iexec:deal');
@@ -67,11 +70,14 @@ const fetchRequesterDeals = async (
       api: iexecGatewayURL,
       endpoint: '/deals',
       query,
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (response.ok && response.deals) {
       return response;
     }
-    throw Error('An error occured while getting deals');
+    throw new MarketplaceApiError('An error occured while getting deals', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('fetchRequesterDeals()', error);
     throw error;
@@ -120,18 +126,18 @@ const show = async (
     const vDealid = await bytes32Schema().validate(dealid);
     const { chainId } = contracts;
     const iexecContract = contracts.getIExecContract();
-    const deal = bnifyNestedEthersBn(
-      cleanRPC(await wrapCall(iexecContract.viewDeal(vDealid))),
-    );
+    const [rpcDeal, rpcTimeoutRatio] = await multicall(contracts, [
+      { contract: iexecContract, method: 'viewDeal', args: [vDealid] },
+      { contract: iexecContract, method: 'final_deadline_ratio' },
+    ]);
+    const deal = bnifyNestedEthersBn(cleanRPC(rpcDeal));
     const dealExists =
       deal && deal.app && deal.app.pointer && deal.app.pointer !== NULL_ADDRESS;
     if (!dealExists) {
       throw new ObjectNotFoundError('deal', dealid, chainId);
     }
-    const [{ workClockTimeRef }, timeoutRatio] = await Promise.all([
-      showCategory(contracts, deal.category),
-      getTimeoutRatio(contracts),
-    ]);
+    const timeoutRatio = ethersBnToBn(rpcTimeoutRatio);
+    const { workClockTimeRef } = await showCategory(contracts, deal.category);
     const finalTime = deal.startTime.add(timeoutRatio.mul(workClockTimeRef));
     const now = Math.floor(Date.now() / 1000);
     const deadlineReached = now >= finalTime.toNumber();
@@ -155,19 +161,49 @@ const show = async (
   }
 };
 
-const getTaskStatus = async (
+const fetchDealTasks = async (
   contracts = throwIfMissing(),
-  taskid = throwIfMissing(),
+  deal = throwIfMissing(),
+  taskIdxArray = Object.keys(deal.tasks),
 ) => {
   try {
-    const vTaskId = await bytes32Schema().validate(taskid);
     const iexecContract = contracts.getIExecContract();
-    const task = bnifyNestedEthersBn(
-      cleanRPC(await wrapCall(iexecContract.viewTask(vTaskId))),
+    const rpcTasks = await multicall(
+      contracts,
+      taskIdxArray.map((idx) => ({
+        contract: iexecContract,
+        method: 'viewTask',
+        args: [deal.tasks[idx]],
+      })),
     );
-    return new BN(task.status).toNumber();
+    return taskIdxArray.reduce((acc, idx, i) => {
+      const taskid = deal.tasks[idx];
+      const task = bnifyNestedEthersBn(cleanRPC(rpcTasks[i]));
+      acc[idx] =
+        task.dealid === NULL_BYTES32
+          ? taskModule.createUninitializedTask(
+              taskid,
+              deal.dealid,
+              deal.finalTime,
+            )
+          : taskModule.formatTask(taskid, task);
+      return acc;
+    }, {});
   } catch (error) {
-    debug('getTaskStatus()', error);
+    debug('fetchDealTasks()', error);
+    throw error;
+  }
+};
+
+const showTasks = async (
+  contracts = throwIfMissing(),
+  dealid = throwIfMissing(),
+) => {
+  try {
+    const deal = await show(contracts, dealid);
+    return await fetchDealTasks(contracts, deal);
+  } catch (error) {
+    debug('showTasks()', error);
     throw error;
   }
 };
@@ -192,16 +228,15 @@ const claim = async (
     const initialized = [];
     const notInitialized = [];
 
-    await Promise.all(
-      Object.entries(tasks).map(async ([idx, taskid]) => {
-        const taskStatus = await getTaskStatus(contracts, taskid);
-        if (taskStatus === 0) {
-          notInitialized.push({ idx, taskid });
-        } else if (taskStatus < 3) {
-          initialized.push({ idx, taskid });
-        }
-      }),
-    );
+    const tasksStatus = await fetchDealTasks(contracts, deal);
+    Object.entries(tasks).forEach(([idx, taskid]) => {
+      const taskStatus = new BN(tasksStatus[idx].status).toNumber();
+      if (taskStatus === 0) {
+        notInitialized.push({ idx, taskid });
+      } else if (taskStatus < 3) {
+        initialized.push({ idx, taskid });
+      }
+    });
     if (initialized.length === 0 && notInitialized.length === 0)
       throw Error('Nothing to claim');
     initialized.sort((a, b) =>
@@ -287,6 +322,8 @@ const claim = async (
 
 module.exports = {
   show,
+  showTasks,
+  fetchDealTasks,
   computeTaskId,
   fetchRequesterDeals,
   claim,
@@ -1,4 +1,6 @@
 const Debug = require('debug');
+const fetch = require('cross-fetch');
+const hashjs = require('hash.js');
 const {
   ethersBnToBn,
   checksummedAddress,
@@ -272,6 +274,85 @@ const showDataset = async (
   return { objAddress, dataset: clean };
 };
 
+const resolveDatasetURL = (datasetMultiaddr, ipfsGatewayURL) => {
+  const ipfsPath = /^\/(ipfs|p2p)\/([^/]+)(\/.*)?$/.exec(datasetMultiaddr);
+  if (ipfsPath) {
+    if (!ipfsGatewayURL) throw Error('Missing IPFS gateway URL');
+    return `${ipfsGatewayURL}/ipfs/${ipfsPath[2]}${ipfsPath[3] || ''}`;
+  }
+  if (/^https?:\/\//.test(datasetMultiaddr)) return datasetMultiaddr;
+  throw Error(
+    `Unsupported dataset multiaddr ${datasetMultiaddr}, only IPFS multiaddr and HTTP URL can be verified`,
+  );
+};
+
+// hashed chunk by chunk, WHATWG streams (browser fetch) expose a reader, NodeJS streams emit events
+const streamChecksum = async (body) => {
+  const hash = hashjs.sha256();
+  let size = 0;
+  const update = (chunk) => {
+    hash.update(chunk);
+    size += chunk.length;
+  };
+  if (body && typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    const readChunks = async () => {
+      const { done, value } = await reader.read();
+      if (done) return;
+      update(value);
+      await readChunks();
+    };
+    await readChunks();
+  } else {
+    await new Promise((resolve, reject) => {
+      body.on('data', update);
+      body.on('end', resolve);
+      body.on('error', reject);
+    });
+  }
+  return { checksum: `0x${hash.digest('hex')}`, size };
+};
+
+const verifyDataset = async (
+  contracts = throwIfMissing(),
+  datasetAddress = throwIfMissing(),
+  { ipfsGatewayURL } = {},
+) => {
+  try {
+    const { objAddress, dataset } = await showDataset(
+      contracts,
+      datasetAddress,
+    );
+    const { datasetMultiaddr, datasetChecksum } = dataset;
+    const url = resolveDatasetURL(datasetMultiaddr, ipfsGatewayURL);
+    const res = await fetch(url).catch((e) => {
+      debug(e);
+      throw Error(`Failed to download dataset from ${url}: ${e.message}`);
+    });
+    if (!res.ok) {
+      throw Error(
+        `Failed to download dataset from ${url}: ${res.status} ${res.statusText}`,
+      );
+    }
+    const { checksum, size } = await streamChecksum(res.body).catch((e) => {
+      debug(e);
+      throw Error(`Failed to download dataset from ${url}: ${e.message}`);
+    });
+    return {
+      address: objAddress,
+      multiaddr: datasetMultiaddr,
+      url,
+      size,
+      checksum,
+      datasetChecksum,
+      verified: checksum === datasetChecksum,
+    };
+  } catch (error) {
+    debug('verifyDataset()', error);
+    throw error;
+  }
+};
+
 const showUserDataset = async (
   contracts = throwIfMissing(),
   index = throwIfMissing(),
@@ -445,6 +526,7 @@ module.exports = {
   checkDeployedWorkerpool,
   showApp,
   showDataset,
+  verifyDataset,
   showWorkerpool,
   showUserApp,
   showUserDataset,
@@ -459,4 +541,5 @@ module.exports = {
   showCategory,
   countCategory,
   getTimeoutRatio,
+  tokenIdToAddress,
 };
@@ -1,9 +1,13 @@
 const Debug = require('debug');
 const dealModule = require('./deal');
 const taskModule = require('./task');
-const { FETCH_INTERVAL } = require('../utils/utils');
+const { FETCH_INTERVAL, decryptResult } = require('../utils/utils');
 const { downloadZipApi } = require('../utils/api-utils');
-const { bytes32Schema, throwIfMissing } = require('../utils/validator');
+const {
+  bytes32Schema,
+  positiveStrictIntSchema,
+  throwIfMissing,
+} = require('../utils/validator');
 const { ObjectNotFoundError } = require('../utils/errors');
 const { Observable, SafeObserver } = require('../utils/reactive');
 
@@ -24,6 +28,21 @@ const downloadFromIpfs = async (
   }
 };
 
+const downloadTaskResults = async (task, { ipfsGatewayURL } = {}) => {
+  if (task.status !== 3) throw Error('Task is not completed');
+  const { storage, location } = task.results;
+  if (storage === 'none') {
+    throw Error('No result uploaded for this task');
+  }
+  if (storage !== 'ipfs') {
+    throw Error(`Task result stored on ${storage}, download not supported`);
+  }
+  if (!location) {
+    throw Error('Missing location key in task results, download not supported');
+  }
+  return downloadFromIpfs(location, { ipfsGatewayURL });
+};
+
 const fetchTaskResults = async (
   contracts = throwIfMissing(),
   taskid = throwIfMissing(),
@@ -32,20 +51,7 @@ const fetchTaskResults = async (
   try {
     const vTaskId = await bytes32Schema().validate(taskid);
     const task = await taskModule.show(contracts, vTaskId);
-    if (task.status !== 3) throw Error('Task is not completed');
-    const { storage, location } = task.results;
-    if (storage === 'none') {
-      throw Error('No result uploaded for this task');
-    }
-    if (storage !== 'ipfs') {
-      throw Error(`Task result stored on ${storage}, download not supported`);
-    }
-    if (!location) {
-      throw Error(
-        'Missing location key in task results, download not supported',
-      );
-    }
-    const res = await downloadFromIpfs(location, { ipfsGatewayURL });
+    const res = await downloadTaskResults(task, { ipfsGatewayURL });
     return res;
   } catch (error) {
     debug('fetchResults()', error);
@@ -53,6 +59,146 @@ const fetchTaskResults = async (
   }
 };
 
+const runWithConcurrency = async (items, concurrency, worker) => {
+  const results = [];
+  let nextIndex = 0;
+  const runNext = async () => {
+    if (nextIndex >= items.length) return;
+    const index = nextIndex;
+    nextIndex += 1;
+    results[index] = await worker(items[index]);
+    await runNext();
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, runNext),
+  );
+  return results;
+};
+
+const fetchDealResults = async (
+  contracts = throwIfMissing(),
+  dealid = throwIfMissing(),
+  { ipfsGatewayURL, beneficiaryKey, concurrency = 5, onTaskResult } = {},
+) => {
+  try {
+    const vDealid = await bytes32Schema().validate(dealid);
+    const vConcurrency = await positiveStrictIntSchema()
+      .label('concurrency')
+      .validate(concurrency);
+    const tasks = Object.entries(
+      await dealModule.showTasks(contracts, vDealid),
+    ).map(([idx, task]) => ({ ...task, idx: parseInt(idx, 10) }));
+    const completedTasks = tasks.filter(({ status }) => status === 3);
+    const notCompleted = tasks
+      .filter(({ status }) => status !== 3)
+      .map(({ idx, taskid, status, statusName }) => ({
+        idx,
+        taskid,
+        status,
+        statusName,
+      }));
+    const outcomes = await runWithConcurrency(
+      completedTasks,
+      vConcurrency,
+      async (task) => {
+        const { idx, taskid } = task;
+        try {
+          const res = await downloadTaskResults(task, { ipfsGatewayURL });
+          const result = beneficiaryKey
+            ? await decryptResult(await res.arrayBuffer(), beneficiaryKey)
+            : Buffer.from(await res.arrayBuffer());
+          if (onTaskResult) {
+            await onTaskResult({ idx, taskid, result });
+            return { idx, taskid };
+          }
+          return { idx, taskid, result };
+        } catch (error) {
+          debug(`fetchDealResults() task ${idx}`, error);
+          return { idx, taskid, error };
+        }
+      },
+    );
+    return {
+      dealid: vDealid,
+      tasksCount: tasks.length,
+      downloaded: outcomes.filter(({ error }) => !error),
+      failed: outcomes.filter(({ error }) => !!error),
+      notCompleted,
+    };
+  } catch (error) {
+    debug('fetchDealResults()', error);
+    throw error;
+  }
+};
+
+const TASK_EVENTS = [
+  'TaskInitialize',
+  'TaskContribute',
+  'TaskReveal',
+  'TaskFinalize',
+  'TaskClaimed',
+];
+
+// setTimeout delay is stored as a signed 32 bits int
+const MAX_TIMEOUT_DELAY = 2147483647;
+
+const subscribeTasksEvents = (
+  contracts = throwIfMissing(),
+  taskids = throwIfMissing(),
+  listener = throwIfMissing(),
+  onError = throwIfMissing(),
+) => {
+  try {
+    const { provider } = contracts;
+    if (
+      !provider ||
+      typeof provider.on !== 'function' ||
+      typeof provider.off !== 'function'
+    ) {
+      return undefined;
+    }
+    const iexecContract = contracts.getIExecContract();
+    const filter = {
+      address: iexecContract.address,
+      topics: [
+        TASK_EVENTS.map((eventName) =>
+          iexecContract.interface.getEventTopic(eventName),
+        ),
+        taskids.map((taskid) => taskid.toLowerCase()),
+      ],
+    };
+    const handler = (log) => {
+      debug('task event', log.topics[1]);
+      listener(log.topics[1]);
+    };
+    // ethers reports failed log queries on the provider "error" event
+    const errorHandler = (error) => {
+      debug('task events subscription error', error);
+      onError(error);
+    };
+    provider.on(filter, handler);
+    provider.on('error', errorHandler);
+    return () => {
+      provider.off(filter, handler);
+      provider.off('error', errorHandler);
+    };
+  } catch (error) {
+    debug('subscribeTasksEvents() failed, fallback to polling', error);
+    return undefined;
+  }
+};
+
+const scheduleAt = (timestamp, callback, minDelay = 0) => {
+  const delay = Math.min(
+    Math.max(timestamp * 1000 - Date.now(), minDelay),
+    MAX_TIMEOUT_DELAY,
+  );
+  return setTimeout(callback, delay);
+};
+
+const checkTaskEnded = ({ status, taskTimedOut } = {}) =>
+  taskTimedOut || status === 3 || status === 4;
+
 const obsTaskMessages = {
   TASK_UPDATED: 'TASK_UPDATED',
   TASK_COMPLETED: 'TASK_COMPLETED',
@@ -69,7 +215,10 @@ const obsTask = (
     const safeObserver = new SafeObserver(observer);
 
     let task;
+    let finalTime;
     let interval;
+    let deadlineTimeout;
+    let unsubscribeEvents;
     let abort = false;
 
     const handleTaskNotFound = async (e) => {
@@ -77,30 +226,26 @@ const obsTask = (
       if (e instanceof ObjectNotFoundError && vDealid) {
         const vTaskid = await bytes32Schema().validate(taskid);
         const deal = await dealModule.show(contracts, vDealid);
-        const now = Math.floor(Date.now() / 1000);
-        const deadlineReached = now >= deal.finalTime.toNumber();
-        return {
-          taskid: vTaskid,
-          dealid: vDealid,
-          status: 0,
-          statusName: deadlineReached
-            ? taskModule.TASK_STATUS_MAP.timeout
-            : taskModule.TASK_STATUS_MAP[0],
-          taskTimedOut: deadlineReached,
-        };
+        finalTime = deal.finalTime.toNumber();
+        return taskModule.createUninitializedTask(
+          vTaskid,
+          vDealid,
+          deal.finalTime,
+        );
       }
       throw e;
     };
 
-    const checkTaskEnded = ({ status, taskTimedOut } = {}) =>
-      taskTimedOut || status === 3 || status === 4;
-
     const fetchTaskAndNotify = async () => {
       try {
         const vTaskid = await bytes32Schema().validate(taskid);
         const newTask = await taskModule
           .show(contracts, vTaskid)
           .catch(handleTaskNotFound);
+        if (abort) return;
+        if (newTask.finalDeadline !== undefined) {
+          finalTime = parseInt(newTask.finalDeadline, 10);
+        }
         if (!task || newTask.status !== task.status || newTask.taskTimedOut) {
           task = newTask;
           if (task.status === 3) {
@@ -137,18 +282,63 @@ const obsTask = (
       }
     };
 
-    fetchTaskAndNotify().then(() => {
-      if (!abort && !checkTaskEnded(task)) {
-        interval = setInterval(fetchTaskAndNotify, FETCH_INTERVAL);
+    // the chain may mark the task timed out a bit after the local clock, retry until then
+    const watchDeadline = (minDelay = 0) => {
+      if (abort || checkTaskEnded(task)) return;
+      deadlineTimeout = scheduleAt(
+        finalTime,
+        () => fetchTaskAndNotify().then(() => watchDeadline(FETCH_INTERVAL)),
+        minDelay,
+      );
+    };
+
+    const startPolling = () => {
+      if (unsubscribeEvents) {
+        unsubscribeEvents();
+        unsubscribeEvents = undefined;
       }
-    });
+      if (deadlineTimeout) {
+        clearTimeout(deadlineTimeout);
+      }
+      if (abort || interval) return;
+      interval = setInterval(fetchTaskAndNotify, FETCH_INTERVAL);
+    };
+
+    const startWatch = async () => {
+      try {
+        const vTaskid = await bytes32Schema().validate(taskid);
+        unsubscribeEvents = subscribeTasksEvents(
+          contracts,
+          [vTaskid],
+          () => fetchTaskAndNotify(),
+          startPolling,
+        );
+      } catch (e) {
+        safeObserver.error(e);
+        return;
+      }
+      await fetchTaskAndNotify();
+      if (abort || checkTaskEnded(task)) return;
+      if (unsubscribeEvents) {
+        watchDeadline();
+      } else {
+        startPolling();
+      }
+    };
 
     safeObserver.unsub = () => {
       abort = true;
       if (interval) {
         clearInterval(interval);
       }
+      if (deadlineTimeout) {
+        clearTimeout(deadlineTimeout);
+      }
+      if (unsubscribeEvents) {
+        unsubscribeEvents();
+      }
     };
+    startWatch();
     return safeObserver.unsubscribe.bind(safeObserver);
   });
 
@@ -161,7 +351,10 @@ const obsDealMessages = {
 const obsDeal = (contracts = throwIfMissing(), dealid = throwIfMissing()) =>
   new Observable((observer) => {
     const safeObserver = new SafeObserver(observer);
-    let taskWatchers = [];
+    let interval;
+    let deadlineTimeout;
+    let unsubscribeEvents;
+    let abort = false;
 
     const startWatch = async () => {
       try {
@@ -210,25 +403,106 @@ const obsDeal = (contracts = throwIfMissing(), dealid = throwIfMissing()) =>
           }
         };
 
-        taskWatchers = Object.entries(tasks).map(([idx, { taskid }]) =>
-          obsTask(contracts, taskid, { dealid }).subscribe({
-            next: ({ task }) => {
-              tasks[idx] = { ...tasks[idx], ...task };
+        const idxByTaskid = Object.values(tasks).reduce(
+          (acc, { idx, taskid }) => {
+            acc[taskid.toLowerCase()] = idx;
+            return acc;
+          },
+          {},
+        );
+
+        const refreshTasksAndNotify = async (
+          taskIdxArray = Object.keys(tasks),
+        ) => {
+          try {
+            const tasksToRefresh = taskIdxArray.filter(
+              (idx) => !checkTaskEnded(tasks[idx]),
+            );
+            if (tasksToRefresh.length === 0) return;
+            const refreshedTasks = await dealModule.fetchDealTasks(
+              contracts,
+              deal,
+              tasksToRefresh,
+            );
+            if (abort) return;
+            const changed = Object.entries(refreshedTasks).reduce(
+              (acc, [idx, task]) => {
+                const taskChanged =
+                  tasks[idx].status !== task.status ||
+                  tasks[idx].taskTimedOut !== task.taskTimedOut;
+                tasks[idx] = { ...tasks[idx], ...task };
+                return acc || taskChanged;
+              },
+              false,
+            );
+            if (changed) {
               callNext();
-            },
-            error: (e) => {
-              safeObserver.error(e);
-              taskWatchers.map((unsub) => unsub());
-            },
-          }),
+            }
+          } catch (e) {
+            safeObserver.error(e);
+          }
+        };
+
+        const checkAllTasksEnded = () =>
+          Object.values(tasks).every((task) => checkTaskEnded(task));
+
+        // the chain may mark tasks timed out a bit after the local clock, retry until then
+        const watchDeadline = (minDelay = 0) => {
+          if (abort || checkAllTasksEnded()) return;
+          deadlineTimeout = scheduleAt(
+            deal.finalTime.toNumber(),
+            () =>
+              refreshTasksAndNotify().then(() => watchDeadline(FETCH_INTERVAL)),
+            minDelay,
+          );
+        };
+
+        const startPolling = () => {
+          if (unsubscribeEvents) {
+            unsubscribeEvents();
+            unsubscribeEvents = undefined;
+          }
+          if (deadlineTimeout) {
+            clearTimeout(deadlineTimeout);
+          }
+          if (abort || interval) return;
+          interval = setInterval(() => refreshTasksAndNotify(), FETCH_INTERVAL);
+        };
+
+        unsubscribeEvents = subscribeTasksEvents(
+          contracts,
+          Object.keys(idxByTaskid),
+          (taskid) => {
+            const idx = idxByTaskid[taskid.toLowerCase()];
+            if (idx !== undefined) {
+              refreshTasksAndNotify([idx]);
+            }
+          },
+          startPolling,
         );
+        await refreshTasksAndNotify();
+        if (abort || checkAllTasksEnded()) return;
+        if (unsubscribeEvents) {
+          watchDeadline();
+        } else {
+          startPolling();
+        }
       } catch (e) {
         safeObserver.error(e);
       }
     };
 
     safeObserver.unsub = () => {
-      taskWatchers.map((unsub) => unsub());
+      abort = true;
+      if (interval) {
+        clearInterval(interval);
+      }
+      if (deadlineTimeout) {
+        clearTimeout(deadlineTimeout);
+      }
+      if (unsubscribeEvents) {
+        unsubscribeEvents();
+      }
     };
     startWatch();
     return safeObserver.unsubscribe.bind(safeObserver);
@@ -236,6 +510,7 @@ const obsDeal = (contracts = throwIfMissing(), dealid = throwIfMissing()) =>
 
 module.exports = {
   fetchTaskResults,
+  fetchDealResults,
   obsTask,
   obsDeal,
 };
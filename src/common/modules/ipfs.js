@@ -0,0 +1,108 @@
+const Debug = require('debug');
+const fetch = require('cross-fetch');
+const { Buffer } = require('buffer');
+const hashjs = require('hash.js');
+const { hexlify, randomBytes } = require('ethers').utils;
+// stream is excluded from browser bundles (package.json "browser" field)
+const { PassThrough, pipeline } = require('stream');
+const { fileBufferSchema, throwIfMissing } = require('../utils/validator');
+const { IpfsError } = require('../utils/errors');
+
+const debug = Debug('iexec:ipfs');
+
+const isReadableStream = (content) =>
+  content !== null &&
+  typeof content === 'object' &&
+  typeof content.pipe === 'function';
+
+const makeMultipartBody = (content, fileName) => {
+  const boundary = `----iexec-${hexlify(randomBytes(16)).slice(2)}`;
+  const head = Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${encodeURIComponent(
+      fileName,
+    )}"\r\nContent-Type: application/octet-stream\r\n\r\n`,
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const hash = hashjs.sha256();
+  let body;
+  if (isReadableStream(content)) {
+    body = new PassThrough();
+    body.write(head);
+    const checksumStream = new PassThrough();
+    checksumStream.on('data', (chunk) => hash.update(chunk));
+    pipeline(content, checksumStream, (error) => {
+      if (error) {
+        body.destroy(error);
+      } else {
+        body.end(tail);
+      }
+    });
+    checksumStream.pipe(body, { end: false });
+  } else {
+    hash.update(content);
+    body = Buffer.concat([head, content, tail]);
+  }
+  return {
+    body,
+    contentType: `multipart/form-data; boundary=${boundary}`,
+    getChecksum: () => `0x${hash.digest('hex')}`,
+  };
+};
+
+const add = async (
+  ipfsNodeURL = throwIfMissing(),
+  content = throwIfMissing(),
+  { fileName = 'file' } = {},
+) => {
+  try {
+    const vContent = isReadableStream(content)
+      ? content
+      : await fileBufferSchema().validate(content);
+    const { body, contentType, getChecksum } = makeMultipartBody(
+      vContent,
+      fileName,
+    );
+    const res = await fetch(
+      `${ipfsNodeURL}/api/v0/add?cid-version=0&pin=true`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body,
+      },
+    ).catch((e) => {
+      debug(e);
+      throw new IpfsError(`IPFS node at ${ipfsNodeURL} didn't answered`, {
+        api: ipfsNodeURL,
+        originalError: e,
+      });
+    });
+    if (!res.ok) {
+      throw new IpfsError(
+        `IPFS upload failed: ${res.status} ${res.statusText}`,
+        { api: ipfsNodeURL, status: res.status },
+      );
+    }
+    // the IPFS node answers one JSON object per line, the last one describes the uploaded file
+    const lines = (await res.text()).split('\n').filter((line) => !!line);
+    let cid;
+    try {
+      cid = JSON.parse(lines[lines.length - 1]).Hash;
+    } catch (e) {
+      debug(e);
+    }
+    if (!cid) {
+      throw new IpfsError('Unexpected IPFS node response', {
+        api: ipfsNodeURL,
+        status: res.status,
+      });
+    }
+    return { cid, multiaddr: `/ipfs/${cid}`, checksum: getChecksum() };
+  } catch (error) {
+    debug('add()', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  add,
+};
@@ -0,0 +1,420 @@
+const Debug = require('debug');
+const BN = require('bn.js');
+const {
+  fetchAppOrderbook,
+  fetchDatasetOrderbook,
+  fetchWorkerpoolOrderbook,
+} = require('./orderbook');
+const {
+  computeOrderHash,
+  APP_ORDER,
+  DATASET_ORDER,
+  WORKERPOOL_ORDER,
+  NULL_DATASETORDER,
+} = require('./order');
+const { countCategory } = require('./hub');
+const {
+  ethersBnToBn,
+  NULL_ADDRESS,
+  NULL_BYTES32,
+  sumTags,
+  findMissingBitsInTag,
+  checkActiveBitInTag,
+  encodeTag,
+} = require('../utils/utils');
+const { multicall } = require('../utils/multicall');
+const {
+  addressSchema,
+  signedApporderSchema,
+  signedDatasetorderSchema,
+  signedWorkerpoolorderSchema,
+  uint256Schema,
+  positiveIntSchema,
+  positiveStrictIntSchema,
+  nRlcAmountSchema,
+  tagSchema,
+  throwIfMissing,
+} = require('../utils/validator');
+
+const debug = Debug('iexec:matching-engine');
+
+const WORKERPOOL_STAKE_RATIO = 30;
+
+const fetchAllOrders = async (fetchPage) => {
+  const { orders = [], more } = await fetchPage();
+  return more ? orders.concat(await fetchAllOrders(more)) : orders;
+};
+
+// groups restrictions can not be resolved offchain, only exact matches are accepted
+const isAllowed = (restrict, address) =>
+  restrict.toLowerCase() === NULL_ADDRESS ||
+  restrict.toLowerCase() === address.toLowerCase();
+
+const toCandidates = async (contracts, orderName, priceKey, entries) => {
+  const candidates = await Promise.all(
+    entries.map(async ({ order, orderHash }) => ({
+      order,
+      orderHash:
+        orderHash || (await computeOrderHash(contracts, orderName, order)),
+      price: new BN(order[priceKey]),
+    })),
+  );
+  if (candidates.length === 0) return [];
+  const iexecContract = contracts.getIExecContract();
+  const consumed = await multicall(
+    contracts,
+    candidates.map(({ orderHash }) => ({
+      contract: iexecContract,
+      method: 'viewConsumed',
+      args: [orderHash],
+    })),
+  );
+  return candidates
+    .map((candidate, i) => ({
+      ...candidate,
+      remaining: new BN(candidate.order.volume).sub(ethersBnToBn(consumed[i])),
+    }))
+    .filter(({ remaining }) => remaining.gt(new BN(0)))
+    .sort((a, b) => a.price.cmp(b.price));
+};
+
+const withWorkerpoolStake = async (contracts, candidates) => {
+  if (candidates.length === 0) return [];
+  const workerpools = [
+    ...new Set(candidates.map(({ order }) => order.workerpool.toLowerCase())),
+  ];
+  const owners = await multicall(
+    contracts,
+    workerpools.map((workerpool) => ({
+      contract: contracts.getContract('workerpool')({ at: workerpool }),
+      method: 'owner',
+    })),
+  );
+  const iexecContract = contracts.getIExecContract();
+  const accounts = await multicall(
+    contracts,
+    owners.map((owner) => ({
+      contract: iexecContract,
+      method: 'viewAccount',
+      args: [owner],
+    })),
+  );
+  const stakes = workerpools.reduce((acc, workerpool, i) => {
+    acc[workerpool] = ethersBnToBn(accounts[i].stake);
+    return acc;
+  }, {});
+  return candidates
+    .map((candidate) => {
+      const requiredStakePerTask = candidate.price
+        .mul(new BN(WORKERPOOL_STAKE_RATIO))
+        .div(new BN(100));
+      const stakedVolume = requiredStakePerTask.isZero()
+        ? candidate.remaining
+        : stakes[candidate.order.workerpool.toLowerCase()].div(
+            requiredStakePerTask,
+          );
+      return {
+        ...candidate,
+        remaining: stakedVolume.lt(candidate.remaining)
+          ? stakedVolume
+          : candidate.remaining,
+      };
+    })
+    .filter(({ remaining }) => remaining.gt(new BN(0)));
+};
+
+const selectCheapest = (
+  { appCandidates, datasetCandidates, workerpoolCandidates },
+  request,
+) => {
+  const appRequiredTeeTag = (datasetorder) =>
+    checkActiveBitInTag(sumTags([request.tag, datasetorder.tag]), 1);
+  let best;
+  appCandidates
+    .filter(
+      ({ order }) =>
+        isAllowed(order.datasetrestrict, request.dataset) &&
+        isAllowed(order.requesterrestrict, request.requester) &&
+        (request.workerpool === NULL_ADDRESS ||
+          isAllowed(order.workerpoolrestrict, request.workerpool)),
+    )
+    .forEach((appCandidate) => {
+      datasetCandidates
+        .filter(
+          ({ order }) =>
+            isAllowed(order.apprestrict, request.app) &&
+            isAllowed(order.requesterrestrict, request.requester) &&
+            (request.workerpool === NULL_ADDRESS ||
+              isAllowed(order.workerpoolrestrict, request.workerpool)) &&
+            (!appRequiredTeeTag(order) ||
+              checkActiveBitInTag(appCandidate.order.tag, 1)),
+        )
+        .forEach((datasetCandidate) => {
+          const requiredTag = sumTags([
+            request.tag,
+            appCandidate.order.tag,
+            datasetCandidate.order.tag,
+          ]);
+          const workerpoolCandidate = workerpoolCandidates.find(
+            ({ order }) =>
+              isAllowed(
+                appCandidate.order.workerpoolrestrict,
+                order.workerpool,
+              ) &&
+              isAllowed(
+                datasetCandidate.order.workerpoolrestrict,
+                order.workerpool,
+              ) &&
+              isAllowed(order.apprestrict, request.app) &&
+              isAllowed(order.datasetrestrict, request.dataset) &&
+              isAllowed(order.requesterrestrict, request.requester) &&
+              findMissingBitsInTag(order.tag, requiredTag).length === 0,
+          );
+          if (!workerpoolCandidate) return;
+          const price = appCandidate.price
+            .add(datasetCandidate.price)
+            .add(workerpoolCandidate.price);
+          if (best && best.price.lte(price)) return;
+          best = {
+            price,
+            appCandidate,
+            datasetCandidate,
+            workerpoolCandidate,
+          };
+        });
+    });
+  return best;
+};
+
+const findBestOrders = async (
+  contracts = throwIfMissing(),
+  iexecGatewayURL = throwIfMissing(),
+  {
+    app = throwIfMissing(),
+    dataset = NULL_ADDRESS,
+    workerpool = NULL_ADDRESS,
+    requester = throwIfMissing(),
+    category,
+    tag = NULL_BYTES32,
+    trust = 0,
+    volume = 1,
+    appmaxprice,
+    datasetmaxprice,
+    workerpoolmaxprice,
+  } = throwIfMissing(),
+  { maxPrice, apporder, datasetorder, workerpoolorder } = {},
+) => {
+  try {
+    const vAddressSchema = addressSchema({ ethProvider: contracts.provider });
+    const request = {
+      app: await vAddressSchema.validate(app),
+      dataset: await vAddressSchema.validate(dataset),
+      workerpool: await vAddressSchema.validate(workerpool),
+      requester: await vAddressSchema.validate(requester),
+      tag: await tagSchema().validate(tag),
+      trust: await positiveIntSchema().validate(trust),
+      volume: new BN(await positiveStrictIntSchema().validate(volume)),
+    };
+    const vCategory =
+      category !== undefined
+        ? await uint256Schema().validate(category)
+        : undefined;
+    const validateMaxPrice = async (value) =>
+      value !== undefined
+        ? new BN(await nRlcAmountSchema().validate(value))
+        : undefined;
+    const vAppMaxPrice = await validateMaxPrice(appmaxprice);
+    const vDatasetMaxPrice = await validateMaxPrice(datasetmaxprice);
+    const vWorkerpoolMaxPrice = await validateMaxPrice(workerpoolmaxprice);
+    const vMaxPrice = await validateMaxPrice(maxPrice);
+    const useDataset = request.dataset !== NULL_ADDRESS;
+    const underMaxPrice = (maxprice) => (candidate) =>
+      maxprice === undefined || candidate.price.lte(maxprice);
+
+    const appCandidates = await toCandidates(
+      contracts,
+      APP_ORDER,
+      'appprice',
+      apporder
+        ? [
+            {
+              order: await signedApporderSchema({
+                ethProvider: contracts.provider,
+              }).validate(apporder),
+            },
+          ]
+        : await fetchAllOrders(() =>
+            fetchAppOrderbook(contracts, iexecGatewayURL, request.app, {
+              requester: request.requester,
+              ...(useDataset && { dataset: request.dataset }),
+              ...(request.workerpool !== NULL_ADDRESS && {
+                workerpool: request.workerpool,
+              }),
+              ...(checkActiveBitInTag(request.tag, 1) && {
+                minTag: encodeTag(['tee']),
+              }),
+              maxTag: request.tag,
+            }),
+          ),
+    ).then((candidates) => candidates.filter(underMaxPrice(vAppMaxPrice)));
+    debug('appCandidates', appCandidates.length);
+    if (appCandidates.length === 0) {
+      throw Error(`No apporder available for app ${request.app}`);
+    }
+
+    let datasetCandidates = [
+      {
+        order: NULL_DATASETORDER,
+        price: new BN(0),
+        remaining: request.volume,
+      },
+    ];
+    if (useDataset) {
+      datasetCandidates = await toCandidates(
+        contracts,
+        DATASET_ORDER,
+        'datasetprice',
+        datasetorder
+          ? [
+              {
+                order: await signedDatasetorderSchema({
+                  ethProvider: contracts.provider,
+                }).validate(datasetorder),
+              },
+            ]
+          : await fetchAllOrders(() =>
+              fetchDatasetOrderbook(
+                contracts,
+                iexecGatewayURL,
+                request.dataset,
+                {
+                  app: request.app,
+                  requester: request.requester,
+                  ...(request.workerpool !== NULL_ADDRESS && {
+                    workerpool: request.workerpool,
+                  }),
+                  maxTag: request.tag,
+                },
+              ),
+            ),
+      ).then((candidates) =>
+        candidates.filter(underMaxPrice(vDatasetMaxPrice)),
+      );
+      debug('datasetCandidates', datasetCandidates.length);
+      if (datasetCandidates.length === 0) {
+        throw Error(`No datasetorder available for dataset ${request.dataset}`);
+      }
+    }
+
+    const findInCategory = async (catid) => {
+      const workerpoolCandidates = await toCandidates(
+        contracts,
+        WORKERPOOL_ORDER,
+        'workerpoolprice',
+        workerpoolorder
+          ? [
+              {
+                order: await signedWorkerpoolorderSchema({
+                  ethProvider: contracts.provider,
+                }).validate(workerpoolorder),
+              },
+            ]
+          : await fetchAllOrders(() =>
+              fetchWorkerpoolOrderbook(contracts, iexecGatewayURL, {
+                category: catid,
+                app: request.app,
+                ...(useDataset && { dataset: request.dataset }),
+                ...(request.workerpool !== NULL_ADDRESS && {
+                  workerpool: request.workerpool,
+                }),
+                requester: request.requester,
+                minTag: request.tag,
+                minTrust: request.trust,
+              }),
+            ),
+      )
+        .then((candidates) =>
+          candidates.filter(
+            ({ order }) =>
+              new BN(order.category).eq(new BN(catid)) &&
+              new BN(order.trust).gte(new BN(request.trust)) &&
+              (request.workerpool === NULL_ADDRESS ||
+                order.workerpool.toLowerCase() ===
+                  request.workerpool.toLowerCase()),
+          ),
+        )
+        .then((candidates) =>
+          candidates.filter(underMaxPrice(vWorkerpoolMaxPrice)),
+        )
+        .then((candidates) => withWorkerpoolStake(contracts, candidates));
+      debug(
+        'category',
+        catid,
+        'workerpoolCandidates',
+        workerpoolCandidates.length,
+      );
+      return selectCheapest(
+        { appCandidates, datasetCandidates, workerpoolCandidates },
+        request,
+      );
+    };
+
+    const findCheapestInCategories = async (
+      categoriesCount,
+      catid = 0,
+      cheapest,
+    ) => {
+      if (new BN(catid).gte(categoriesCount)) return cheapest;
+      const res = await findInCategory(catid);
+      return findCheapestInCategories(
+        categoriesCount,
+        catid + 1,
+        res && (!cheapest || res.price.lt(cheapest.price)) ? res : cheapest,
+      );
+    };
+
+    // when no category is specified every category is evaluated and the
+    // cheapest one is used (the lowest category on equal price)
+    const best =
+      vCategory !== undefined
+        ? await findInCategory(vCategory)
+        : await findCheapestInCategories(await countCategory(contracts));
+    if (!best) {
+      throw Error(
+        `No workerpoolorder matching your conditions currently available${
+          vCategory !== undefined ? ` in category ${vCategory}` : ''
+        }`,
+      );
+    }
+    if (
+      vMaxPrice !== undefined &&
+      best.price.mul(request.volume).gt(vMaxPrice)
+    ) {
+      throw Error(
+        `No orders combination available within max price ${vMaxPrice} nRLC (cheapest found costs ${best.price.mul(
+          request.volume,
+        )} nRLC)`,
+      );
+    }
+    const matchableVolume = [
+      request.volume,
+      best.appCandidate.remaining,
+      best.datasetCandidate.remaining,
+      best.workerpoolCandidate.remaining,
+    ].reduce((min, curr) => (curr.lt(min) ? curr : min));
+    return {
+      apporder: best.appCandidate.order,
+      datasetorder: best.datasetCandidate.order,
+      workerpoolorder: best.workerpoolCandidate.order,
+      price: best.price,
+      volume: matchableVolume,
+    };
+  } catch (error) {
+    debug('findBestOrders()', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findBestOrders,
+};
@@ -1,15 +1,7 @@
 const Debug = require('debug');
 const BN = require('bn.js');
-const { getAddress, isInWhitelist } = require('./wallet');
-const { checkBalance } = require('./account');
-const {
-  checkDeployedApp,
-  checkDeployedDataset,
-  checkDeployedWorkerpool,
-  getAppOwner,
-  getDatasetOwner,
-  getWorkerpoolOwner,
-} = require('./hub');
+const { getAddress } = require('./wallet');
+const { getAppOwner, getDatasetOwner, getWorkerpoolOwner } = require('./hub');
 const { createObjParams } = require('./request-helper');
 const {
   checkEvent,
@@ -23,8 +15,15 @@ const {
   findMissingBitsInTag,
   checkActiveBitInTag,
   tagBitToHuman,
+  checksummedAddress,
+  encodeTag,
 } = require('../utils/utils');
-const { jsonApi, getAuthorization } = require('../utils/api-utils');
+const {
+  jsonApi,
+  wrapPaginableRequest,
+  getAuthorization,
+} = require('../utils/api-utils');
+const { multicallByKey } = require('../utils/multicall');
 const { hashEIP712 } = require('../utils/sig-utils');
 const {
   addressSchema,
@@ -48,6 +47,13 @@ const {
   throwIfMissing,
   ValidationError,
 } = require('../utils/validator');
+const {
+  MarketplaceApiError,
+  InsufficientStakeError,
+  OrderConsumedError,
+  SignatureMismatchError,
+  KycError,
+} = require('../utils/errors');
 const {
   wrapCall,
   wrapSend,
@@ -197,17 +203,29 @@ const signedOrderToStruct = (orderName, orderObj) => {
   return signed;
 };
 
+const formatEIP712Domain = ({ name, version, chainId, verifyingContract }) => ({
+  name,
+  version,
+  chainId: chainId.toString(),
+  verifyingContract,
+});
+
 const getEIP712Domain = async (contracts) => {
   const iexecContract = await contracts.getIExecContract();
-  const { name, version, chainId, verifyingContract } = await wrapCall(
-    iexecContract.domain(),
-  );
-  return {
-    name,
-    version,
-    chainId: chainId.toString(),
-    verifyingContract,
+  return formatEIP712Domain(await wrapCall(iexecContract.domain()));
+};
+
+const hashOrder = (domainObj, orderName, vOrder) => {
+  const types = {};
+  types.EIP712Domain = objDesc.EIP712Domain.structMembers;
+  types[objDesc[orderName].primaryType] = objDesc[orderName].structMembers;
+  const typedData = {
+    types,
+    domain: domainObj,
+    primaryType: objDesc[orderName].primaryType,
+    message: vOrder,
   };
+  return hashEIP712(typedData);
 };
 
 const getContractOwner = async (
@@ -251,17 +269,7 @@ const computeOrderHash = async (
       default:
     }
     const domainObj = await getEIP712Domain(contracts);
-    const types = {};
-    types.EIP712Domain = objDesc.EIP712Domain.structMembers;
-    types[objDesc[orderName].primaryType] = objDesc[orderName].structMembers;
-
-    const typedData = {
-      types,
-      domain: domainObj,
-      primaryType: objDesc[orderName].primaryType,
-      message: vOrder,
-    };
-    return hashEIP712(typedData);
+    return hashOrder(domainObj, orderName, vOrder);
   } catch (error) {
     debug('computeOrderHash()', error);
     throw error;
@@ -348,10 +356,11 @@ const signOrder = async (
       : await getContractOwner(contracts, orderName, orderObj);
   const address = await getAddress(contracts);
   if (signerAddress !== address) {
-    throw Error(
+    throw new SignatureMismatchError(
       `Invalid order signer, must be the ${
         orderName === REQUEST_ORDER ? 'requester' : 'resource owner'
       }`,
+      { orderName, expectedSigner: signerAddress, signer: address },
     );
   }
   const salt = getSalt();
@@ -434,7 +443,13 @@ const cancelOrder = async (
       orderName,
       orderObj,
     );
-    if (remainingVolume.isZero()) throw Error(`${orderName} already canceled`);
+    if (remainingVolume.isZero()) {
+      throw new OrderConsumedError(`${orderName} already canceled`, {
+        orderName,
+        volume: new BN(orderObj.volume),
+        consumed: new BN(orderObj.volume),
+      });
+    }
     const iexecContract = contracts.getIExecContract();
     const tx = await wrapSend(
       iexecContract[objDesc[orderName].cancelMethod](
@@ -492,6 +507,47 @@ const cancelRequestorder = async (
     await signedRequestorderSchema().validate(requestorder),
   );
 
+// the requester presigns the order on-chain instead of signing it, the order sign is empty
+const presignRequestorder = async (
+  contracts = throwIfMissing(),
+  requestorder = throwIfMissing(),
+) => {
+  try {
+    const vRequestorder = await signedRequestorderSchema().validate(
+      requestorder,
+    );
+    const address = await getAddress(contracts);
+    if (vRequestorder.requester !== address) {
+      throw new SignatureMismatchError(
+        'Invalid order signer, must be the requester',
+        {
+          orderName: REQUEST_ORDER,
+          expectedSigner: vRequestorder.requester,
+          signer: address,
+        },
+      );
+    }
+    const args = signedOrderToStruct(REQUEST_ORDER, {
+      ...vRequestorder,
+      sign: NULL_BYTES,
+    });
+    const iexecContract = contracts.getIExecContract();
+    const tx = await wrapSend(
+      iexecContract.manageRequestOrder(
+        [args, 0, NULL_BYTES],
+        contracts.txOptions,
+      ),
+    );
+    const txReceipt = await wrapWait(tx.wait(contracts.confirms));
+    if (!checkEvent('SignedRequestOrder', txReceipt.events))
+      throw Error('SignedRequestOrder not confirmed');
+    return { order: { ...vRequestorder, sign: NULL_BYTES }, txHash: tx.hash };
+  } catch (error) {
+    debug('presignRequestorder()', error);
+    throw error;
+  }
+};
+
 const publishOrder = async (
   contracts = throwIfMissing(),
   iexecGatewayURL = throwIfMissing(),
@@ -503,11 +559,13 @@ const publishOrder = async (
     checkOrderName(orderName);
     const address = await getAddress(contracts);
     const body = { order: signedOrder };
-    const authorization = await getAuthorization(iexecGatewayURL, '/challenge')(
-      chainId,
-      address,
-      contracts.signer,
-    );
+    const authorization = await getAuthorization(
+      iexecGatewayURL,
+      '/challenge',
+      {
+        ApiCallErrorClass: MarketplaceApiError,
+      },
+    )(chainId, address, contracts.signer);
     const response = await jsonApi.post({
       api: iexecGatewayURL,
       endpoint: objDesc[orderName].apiEndpoint,
@@ -516,11 +574,14 @@ const publishOrder = async (
       },
       body,
       headers: { authorization },
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (response.ok && response.published && response.published.orderHash) {
       return response.published.orderHash;
     }
-    throw Error('An error occured while publishing order');
+    throw new MarketplaceApiError('An error occured while publishing order', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('publishOrder()', error);
     throw error;
@@ -604,11 +665,13 @@ const unpublishOrder = async (
       body[objDesc[orderName].addressField] = address;
     }
     const userAddress = await getAddress(contracts);
-    const authorization = await getAuthorization(iexecGatewayURL, '/challenge')(
-      contracts.chainId,
-      userAddress,
-      contracts.signer,
-    );
+    const authorization = await getAuthorization(
+      iexecGatewayURL,
+      '/challenge',
+      {
+        ApiCallErrorClass: MarketplaceApiError,
+      },
+    )(contracts.chainId, userAddress, contracts.signer);
     const response = await jsonApi.put({
       api: iexecGatewayURL,
       endpoint: objDesc[orderName].apiEndpoint,
@@ -617,11 +680,14 @@ const unpublishOrder = async (
       },
       body,
       headers: { authorization },
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (response.ok && response.unpublished) {
       return response.unpublished;
     }
-    throw new Error('An error occured while unpublishing order');
+    throw new MarketplaceApiError('An error occured while unpublishing order', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('unpublishOrder()', error);
     throw error;
@@ -853,6 +919,7 @@ const fetchPublishedOrderByHash = async (
       api: iexecGatewayURL,
       endpoint: `${objDesc[orderName].apiEndpoint}/${vOrderHash}`,
       query,
+      ApiCallErrorClass: MarketplaceApiError,
     });
     return res;
   } catch (error) {
@@ -876,35 +943,29 @@ const fetchDealsByOrderHash = async (
       chainId: vChainId,
       [hashName]: vOrderHash,
     };
-    const response = await jsonApi.get({
+    const response = await wrapPaginableRequest(jsonApi.get)({
       api: iexecGatewayURL,
       endpoint: '/deals',
       query,
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (response.ok && response.deals) {
-      return { count: response.count, deals: response.deals };
+      return {
+        count: response.count,
+        deals: response.deals,
+        ...(response.more && { more: response.more }),
+      };
     }
-    throw Error('An error occured while getting deals');
+    throw new MarketplaceApiError('An error occured while getting deals', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('fetchDealsByOrderHash()', error);
     throw error;
   }
 };
 
-const verifySign = async (
-  contracts = throwIfMissing(),
-  signer = throwIfMissing(),
-  orderHash = throwIfMissing(),
-  sign = throwIfMissing(),
-) => {
-  const iexecContract = contracts.getIExecContract();
-  const isValid = await wrapCall(
-    iexecContract.verifySignature(signer, orderHash, sign),
-  );
-  return !!isValid;
-};
-
-const getMatchableVolume = async (
+const diagnoseMatch = async (
   contracts = throwIfMissing(),
   appOrder = throwIfMissing(),
   datasetOrder = NULL_DATASETORDER,
@@ -920,209 +981,397 @@ const getMatchableVolume = async (
         signedRequestorderSchema().validate(requestOrder),
       ]);
 
-    // deployment checks
-    const checkAppDeployedAsync = async () => {
-      if (!(await checkDeployedApp(contracts, vAppOrder.app))) {
-        throw new Error(`No app deployed at address ${vAppOrder.app}`);
-      }
-    };
-    const checkDatasetDeployedAsync = async () => {
-      if (vDatasetOrder.dataset !== NULL_ADDRESS) {
-        if (!(await checkDeployedDataset(contracts, vDatasetOrder.dataset))) {
-          throw new Error(
-            `No dataset deployed at address ${vDatasetOrder.dataset}`,
-          );
-        }
-      }
-    };
-    const checkWorkerpoolDeployedAsync = async () => {
-      if (
-        !(await checkDeployedWorkerpool(contracts, vWorkerpoolOrder.workerpool))
-      ) {
-        throw new Error(
-          `No workerpool deployed at address ${vWorkerpoolOrder.workerpool}`,
-        );
-      }
-    };
-
-    await Promise.all([
-      checkAppDeployedAsync(),
-      checkDatasetDeployedAsync(),
-      checkWorkerpoolDeployedAsync(),
-    ]);
+    const useDataset = vDatasetOrder.dataset !== NULL_ADDRESS;
+    const isEnterprise = contracts.flavour === 'enterprise';
+    const iexecContract = contracts.getIExecContract();
 
-    // signatures checks
-    const checkAppSignAsync = async () => {
-      const isValid = await verifySign(
-        contracts,
-        await getAppOwner(contracts, vAppOrder.app),
-        await hashApporder(contracts, vAppOrder),
-        vAppOrder.sign,
-      );
-      if (!isValid) {
-        throw new Error('apporder invalid sign');
-      }
-    };
-    const checkDatasetSignAsync = async () => {
-      if (vDatasetOrder.dataset !== NULL_ADDRESS) {
-        const isValid = await verifySign(
-          contracts,
-          await getDatasetOwner(contracts, vDatasetOrder.dataset),
-          await hashDatasetorder(contracts, vDatasetOrder),
-          vDatasetOrder.sign,
-        );
-        if (!isValid) {
-          throw new Error('datasetorder invalid sign');
-        }
-      }
+    const checks = [];
+    const addCheck = (
+      name,
+      pass,
+      { expected, actual, message, ErrorClass = Error, errorProps },
+    ) => {
+      checks.push({
+        name,
+        pass: !!pass,
+        expected,
+        actual,
+        ...(!pass && {
+          message,
+          error: new ErrorClass(message, errorProps),
+        }),
+      });
     };
-    const checkWorkerpoolSignAsync = async () => {
-      const isValid = await verifySign(
-        contracts,
-        await getWorkerpoolOwner(contracts, vWorkerpoolOrder.workerpool),
-        await hashWorkerpoolorder(contracts, vWorkerpoolOrder),
-        vWorkerpoolOrder.sign,
-      );
-      if (!isValid) {
-        throw new Error('workerpoolorder invalid sign');
-      }
+
+    // batched reads
+    const hubData = await multicallByKey(contracts, {
+      domain: { contract: iexecContract, method: 'domain' },
+      appRegistry: { contract: iexecContract, method: 'appregistry' },
+      datasetRegistry: { contract: iexecContract, method: 'datasetregistry' },
+      workerpoolRegistry: {
+        contract: iexecContract,
+        method: 'workerpoolregistry',
+      },
+      ...(isEnterprise && {
+        eRlc: { contract: iexecContract, method: 'token' },
+      }),
+    });
+    const resourcesData = await multicallByKey(
+      contracts,
+      {
+        appDeployed: {
+          contract: contracts.getContract('appRegistry')({
+            at: hubData.appRegistry,
+          }),
+          method: 'isRegistered',
+          args: [vAppOrder.app],
+        },
+        appOwner: {
+          contract: contracts.getContract('app')({ at: vAppOrder.app }),
+          method: 'owner',
+        },
+        workerpoolDeployed: {
+          contract: contracts.getContract('workerpoolRegistry')({
+            at: hubData.workerpoolRegistry,
+          }),
+          method: 'isRegistered',
+          args: [vWorkerpoolOrder.workerpool],
+        },
+        workerpoolOwner: {
+          contract: contracts.getContract('workerpool')({
+            at: vWorkerpoolOrder.workerpool,
+          }),
+          method: 'owner',
+        },
+        ...(useDataset && {
+          datasetDeployed: {
+            contract: contracts.getContract('datasetRegistry')({
+              at: hubData.datasetRegistry,
+            }),
+            method: 'isRegistered',
+            args: [vDatasetOrder.dataset],
+          },
+          datasetOwner: {
+            contract: contracts.getContract('dataset')({
+              at: vDatasetOrder.dataset,
+            }),
+            method: 'owner',
+          },
+        }),
+      },
+      { allowFailure: true },
+    );
+    const getOwnerIfDeployed = (deployed, owner) => {
+      if (deployed instanceof Error) throw deployed;
+      if (!deployed) return undefined;
+      if (owner instanceof Error) throw owner;
+      return checksummedAddress(owner);
     };
-    const checkRequestSignAsync = async () => {
-      const isValid = await verifySign(
-        contracts,
-        vRequestOrder.requester,
-        await hashRequestorder(contracts, vRequestOrder),
-        vRequestOrder.sign,
+    const appOwner = getOwnerIfDeployed(
+      resourcesData.appDeployed,
+      resourcesData.appOwner,
+    );
+    const datasetOwner =
+      useDataset &&
+      getOwnerIfDeployed(
+        resourcesData.datasetDeployed,
+        resourcesData.datasetOwner,
       );
-      if (!isValid) {
-        throw new Error('requestorder invalid sign');
-      }
-    };
+    const workerpoolOwner = getOwnerIfDeployed(
+      resourcesData.workerpoolDeployed,
+      resourcesData.workerpoolOwner,
+    );
 
-    await Promise.all([
-      checkAppSignAsync(),
-      checkDatasetSignAsync(),
-      checkWorkerpoolSignAsync(),
-      checkRequestSignAsync(),
-    ]);
+    const domain = formatEIP712Domain(hubData.domain);
+    const appOrderHash = hashOrder(domain, APP_ORDER, vAppOrder);
+    const datasetOrderHash = hashOrder(domain, DATASET_ORDER, vDatasetOrder);
+    const workerpoolOrderHash = hashOrder(
+      domain,
+      WORKERPOOL_ORDER,
+      vWorkerpoolOrder,
+    );
+    const requestOrderHash = hashOrder(domain, REQUEST_ORDER, vRequestOrder);
+
+    const eRlcContract =
+      isEnterprise && contracts.getRLCContract({ at: hubData.eRlc });
+    const ordersData = await multicallByKey(contracts, {
+      appConsumed: {
+        contract: iexecContract,
+        method: 'viewConsumed',
+        args: [appOrderHash],
+      },
+      workerpoolConsumed: {
+        contract: iexecContract,
+        method: 'viewConsumed',
+        args: [workerpoolOrderHash],
+      },
+      requestSign: {
+        contract: iexecContract,
+        method: 'verifyPresignatureOrSignature',
+        args: [vRequestOrder.requester, requestOrderHash, vRequestOrder.sign],
+      },
+      requestConsumed: {
+        contract: iexecContract,
+        method: 'viewConsumed',
+        args: [requestOrderHash],
+      },
+      requesterAccount: {
+        contract: iexecContract,
+        method: 'viewAccount',
+        args: [vRequestOrder.requester],
+      },
+      ...(appOwner && {
+        appSign: {
+          contract: iexecContract,
+          method: 'verifyPresignatureOrSignature',
+          args: [appOwner, appOrderHash, vAppOrder.sign],
+        },
+      }),
+      ...(workerpoolOwner && {
+        workerpoolSign: {
+          contract: iexecContract,
+          method: 'verifyPresignatureOrSignature',
+          args: [workerpoolOwner, workerpoolOrderHash, vWorkerpoolOrder.sign],
+        },
+        workerpoolOwnerAccount: {
+          contract: iexecContract,
+          method: 'viewAccount',
+          args: [workerpoolOwner],
+        },
+      }),
+      ...(useDataset && {
+        datasetConsumed: {
+          contract: iexecContract,
+          method: 'viewConsumed',
+          args: [datasetOrderHash],
+        },
+      }),
+      ...(datasetOwner && {
+        datasetSign: {
+          contract: iexecContract,
+          method: 'verifyPresignatureOrSignature',
+          args: [datasetOwner, datasetOrderHash, vDatasetOrder.sign],
+        },
+      }),
+      ...(isEnterprise && {
+        requesterKYC: {
+          contract: eRlcContract,
+          method: 'isKYC',
+          args: [vRequestOrder.requester],
+        },
+      }),
+      ...(isEnterprise &&
+        appOwner && {
+          appOwnerKYC: {
+            contract: eRlcContract,
+            method: 'isKYC',
+            args: [appOwner],
+          },
+        }),
+      ...(isEnterprise &&
+        datasetOwner && {
+          datasetOwnerKYC: {
+            contract: eRlcContract,
+            method: 'isKYC',
+            args: [datasetOwner],
+          },
+        }),
+      ...(isEnterprise &&
+        workerpoolOwner && {
+          workerpoolOwnerKYC: {
+            contract: eRlcContract,
+            method: 'isKYC',
+            args: [workerpoolOwner],
+          },
+        }),
+    });
+
+    // deployment checks
+    addCheck('appDeployed', appOwner, {
+      expected: true,
+      actual: !!appOwner,
+      message: `No app deployed at address ${vAppOrder.app}`,
+    });
+    if (useDataset) {
+      addCheck('datasetDeployed', datasetOwner, {
+        expected: true,
+        actual: !!datasetOwner,
+        message: `No dataset deployed at address ${vDatasetOrder.dataset}`,
+      });
+    }
+    addCheck('workerpoolDeployed', workerpoolOwner, {
+      expected: true,
+      actual: !!workerpoolOwner,
+      message: `No workerpool deployed at address ${vWorkerpoolOrder.workerpool}`,
+    });
+
+    // signatures checks
+    addCheck('apporderSign', ordersData.appSign, {
+      expected: true,
+      actual: !!ordersData.appSign,
+      message: appOwner
+        ? 'apporder invalid sign'
+        : "apporder sign can't be verified, app not deployed",
+      ...(appOwner && {
+        ErrorClass: SignatureMismatchError,
+        errorProps: {
+          orderName: APP_ORDER,
+          orderHash: appOrderHash,
+          expectedSigner: appOwner,
+        },
+      }),
+    });
+    if (useDataset) {
+      addCheck('datasetorderSign', ordersData.datasetSign, {
+        expected: true,
+        actual: !!ordersData.datasetSign,
+        message: datasetOwner
+          ? 'datasetorder invalid sign'
+          : "datasetorder sign can't be verified, dataset not deployed",
+        ...(datasetOwner && {
+          ErrorClass: SignatureMismatchError,
+          errorProps: {
+            orderName: DATASET_ORDER,
+            orderHash: datasetOrderHash,
+            expectedSigner: datasetOwner,
+          },
+        }),
+      });
+    }
+    addCheck('workerpoolorderSign', ordersData.workerpoolSign, {
+      expected: true,
+      actual: !!ordersData.workerpoolSign,
+      message: workerpoolOwner
+        ? 'workerpoolorder invalid sign'
+        : "workerpoolorder sign can't be verified, workerpool not deployed",
+      ...(workerpoolOwner && {
+        ErrorClass: SignatureMismatchError,
+        errorProps: {
+          orderName: WORKERPOOL_ORDER,
+          orderHash: workerpoolOrderHash,
+          expectedSigner: workerpoolOwner,
+        },
+      }),
+    });
+    addCheck('requestorderSign', ordersData.requestSign, {
+      expected: true,
+      actual: !!ordersData.requestSign,
+      message: 'requestorder invalid sign',
+      ErrorClass: SignatureMismatchError,
+      errorProps: {
+        orderName: REQUEST_ORDER,
+        orderHash: requestOrderHash,
+        expectedSigner: vRequestOrder.requester,
+      },
+    });
 
     // enterprise KYC checks
-    if (contracts.flavour === 'enterprise') {
-      debug('check enterprise');
-      const checkRequesterInWhitelistAsync = async () => {
-        const isKYC = await isInWhitelist(contracts, vRequestOrder.requester, {
-          strict: false,
+    if (isEnterprise) {
+      const addKYCCheck = (name, address, isKYC, ownedResource) =>
+        addCheck(name, isKYC, {
+          expected: true,
+          actual: !!isKYC,
+          message: address
+            ? `${
+                ownedResource ? `${ownedResource} owner` : 'requester'
+              } ${address} is not authorized to interact with eRLC`
+            : `${ownedResource} owner KYC can't be verified, ${ownedResource} not deployed`,
+          ...(address && { ErrorClass: KycError, errorProps: { address } }),
         });
-        debug('requester in whitelist', isKYC);
-        if (!isKYC) {
-          throw new Error(
-            `requester ${vRequestOrder.requester} is not authorized to interact with eRLC`,
-          );
-        }
-      };
-      const checkAppOwnerInWhitelistAsync = async () => {
-        const owner = await getAppOwner(contracts, vAppOrder.app);
-        const isKYC = await isInWhitelist(contracts, owner, { strict: false });
-        debug('app owner in whitelist', isKYC);
-        if (!isKYC) {
-          throw new Error(
-            `app owner ${owner} is not authorized to interact with eRLC`,
-          );
-        }
-      };
-      const checkDatasetOwnerInWhitelistAsync = async () => {
-        if (vDatasetOrder.dataset === NULL_ADDRESS) {
-          return;
-        }
-        const owner = await getDatasetOwner(contracts, vDatasetOrder.dataset);
-        const isKYC = await isInWhitelist(contracts, owner, { strict: false });
-        debug('dataset owner in whitelist', isKYC);
-        if (!isKYC) {
-          throw new Error(
-            `dataset owner ${owner} is not authorized to interact with eRLC`,
-          );
-        }
-      };
-      const checkWorkerpoolOwnerInWhitelistAsync = async () => {
-        const owner = await getWorkerpoolOwner(
-          contracts,
-          vWorkerpoolOrder.workerpool,
+      addKYCCheck(
+        'requesterKYC',
+        vRequestOrder.requester,
+        ordersData.requesterKYC,
+      );
+      addKYCCheck('appOwnerKYC', appOwner, ordersData.appOwnerKYC, 'app');
+      if (useDataset) {
+        addKYCCheck(
+          'datasetOwnerKYC',
+          datasetOwner,
+          ordersData.datasetOwnerKYC,
+          'dataset',
         );
-        const isKYC = await isInWhitelist(contracts, owner, { strict: false });
-        debug('workerpool owner in whitelist', isKYC);
-        if (!isKYC) {
-          throw new Error(
-            `workerpool owner ${owner} is not authorized to interact with eRLC`,
-          );
-        }
-      };
-      await Promise.all([
-        checkRequesterInWhitelistAsync(),
-        checkAppOwnerInWhitelistAsync(),
-        checkDatasetOwnerInWhitelistAsync(),
-        checkWorkerpoolOwnerInWhitelistAsync(),
-      ]);
+      }
+      addKYCCheck(
+        'workerpoolOwnerKYC',
+        workerpoolOwner,
+        ordersData.workerpoolOwnerKYC,
+        'workerpool',
+      );
     }
 
     // address checks
-    if (vRequestOrder.app !== vAppOrder.app) {
-      throw new Error(
-        `app address mismatch between requestorder (${vRequestOrder.app}) and apporder (${vAppOrder.app})`,
-      );
-    }
-    if (
-      vRequestOrder.dataset !== NULL_ADDRESS &&
-      vRequestOrder.dataset !== vDatasetOrder.dataset
-    ) {
-      throw new Error(
-        `dataset address mismatch between requestorder (${vRequestOrder.dataset}) and datasetorder (${vDatasetOrder.dataset})`,
+    addCheck('appAddress', vRequestOrder.app === vAppOrder.app, {
+      expected: vRequestOrder.app,
+      actual: vAppOrder.app,
+      message: `app address mismatch between requestorder (${vRequestOrder.app}) and apporder (${vAppOrder.app})`,
+    });
+    if (vRequestOrder.dataset !== NULL_ADDRESS) {
+      addCheck(
+        'datasetAddress',
+        vRequestOrder.dataset === vDatasetOrder.dataset,
+        {
+          expected: vRequestOrder.dataset,
+          actual: vDatasetOrder.dataset,
+          message: `dataset address mismatch between requestorder (${vRequestOrder.dataset}) and datasetorder (${vDatasetOrder.dataset})`,
+        },
       );
     }
-    if (
-      vRequestOrder.workerpool !== NULL_ADDRESS &&
-      vRequestOrder.workerpool !== vWorkerpoolOrder.workerpool
-    ) {
-      throw new Error(
-        `workerpool address mismatch between requestorder (${vRequestOrder.workerpool}) and workerpoolorder (${vWorkerpoolOrder.workerpool})`,
+    if (vRequestOrder.workerpool !== NULL_ADDRESS) {
+      addCheck(
+        'workerpoolAddress',
+        vRequestOrder.workerpool === vWorkerpoolOrder.workerpool,
+        {
+          expected: vRequestOrder.workerpool,
+          actual: vWorkerpoolOrder.workerpool,
+          message: `workerpool address mismatch between requestorder (${vRequestOrder.workerpool}) and workerpoolorder (${vWorkerpoolOrder.workerpool})`,
+        },
       );
     }
     // category check
     const requestCat = new BN(vRequestOrder.category);
     const workerpoolCat = new BN(vWorkerpoolOrder.category);
-    if (!workerpoolCat.eq(requestCat)) {
-      throw new Error(
-        `category mismatch between requestorder (${requestCat}) and workerpoolorder (${workerpoolCat})`,
-      );
-    }
+    addCheck('category', workerpoolCat.eq(requestCat), {
+      expected: requestCat,
+      actual: workerpoolCat,
+      message: `category mismatch between requestorder (${requestCat}) and workerpoolorder (${workerpoolCat})`,
+    });
     // trust check
     const requestTrust = new BN(vRequestOrder.trust);
     const workerpoolTrust = new BN(vWorkerpoolOrder.trust);
-    if (workerpoolTrust.lt(requestTrust)) {
-      throw new Error(
-        `workerpoolorder trust is too low (expected ${requestTrust}, got ${workerpoolTrust})`,
-      );
-    }
+    addCheck('trust', workerpoolTrust.gte(requestTrust), {
+      expected: requestTrust,
+      actual: workerpoolTrust,
+      message: `workerpoolorder trust is too low (expected ${requestTrust}, got ${workerpoolTrust})`,
+    });
     // workerpool tag check
+    const workerpoolRequiredTag = sumTags([
+      vRequestOrder.tag,
+      vAppOrder.tag,
+      vDatasetOrder.tag,
+    ]);
     const workerpoolMissingTagBits = findMissingBitsInTag(
       vWorkerpoolOrder.tag,
-      sumTags([vRequestOrder.tag, vAppOrder.tag, vDatasetOrder.tag]),
+      workerpoolRequiredTag,
     );
-    if (workerpoolMissingTagBits.length > 0) {
-      throw Error(
-        `Missing tags [${workerpoolMissingTagBits.map((bit) =>
-          tagBitToHuman(bit),
-        )}] in workerpoolorder`,
-      );
-    }
+    addCheck('workerpoolTag', workerpoolMissingTagBits.length === 0, {
+      expected: workerpoolRequiredTag,
+      actual: vWorkerpoolOrder.tag,
+      message: `Missing tags [${workerpoolMissingTagBits.map((bit) =>
+        tagBitToHuman(bit),
+      )}] in workerpoolorder`,
+    });
     // app tag check
     const teeAppRequired = checkActiveBitInTag(
       sumTags([vRequestOrder.tag, vDatasetOrder.tag]),
       1,
     );
     if (teeAppRequired) {
-      if (!checkActiveBitInTag(vAppOrder.tag, 1)) {
-        throw Error('Missing tag [tee] in apporder');
-      }
+      addCheck('appTag', checkActiveBitInTag(vAppOrder.tag, 1), {
+        expected: encodeTag(['tee']),
+        actual: vAppOrder.tag,
+        message: 'Missing tag [tee] in apporder',
+      });
     }
 
     // price check
@@ -1132,107 +1381,139 @@ const getMatchableVolume = async (
     const appMaxPrice = new BN(vRequestOrder.appmaxprice);
     const datasetPrice = new BN(vDatasetOrder.datasetprice);
     const datasetMaxPrice = new BN(vRequestOrder.datasetmaxprice);
-    if (appMaxPrice.lt(appPrice)) {
-      throw new Error(
-        `appmaxprice too low (expected ${appPrice}, got ${appMaxPrice})`,
-      );
-    }
-    if (workerpoolMaxPrice.lt(workerpoolPrice)) {
-      throw new Error(
-        `workerpoolmaxprice too low (expected ${workerpoolPrice}, got ${workerpoolMaxPrice})`,
-      );
-    }
-    if (datasetMaxPrice.lt(datasetPrice)) {
-      throw new Error(
-        `datasetmaxprice too low (expected ${datasetPrice}, got ${datasetMaxPrice})`,
-      );
-    }
+    addCheck('appPrice', appMaxPrice.gte(appPrice), {
+      expected: appPrice,
+      actual: appMaxPrice,
+      message: `appmaxprice too low (expected ${appPrice}, got ${appMaxPrice})`,
+    });
+    addCheck('workerpoolPrice', workerpoolMaxPrice.gte(workerpoolPrice), {
+      expected: workerpoolPrice,
+      actual: workerpoolMaxPrice,
+      message: `workerpoolmaxprice too low (expected ${workerpoolPrice}, got ${workerpoolMaxPrice})`,
+    });
+    addCheck('datasetPrice', datasetMaxPrice.gte(datasetPrice), {
+      expected: datasetPrice,
+      actual: datasetMaxPrice,
+      message: `datasetmaxprice too low (expected ${datasetPrice}, got ${datasetMaxPrice})`,
+    });
 
     // workerpool owner stake check
-    const workerpoolOwner = await getWorkerpoolOwner(
-      contracts,
-      vWorkerpoolOrder.workerpool,
-    );
-    const { stake } = await checkBalance(contracts, workerpoolOwner);
     const requiredStakePerTask = workerpoolPrice
       .mul(new BN(30))
       .div(new BN(100));
-    const workerpoolStakedVolume = requiredStakePerTask.isZero()
-      ? new BN(workerpoolOrder.volume)
-      : stake.div(requiredStakePerTask);
-    if (workerpoolStakedVolume.isZero()) {
-      throw Error(
-        `workerpool required stake (${requiredStakePerTask}) is greather than workerpool owner's account stake (${stake}). Orders can't be matched. If you are the workerpool owner, you should deposit to top up your account`,
-      );
+    let workerpoolStakedVolume = new BN(0);
+    if (workerpoolOwner) {
+      const stake = ethersBnToBn(ordersData.workerpoolOwnerAccount.stake);
+      workerpoolStakedVolume = requiredStakePerTask.isZero()
+        ? new BN(workerpoolOrder.volume)
+        : stake.div(requiredStakePerTask);
+      addCheck('workerpoolOwnerStake', !workerpoolStakedVolume.isZero(), {
+        expected: requiredStakePerTask,
+        actual: stake,
+        message: `workerpool required stake (${requiredStakePerTask}) is greather than workerpool owner's account stake (${stake}). Orders can't be matched. If you are the workerpool owner, you should deposit to top up your account`,
+        ErrorClass: InsufficientStakeError,
+        errorProps: {
+          address: workerpoolOwner,
+          stake,
+          requiredStake: requiredStakePerTask,
+        },
+      });
+    } else {
+      addCheck('workerpoolOwnerStake', false, {
+        expected: requiredStakePerTask,
+        message:
+          "workerpool owner stake can't be verified, workerpool not deployed",
+      });
     }
 
-    // check matchable volume
-    const volumes = await Promise.all(
-      vRequestOrder.dataset !== NULL_ADDRESS
+    // remaining volumes checks
+    const checkRemainingVolume = (orderName, order, orderHash, consumed) => {
+      const remaining = new BN(order.volume).sub(ethersBnToBn(consumed));
+      addCheck(`${orderName}Volume`, remaining.gt(new BN(0)), {
+        expected: new BN(order.volume),
+        actual: remaining,
+        message: `${orderName} is fully consumed`,
+        ErrorClass: OrderConsumedError,
+        errorProps: {
+          orderName,
+          orderHash,
+          volume: new BN(order.volume),
+          consumed: ethersBnToBn(consumed),
+        },
+      });
+      return remaining;
+    };
+    const volumes = [
+      workerpoolStakedVolume,
+      checkRemainingVolume(
+        APP_ORDER,
+        vAppOrder,
+        appOrderHash,
+        ordersData.appConsumed,
+      ),
+      ...(vRequestOrder.dataset !== NULL_ADDRESS
         ? [
-            getRemainingVolume(contracts, APP_ORDER, vAppOrder).then(
-              (volume) => {
-                if (volume.lte(new BN(0)))
-                  throw new Error('apporder is fully consumed');
-                return volume;
-              },
-            ),
-            getRemainingVolume(contracts, DATASET_ORDER, vDatasetOrder).then(
-              (volume) => {
-                if (volume.lte(new BN(0)))
-                  throw new Error('datasetorder is fully consumed');
-                return volume;
-              },
-            ),
-            getRemainingVolume(
-              contracts,
-              WORKERPOOL_ORDER,
-              vWorkerpoolOrder,
-            ).then((volume) => {
-              if (volume.lte(new BN(0)))
-                throw new Error('workerpoolorder is fully consumed');
-              return volume;
-            }),
-            getRemainingVolume(contracts, REQUEST_ORDER, vRequestOrder).then(
-              (volume) => {
-                if (volume.lte(new BN(0)))
-                  throw new Error('requestorder is fully consumed');
-                return volume;
-              },
+            checkRemainingVolume(
+              DATASET_ORDER,
+              vDatasetOrder,
+              datasetOrderHash,
+              ordersData.datasetConsumed,
             ),
           ]
-        : [
-            getRemainingVolume(contracts, APP_ORDER, vAppOrder).then(
-              (volume) => {
-                if (volume.lte(new BN(0)))
-                  throw new Error('apporder is fully consumed');
-                return volume;
-              },
-            ),
-            getRemainingVolume(
-              contracts,
-              WORKERPOOL_ORDER,
-              vWorkerpoolOrder,
-            ).then((volume) => {
-              if (volume.lte(new BN(0)))
-                throw new Error('workerpoolorder is fully consumed');
-              return volume;
-            }),
-            getRemainingVolume(contracts, REQUEST_ORDER, vRequestOrder).then(
-              (volume) => {
-                if (volume.lte(new BN(0)))
-                  throw new Error('requestorder is fully consumed');
-                return volume;
-              },
-            ),
-          ],
-    );
-    return volumes.reduce(
-      (min, curr) => (curr.lt(min) ? curr : min),
-      workerpoolStakedVolume,
+        : []),
+      checkRemainingVolume(
+        WORKERPOOL_ORDER,
+        vWorkerpoolOrder,
+        workerpoolOrderHash,
+        ordersData.workerpoolConsumed,
+      ),
+      checkRemainingVolume(
+        REQUEST_ORDER,
+        vRequestOrder,
+        requestOrderHash,
+        ordersData.requestConsumed,
+      ),
+    ];
+    const remainingVolume = volumes.reduce((min, curr) =>
+      curr.lt(min) ? curr : min,
     );
+
+    // requester stake checks
+    const requesterStake = ethersBnToBn(ordersData.requesterAccount.stake);
+    const costPerTask = appPrice.add(datasetPrice).add(workerpoolPrice);
+    const totalCost = costPerTask.mul(remainingVolume);
+    addCheck('requesterStake', requesterStake.gte(costPerTask), {
+      expected: costPerTask,
+      actual: requesterStake,
+      message: `Cost per task (${costPerTask}) is greather than requester account stake (${requesterStake}). Orders can't be matched. If you are the requester, you should deposit to top up your account`,
+      ErrorClass: InsufficientStakeError,
+      errorProps: {
+        address: vRequestOrder.requester,
+        stake: requesterStake,
+        requiredStake: costPerTask,
+      },
+    });
+    addCheck('requesterTotalStake', requesterStake.gte(totalCost), {
+      expected: totalCost,
+      actual: requesterStake,
+      message: `Total cost for ${remainingVolume} tasks (${totalCost}) is greather than requester account stake (${requesterStake}). Orders can't be matched. If you are the requester, you should deposit to top up your account or reduce your requestorder volume`,
+      ErrorClass: InsufficientStakeError,
+      errorProps: {
+        address: vRequestOrder.requester,
+        stake: requesterStake,
+        requiredStake: totalCost,
+      },
+    });
+
+    // the volume is computed once every check ran
+    const matchable = checks.every(({ pass }) => pass);
+    return {
+      matchable,
+      volume: matchable ? remainingVolume : new BN(0),
+      checks,
+    };
   } catch (error) {
-    debug('getMatchableVolume()', error);
+    debug('diagnoseMatch()', error);
     throw error;
   }
 };
@@ -1254,36 +1535,18 @@ const matchOrders = async (
       ]);
 
     // check matchability
-    const matchableVolume = await getMatchableVolume(
+    const { volume: matchableVolume, checks } = await diagnoseMatch(
       contracts,
       vAppOrder,
       vDatasetOrder,
       vWorkerpoolOrder,
       vRequestOrder,
     );
-
-    const workerpoolPrice = new BN(vWorkerpoolOrder.workerpoolprice);
-    const appPrice = new BN(vAppOrder.appprice);
-    const datasetPrice = new BN(vDatasetOrder.datasetprice);
-
-    // account stake check
-    const checkRequesterSolvabilityAsync = async () => {
-      const costPerTask = appPrice.add(datasetPrice).add(workerpoolPrice);
-      const totalCost = costPerTask.mul(matchableVolume);
-      const { stake } = await checkBalance(contracts, vRequestOrder.requester);
-      if (stake.lt(costPerTask)) {
-        throw new Error(
-          `Cost per task (${costPerTask}) is greather than requester account stake (${stake}). Orders can't be matched. If you are the requester, you should deposit to top up your account`,
-        );
-      }
-      if (stake.lt(totalCost)) {
-        throw new Error(
-          `Total cost for ${matchableVolume} tasks (${totalCost}) is greather than requester account stake (${stake}). Orders can't be matched. If you are the requester, you should deposit to top up your account or reduce your requestorder volume`,
-        );
-      }
-    };
-
-    await checkRequesterSolvabilityAsync();
+    const failedCheck = checks.find(({ pass }) => !pass);
+    if (failedCheck) {
+      throw failedCheck.error;
+    }
+    debug('matchableVolume', matchableVolume.toString());
 
     const appOrderStruct = signedOrderToStruct(APP_ORDER, vAppOrder);
     const datasetOrderStruct = signedOrderToStruct(
@@ -1484,6 +1747,7 @@ module.exports = {
   signDatasetorder,
   signWorkerpoolorder,
   signRequestorder,
+  presignRequestorder,
   cancelApporder,
   cancelDatasetorder,
   cancelWorkerpoolorder,
@@ -1504,6 +1768,7 @@ module.exports = {
   unpublishAllDatasetorders,
   unpublishAllWorkerpoolorders,
   unpublishAllRequestorders,
+  diagnoseMatch,
   matchOrders,
   fetchPublishedOrderByHash,
   fetchDealsByOrderHash,
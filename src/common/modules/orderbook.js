@@ -9,6 +9,7 @@ const {
   tagSchema,
   throwIfMissing,
 } = require('../utils/validator');
+const { MarketplaceApiError } = require('../utils/errors');
 
 const debug = Debug('iexec:orderbook');
 
@@ -53,11 +54,14 @@ const fetchAppOrderbook = async (
       api: iexecGatewayURL,
       endpoint: '/apporders',
       query,
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (ok) {
       return response;
     }
-    throw Error('An error occured while getting orderbook');
+    throw new MarketplaceApiError('An error occured while getting orderbook', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('fetchAppOrderbook()', error);
     throw error;
@@ -105,11 +109,14 @@ const fetchDatasetOrderbook = async (
       api: iexecGatewayURL,
       endpoint: '/datasetorders',
       query,
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (ok) {
       return response;
     }
-    throw Error('An error occured while getting orderbook');
+    throw new MarketplaceApiError('An error occured while getting orderbook', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('fetchDatasetOrderbook()', error);
     throw error;
@@ -178,11 +185,14 @@ const fetchWorkerpoolOrderbook = async (
       api: iexecGatewayURL,
       endpoint: '/workerpoolorders',
       query,
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (ok) {
       return response;
     }
-    throw Error('An error occured while getting orderbook');
+    throw new MarketplaceApiError('An error occured while getting orderbook', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('fetchWorkerpoolOrderbook()', error);
     throw error;
@@ -251,11 +261,14 @@ const fetchRequestOrderbook = async (
       api: iexecGatewayURL,
       endpoint: '/requestorders',
       query,
+      ApiCallErrorClass: MarketplaceApiError,
     });
     if (ok) {
       return response;
     }
-    throw Error('An error occured while getting orderbook');
+    throw new MarketplaceApiError('An error occured while getting orderbook', {
+      api: iexecGatewayURL,
+    });
   } catch (error) {
     debug('fetchRequestOrderbook()', error);
     throw error;
@@ -92,6 +92,28 @@ const checkRequestRequirements = async (
       );
     }
   }
+  // check requester secrets
+  if (params[paramsKeyName.IEXEC_SECRETS]) {
+    const secretNames = Object.values(params[paramsKeyName.IEXEC_SECRETS]);
+    const secretsSet = await Promise.all(
+      secretNames.map((secretName) =>
+        checkWeb2SecretExists(
+          contracts,
+          smsURL,
+          requestorder.requester,
+          secretName,
+        ),
+      ),
+    );
+    const missingSecrets = secretNames.filter((name, i) => !secretsSet[i]);
+    if (missingSecrets.length > 0) {
+      throw Error(
+        `Requester secrets ${missingSecrets
+          .map((name) => `"${name}"`)
+          .join(', ')} are not set in the SMS. TEE task will fail.`,
+      );
+    }
+  }
   return true;
 };
 
@@ -2,6 +2,7 @@ const Debug = require('debug');
 const { getAddress } = require('./wallet');
 const { getAuthorization, httpRequest } = require('../utils/api-utils');
 const { throwIfMissing } = require('../utils/validator');
+const { ResultProxyError } = require('../utils/errors');
 
 const debug = Debug('iexec:result-proxy');
 
@@ -14,6 +15,7 @@ const login = async (
     const authorization = await getAuthorization(
       resultProxyURL,
       '/results/challenge',
+      { ApiCallErrorClass: ResultProxyError },
     )(contracts.chainId, userAddress, contracts.signer);
     const res = await httpRequest('POST')({
       api: resultProxyURL,
@@ -22,13 +24,19 @@ const login = async (
       body: authorization,
     }).catch((e) => {
       debug(e);
-      throw Error(`Result Proxy at ${resultProxyURL} didn't answered`);
+      throw new ResultProxyError(
+        `Result Proxy at ${resultProxyURL} didn't answered`,
+        { api: resultProxyURL, originalError: e },
+      );
     });
     if (res.ok) {
       const token = await res.text();
       return token;
     }
-    throw Error(`Result Proxy login failed: ${res.status} ${res.statusText}`);
+    throw new ResultProxyError(
+      `Result Proxy login failed: ${res.status} ${res.statusText}`,
+      { api: resultProxyURL, status: res.status },
+    );
   } catch (error) {
     debug('login()', error);
     throw error;
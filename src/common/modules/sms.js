@@ -2,18 +2,24 @@ const Debug = require('debug');
 const { Buffer } = require('buffer');
 const { keccak256, arrayify } = require('ethers').utils;
 const { getAddress } = require('./wallet');
+const { checkDeployedApp, getAppOwner } = require('./hub');
 const { httpRequest } = require('../utils/api-utils');
 const {
   addressSchema,
   stringSchema,
+  requesterSecretNameSchema,
   throwIfMissing,
 } = require('../utils/validator');
 const { wrapPersonalSign } = require('../utils/errorWrappers');
+const { SmsError, ObjectNotFoundError } = require('../utils/errors');
 
 const debug = Debug('iexec:sms');
 
 const DOMAIN = 'IEXEC_SMS_DOMAIN';
 
+// a TEE app has a single developer secret
+const APP_SECRET_INDEX = 1;
+
 const concatenateAndHash = (...hexaStringArray) => {
   const buffer = Buffer.concat(
     hexaStringArray.map((hexString) => Buffer.from(arrayify(hexString))),
@@ -53,7 +59,10 @@ const checkWeb3SecretExists = async (
       },
     }).catch((e) => {
       debug(e);
-      throw Error(`SMS at ${smsURL} didn't answered`);
+      throw new SmsError(`SMS at ${smsURL} didn't answered`, {
+        api: smsURL,
+        originalError: e,
+      });
     });
     if (res.ok) {
       return true;
@@ -61,8 +70,9 @@ const checkWeb3SecretExists = async (
     if (res.status === 404) {
       return false;
     }
-    throw Error(
+    throw new SmsError(
       `SMS answered with unexpected status: ${res.status} ${res.statusText}`,
+      { api: smsURL, status: res.status },
     );
   } catch (error) {
     debug('checkWeb3SecretExists()', error);
@@ -89,7 +99,10 @@ const checkWeb2SecretExists = async (
       },
     }).catch((e) => {
       debug(e);
-      throw Error(`SMS at ${smsURL} didn't answered`);
+      throw new SmsError(`SMS at ${smsURL} didn't answered`, {
+        api: smsURL,
+        originalError: e,
+      });
     });
     if (res.ok) {
       return true;
@@ -97,8 +110,9 @@ const checkWeb2SecretExists = async (
     if (res.status === 404) {
       return false;
     }
-    throw Error(
+    throw new SmsError(
       `SMS answered with unexpected status: ${res.status} ${res.statusText}`,
+      { api: smsURL, status: res.status },
     );
   } catch (error) {
     debug('checkWeb2SecretExists()', error);
@@ -138,23 +152,29 @@ const pushWeb3Secret = async (
       },
     }).catch((e) => {
       debug(e);
-      throw Error(`SMS at ${smsURL} didn't answered`);
+      throw new SmsError(`SMS at ${smsURL} didn't answered`, {
+        api: smsURL,
+        originalError: e,
+      });
     });
     if (res.ok) {
       return true;
     }
     if (res.status === 409) {
-      throw Error(
+      throw new SmsError(
         `Secret already exists for ${vResourceAddress} and can't be updated`,
+        { api: smsURL, status: res.status },
       );
     }
     if (res.status === 401) {
-      throw Error(
+      throw new SmsError(
         `Wallet ${vSignerAddress} is not allowed to set secret for ${vResourceAddress}`,
+        { api: smsURL, status: res.status },
       );
     }
-    throw Error(
+    throw new SmsError(
       `SMS answered with unexpected status: ${res.status} ${res.statusText}`,
+      { api: smsURL, status: res.status },
     );
   } catch (error) {
     debug('pushWeb3Secret()', error);
@@ -180,7 +200,10 @@ const pushWeb2Secret = async (
       secretName,
     );
     if (secretExists && !forceUpdate) {
-      throw Error(`Secret "${secretName}" already exists for ${ownerAddress}`);
+      throw new SmsError(
+        `Secret "${secretName}" already exists for ${ownerAddress}`,
+        { api: smsURL },
+      );
     }
     const update = !!secretExists;
     const challenge = getChallengeForSetWeb2Secret(
@@ -205,7 +228,10 @@ const pushWeb2Secret = async (
       },
     }).catch((e) => {
       debug(e);
-      throw Error(`SMS at ${smsURL} didn't answered`);
+      throw new SmsError(`SMS at ${smsURL} didn't answered`, {
+        api: smsURL,
+        originalError: e,
+      });
     });
     if (res.ok) {
       return {
@@ -213,8 +239,9 @@ const pushWeb2Secret = async (
         isUpdated: update,
       };
     }
-    throw Error(
+    throw new SmsError(
       `SMS answered with unexpected status: ${res.status} ${res.statusText}`,
+      { api: smsURL, status: res.status },
     );
   } catch (error) {
     debug('pushWeb2Secret()', error);
@@ -222,9 +249,156 @@ const pushWeb2Secret = async (
   }
 };
 
+const checkRequesterSecretExists = async (
+  contracts = throwIfMissing(),
+  smsURL = throwIfMissing(),
+  requesterAddress = throwIfMissing(),
+  secretName = throwIfMissing(),
+) => {
+  try {
+    const vSecretName = await requesterSecretNameSchema()
+      .required()
+      .validate(secretName, { strict: true });
+    return await checkWeb2SecretExists(
+      contracts,
+      smsURL,
+      requesterAddress,
+      vSecretName,
+    );
+  } catch (error) {
+    debug('checkRequesterSecretExists()', error);
+    throw error;
+  }
+};
+
+const pushRequesterSecret = async (
+  contracts = throwIfMissing(),
+  smsURL = throwIfMissing(),
+  secretName = throwIfMissing(),
+  secretValue = throwIfMissing(),
+  { forceUpdate = false } = {},
+) => {
+  try {
+    const vSecretName = await requesterSecretNameSchema()
+      .required()
+      .validate(secretName, { strict: true });
+    return await pushWeb2Secret(contracts, smsURL, vSecretName, secretValue, {
+      forceUpdate,
+    });
+  } catch (error) {
+    debug('pushRequesterSecret()', error);
+    throw error;
+  }
+};
+
+const checkAppSecretExists = async (
+  contracts = throwIfMissing(),
+  smsURL = throwIfMissing(),
+  appAddress = throwIfMissing(),
+) => {
+  try {
+    const vAppAddress = await addressSchema({
+      ethProvider: contracts.provider,
+    }).validate(appAddress);
+    const res = await httpRequest('HEAD')({
+      api: smsURL,
+      endpoint: `/apps/${vAppAddress}/secrets/${APP_SECRET_INDEX}`,
+    }).catch((e) => {
+      debug(e);
+      throw new SmsError(`SMS at ${smsURL} didn't answered`, {
+        api: smsURL,
+        originalError: e,
+      });
+    });
+    if (res.ok) {
+      return true;
+    }
+    if (res.status === 404) {
+      return false;
+    }
+    throw new SmsError(
+      `SMS answered with unexpected status: ${res.status} ${res.statusText}`,
+      { api: smsURL, status: res.status },
+    );
+  } catch (error) {
+    debug('checkAppSecretExists()', error);
+    throw error;
+  }
+};
+
+const pushAppSecret = async (
+  contracts = throwIfMissing(),
+  smsURL = throwIfMissing(),
+  appAddress = throwIfMissing(),
+  secretValue = throwIfMissing(),
+) => {
+  try {
+    const vAppAddress = await addressSchema({
+      ethProvider: contracts.provider,
+    }).validate(appAddress);
+    await stringSchema().validate(secretValue, { strict: true });
+    const vSignerAddress = await getAddress(contracts);
+    const isDeployed = await checkDeployedApp(contracts, vAppAddress);
+    if (!isDeployed) {
+      throw new ObjectNotFoundError('app', vAppAddress, contracts.chainId);
+    }
+    const appOwner = await getAppOwner(contracts, vAppAddress);
+    if (appOwner.toLowerCase() !== vSignerAddress.toLowerCase()) {
+      throw Error(
+        `Wallet ${vSignerAddress} is not allowed to set secret for ${vAppAddress}`,
+      );
+    }
+    const challenge = getChallengeForSetWeb3Secret(vAppAddress, secretValue);
+    const binaryChallenge = arrayify(challenge);
+    const auth = await wrapPersonalSign(
+      contracts.signer.signMessage(binaryChallenge),
+    );
+    const res = await httpRequest('POST')({
+      api: smsURL,
+      endpoint: `/apps/${vAppAddress}/secrets/${APP_SECRET_INDEX}`,
+      body: secretValue,
+      headers: {
+        Authorization: auth,
+      },
+    }).catch((e) => {
+      debug(e);
+      throw new SmsError(`SMS at ${smsURL} didn't answered`, {
+        api: smsURL,
+        originalError: e,
+      });
+    });
+    if (res.ok) {
+      return true;
+    }
+    if (res.status === 409) {
+      throw new SmsError(
+        `Secret already exists for ${vAppAddress} and can't be updated`,
+        { api: smsURL, status: res.status },
+      );
+    }
+    if (res.status === 401) {
+      throw new SmsError(
+        `Wallet ${vSignerAddress} is not allowed to set secret for ${vAppAddress}`,
+        { api: smsURL, status: res.status },
+      );
+    }
+    throw new SmsError(
+      `SMS answered with unexpected status: ${res.status} ${res.statusText}`,
+      { api: smsURL, status: res.status },
+    );
+  } catch (error) {
+    debug('pushAppSecret()', error);
+    throw error;
+  }
+};
+
 module.exports = {
   pushWeb2Secret,
   pushWeb3Secret,
   checkWeb3SecretExists,
   checkWeb2SecretExists,
+  pushRequesterSecret,
+  checkRequesterSecretExists,
+  pushAppSecret,
+  checkAppSecretExists,
 };
@@ -37,6 +37,35 @@ const decodeTaskResult = (results) => {
   return { storage: 'none' };
 };
 
+const formatTask = (taskid, task) => {
+  const now = Math.floor(Date.now() / 1000);
+  const consensusTimeout = parseInt(task.finalDeadline, 10);
+  const taskTimedOut = task.status !== 3 && now >= consensusTimeout;
+  const decodedResult = decodeTaskResult(task.results);
+  return {
+    taskid,
+    ...task,
+    statusName:
+      task.status < 3 && taskTimedOut
+        ? TASK_STATUS_MAP.timeout
+        : TASK_STATUS_MAP[task.status],
+    taskTimedOut,
+    results: decodedResult,
+  };
+};
+
+const createUninitializedTask = (taskid, dealid, finalTime) => {
+  const now = Math.floor(Date.now() / 1000);
+  const deadlineReached = now >= parseInt(finalTime, 10);
+  return {
+    taskid,
+    dealid,
+    status: 0,
+    statusName: deadlineReached ? TASK_STATUS_MAP.timeout : TASK_STATUS_MAP[0],
+    taskTimedOut: deadlineReached,
+  };
+};
+
 const show = async (
   contracts = throwIfMissing(),
   taskid = throwIfMissing(),
@@ -51,21 +80,7 @@ const show = async (
     if (task.dealid === NULL_BYTES32) {
       throw new ObjectNotFoundError('task', vTaskId, chainId);
     }
-
-    const now = Math.floor(Date.now() / 1000);
-    const consensusTimeout = parseInt(task.finalDeadline, 10);
-    const taskTimedOut = task.status !== 3 && now >= consensusTimeout;
-    const decodedResult = decodeTaskResult(task.results);
-    return {
-      taskid: vTaskId,
-      ...task,
-      statusName:
-        task.status < 3 && taskTimedOut
-          ? TASK_STATUS_MAP.timeout
-          : TASK_STATUS_MAP[task.status],
-      taskTimedOut,
-      results: decodedResult,
-    };
+    return formatTask(vTaskId, task);
   } catch (error) {
     debug('show()', error);
     throw error;
@@ -115,6 +130,8 @@ const claim = async (
 
 module.exports = {
   TASK_STATUS_MAP,
+  formatTask,
+  createUninitializedTask,
   show,
   claim,
 };
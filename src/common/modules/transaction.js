@@ -0,0 +1,261 @@
+const Debug = require('debug');
+const { BigNumber } = require('ethers');
+const { getAddress, keccak256, parseTransaction } = require('ethers').utils;
+const { tokenIdToAddress } = require('./hub');
+const {
+  checkEvent,
+  getEventFromLogs,
+  ethersBnToBn,
+} = require('../utils/utils');
+const {
+  unsignedTransactionSchema,
+  signedTransactionSchema,
+  throwIfMissing,
+} = require('../utils/validator');
+const { wrapCall, wrapSend, wrapWait } = require('../utils/errorWrappers');
+
+const debug = Debug('iexec:transaction');
+
+const getKnownContracts = async (contracts) => {
+  const [
+    appRegistryAddress,
+    datasetRegistryAddress,
+    workerpoolRegistryAddress,
+    rlcAddress,
+  ] = await Promise.all([
+    wrapCall(contracts.fetchAppRegistryAddress()),
+    wrapCall(contracts.fetchDatasetRegistryAddress()),
+    wrapCall(contracts.fetchWorkerpoolRegistryAddress()),
+    contracts.isNative ? undefined : wrapCall(contracts.fetchRLCAddress()),
+  ]);
+  return [
+    { name: 'iexec', contract: contracts.getIExecContract() },
+    {
+      name: 'appRegistry',
+      contract: contracts.getAppRegistryContract({ at: appRegistryAddress }),
+    },
+    {
+      name: 'datasetRegistry',
+      contract: contracts.getDatasetRegistryContract({
+        at: datasetRegistryAddress,
+      }),
+    },
+    {
+      name: 'workerpoolRegistry',
+      contract: contracts.getWorkerpoolRegistryContract({
+        at: workerpoolRegistryAddress,
+      }),
+    },
+    ...(rlcAddress
+      ? [
+          {
+            name: 'rlc',
+            contract: contracts.getRLCContract({ at: rlcAddress }),
+          },
+        ]
+      : []),
+  ];
+};
+
+const findKnownContract = (knownContracts, address) =>
+  address &&
+  knownContracts.find(
+    ({ contract }) => getAddress(contract.address) === getAddress(address),
+  );
+
+// ethers Result to plain JSON (named keys, decimal strings for numbers)
+const formatDecodedValues = (paramTypes, values) => {
+  const formatValue = (paramType, value) => {
+    if (paramType.baseType === 'array') {
+      return value.map((e) => formatValue(paramType.arrayChildren, e));
+    }
+    if (paramType.baseType === 'tuple') {
+      return formatDecodedValues(paramType.components, value);
+    }
+    if (BigNumber.isBigNumber(value)) {
+      return value.toString();
+    }
+    return value;
+  };
+  return paramTypes.reduce(
+    (accu, paramType, i) => ({
+      ...accu,
+      [paramType.name || i]: formatValue(paramType, values[i]),
+    }),
+    {},
+  );
+};
+
+const decodeCall = (knownContracts, { to, data, value }) => {
+  if (!data || data === '0x') return {};
+  const known = findKnownContract(knownContracts, to);
+  if (!known) return {};
+  try {
+    const { name, args, functionFragment } =
+      known.contract.interface.parseTransaction({ data, value });
+    return {
+      contract: known.name,
+      method: name,
+      args: formatDecodedValues(functionFragment.inputs, args),
+    };
+  } catch (error) {
+    debug('decodeCall()', error);
+    return {};
+  }
+};
+
+const decodeLogs = (knownContracts, logs) =>
+  logs.reduce((accu, log) => {
+    const known = findKnownContract(knownContracts, log.address);
+    if (!known) return accu;
+    try {
+      const { name, args, eventFragment } =
+        known.contract.interface.parseLog(log);
+      return [
+        ...accu,
+        { address: log.address, event: name, args, eventFragment },
+      ];
+    } catch (error) {
+      debug('decodeLogs()', error);
+      return accu;
+    }
+  }, []);
+
+const requireEvent = (eventName) => (events) => {
+  if (!checkEvent(eventName, events)) throw Error(`${eventName} not confirmed`);
+  return {};
+};
+
+const parseCreatedObj = (events) => {
+  const { tokenId } = getEventFromLogs('Transfer', events, {
+    strict: true,
+  }).args;
+  return { address: tokenIdToAddress(tokenId) };
+};
+
+// receipts are parsed the same way as the module sending the transaction online
+const receiptParsers = {
+  createApp: parseCreatedObj,
+  createDataset: parseCreatedObj,
+  createWorkerpool: parseCreatedObj,
+  createCategory: (events) => {
+    const { catid } = getEventFromLogs('CreateCategory', events, {
+      strict: true,
+    }).args;
+    return { catid };
+  },
+  matchOrders: (events) => {
+    requireEvent('OrdersMatched')(events);
+    const { dealid, volume } = getEventFromLogs('OrdersMatched', events).args;
+    return { dealid, volume: ethersBnToBn(volume) };
+  },
+  manageAppOrder: requireEvent('ClosedAppOrder'),
+  manageDatasetOrder: requireEvent('ClosedDatasetOrder'),
+  manageWorkerpoolOrder: requireEvent('ClosedWorkerpoolOrder'),
+  // the requestorder is either presigned (app run offline mode) or canceled
+  manageRequestOrder: (events) =>
+    checkEvent('SignedRequestOrder', events)
+      ? {}
+      : requireEvent('ClosedRequestOrder')(events),
+  approveAndCall: requireEvent('Approval'),
+  deposit: requireEvent('Transfer'),
+  withdraw: requireEvent('Transfer'),
+  transfer: requireEvent('Transfer'),
+  claim: requireEvent('TaskClaimed'),
+};
+
+const decodeTransaction = async (
+  contracts = throwIfMissing(),
+  tx = throwIfMissing(),
+) => {
+  try {
+    const knownContracts = await getKnownContracts(contracts);
+    return decodeCall(knownContracts, tx);
+  } catch (error) {
+    debug('decodeTransaction()', error);
+    throw error;
+  }
+};
+
+const signTransaction = async (
+  signer = throwIfMissing(),
+  unsignedTx = throwIfMissing(),
+) => {
+  try {
+    const { from, chainId, to, data, value, gasLimit, gasPrice, nonce } =
+      await unsignedTransactionSchema().validate(unsignedTx);
+    const address = await signer.getAddress();
+    if (from !== address) {
+      throw Error(
+        `Transaction from ${from} cannot be signed with wallet ${address}`,
+      );
+    }
+    const rawTransaction = await signer.signTransaction({
+      chainId,
+      to,
+      data,
+      value: BigNumber.from(value),
+      gasLimit: BigNumber.from(gasLimit),
+      gasPrice: BigNumber.from(gasPrice),
+      nonce,
+    });
+    return { hash: keccak256(rawTransaction), rawTransaction };
+  } catch (error) {
+    debug('signTransaction()', error);
+    throw error;
+  }
+};
+
+const sendSignedTransaction = async (
+  contracts = throwIfMissing(),
+  signedTx = throwIfMissing(),
+) => {
+  try {
+    const vSignedTx = await signedTransactionSchema().validate(signedTx);
+    let tx;
+    try {
+      tx = parseTransaction(vSignedTx);
+    } catch (error) {
+      debug('parseTransaction()', error);
+      throw Error('Invalid signed transaction');
+    }
+    if (!tx.from) throw Error('Invalid signed transaction, missing signature');
+    if (`${tx.chainId}` !== `${contracts.chainId}`) {
+      throw Error(
+        `Transaction chainId ${tx.chainId} does not match current chain ${contracts.chainId}`,
+      );
+    }
+    const knownContracts = await getKnownContracts(contracts);
+    const { method } = decodeCall(knownContracts, tx);
+    const txResponse = await wrapSend(
+      contracts.provider.sendTransaction(vSignedTx),
+    );
+    const txReceipt = await wrapWait(txResponse.wait(contracts.confirms));
+    const events = decodeLogs(knownContracts, txReceipt.logs);
+    const parseReceipt =
+      method && Object.keys(receiptParsers).includes(method)
+        ? receiptParsers[method]
+        : undefined;
+    return {
+      txHash: txResponse.hash,
+      from: tx.from,
+      to: tx.to,
+      ...(method && { method }),
+      ...(parseReceipt && parseReceipt(events)),
+      events: events.map(({ address, event, args, eventFragment }) => ({
+        address,
+        event,
+        args: formatDecodedValues(eventFragment.inputs, args),
+      })),
+    };
+  } catch (error) {
+    debug('sendSignedTransaction()', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  decodeTransaction,
+  signTransaction,
+  sendSignedTransaction,
+};
@@ -19,7 +19,7 @@ const {
   throwIfMissing,
 } = require('../utils/validator');
 const { wrapCall, wrapSend, wrapWait } = require('../utils/errorWrappers');
-const { BridgeError } = require('../utils/errors');
+const { BridgeError, ReadOnlyError, KycError } = require('../utils/errors');
 const foreignBridgeErcToNativeDesc = require('../abi/bridge/ForeignBridgeErcToNative.json');
 const homeBridgeErcToNativeDesc = require('../abi/bridge/HomeBridgeErcToNative.json');
 
@@ -81,7 +81,7 @@ const ethFaucets = [
 ];
 
 const getAddress = async (contracts = throwIfMissing()) => {
-  if (!contracts.signer) throw Error('Missing Signer');
+  if (!contracts.signer) throw new ReadOnlyError();
   const address = await wrapCall(contracts.signer.getAddress());
   return checksummedAddress(address);
 };
@@ -102,7 +102,12 @@ const isInWhitelist = async (
     const eRlcContract = contracts.getRLCContract({ at: eRlcAddress });
     const isKYC = await wrapCall(eRlcContract.isKYC(vAddress));
     if (!isKYC && strict) {
-      throw Error(`${vAddress} is not authorized to interact with eRLC`);
+      throw new KycError(
+        `${vAddress} is not authorized to interact with eRLC`,
+        {
+          address: vAddress,
+        },
+      );
     }
     return isKYC;
   } catch (error) {
@@ -237,7 +242,7 @@ const sendNativeToken = async (
     }).validate(to);
     const vValue = await uint256Schema().validate(value);
     const hexValue = BigNumber.from(vValue).toHexString();
-    if (!contracts.signer) throw Error('Missing Signer');
+    if (!contracts.signer) throw new ReadOnlyError();
     const tx = await wrapSend(
       contracts.signer.sendTransaction({
         data: '0x',
@@ -3,6 +3,8 @@ const fetch = require('cross-fetch');
 const qs = require('query-string');
 const { hashEIP712 } = require('./sig-utils');
 const { wrapSignTypedData } = require('./errorWrappers');
+const { ApiCallError } = require('./errors');
+const { positiveStrictIntSchema } = require('./validator');
 
 const debug = Debug('iexec:api-utils');
 
@@ -61,25 +63,37 @@ const httpRequest =
     return response;
   };
 
-const checkResponseOk = (response) => {
+const checkResponseOk = (response, { api } = {}) => {
   if (!response.ok) {
-    throw Error(
+    throw new ApiCallError(
       `API call error: ${response.status} ${
         response.statusText ? response.statusText : ''
       }`,
+      { api, status: response.status },
     );
   }
   return response;
 };
 
-const responseToJson = async (response) => {
+const responseToJson = async (
+  response,
+  { api, ApiCallErrorClass = ApiCallError } = {},
+) => {
   const contentType = response.headers.get('Content-Type');
   if (contentType && contentType.indexOf('application/json') !== -1) {
     const json = await response.json();
-    if (json.error) throw new Error(`API error: ${json.error}`);
+    if (json.error) {
+      throw new ApiCallErrorClass(`API error: ${json.error}`, {
+        api,
+        status: response.status,
+      });
+    }
     if (response.status === 200 && json) return json;
   }
-  throw new Error('The http response is not of JSON type');
+  throw new ApiCallErrorClass('The http response is not of JSON type', {
+    api,
+    status: response.status,
+  });
 };
 
 const wrapPaginableRequest = (request) => async (args) =>
@@ -94,22 +108,68 @@ const wrapPaginableRequest = (request) => async (args) =>
     }),
   }));
 
-const jsonApi = {
-  get: (args) =>
-    httpRequest('GET')({
-      ...args,
-      ...{ headers: { Accept: 'application/json', ...args.headers } },
-    }).then(responseToJson),
-  post: (args) =>
-    httpRequest('POST')({
-      ...args,
-      ...{ headers: { Accept: 'application/json', ...args.headers } },
-    }).then(responseToJson),
-  put: (args) =>
-    httpRequest('PUT')({
+const iteratePaginableRequest = (
+  fetchFirstPage,
+  itemsKey,
+  { limit, filter } = {},
+) => ({
+  [Symbol.asyncIterator]: () => {
+    let fetchNextPage = fetchFirstPage;
+    let vLimit;
+    let buffer = [];
+    let yieldedCount = 0;
+    let done = false;
+    const end = async () => {
+      done = true;
+      buffer = [];
+      fetchNextPage = undefined;
+      return { done: true, value: undefined };
+    };
+    const next = async () => {
+      if (limit !== undefined && vLimit === undefined) {
+        vLimit = await positiveStrictIntSchema().label('limit').validate(limit);
+      }
+      if (done || (vLimit !== undefined && yieldedCount >= vLimit)) {
+        return end();
+      }
+      if (buffer.length === 0) {
+        if (!fetchNextPage) {
+          return end();
+        }
+        const { [itemsKey]: items = [], more } = await fetchNextPage();
+        fetchNextPage = more;
+        const keep = filter
+          ? await Promise.all(items.map((item) => filter(item)))
+          : items.map(() => true);
+        buffer = items.filter((item, i) => keep[i]);
+        return next();
+      }
+      yieldedCount += 1;
+      return { done: false, value: buffer.shift() };
+    };
+    return { next, return: end };
+  },
+});
+
+const jsonApiRequest =
+  (method) =>
+  async ({ ApiCallErrorClass = ApiCallError, ...args }) => {
+    const response = await httpRequest(method)({
       ...args,
       ...{ headers: { Accept: 'application/json', ...args.headers } },
-    }).then(responseToJson),
+    }).catch((error) => {
+      throw new ApiCallErrorClass(error.message, {
+        api: args.api,
+        originalError: error,
+      });
+    });
+    return responseToJson(response, { api: args.api, ApiCallErrorClass });
+  };
+
+const jsonApi = {
+  get: jsonApiRequest('GET'),
+  post: jsonApiRequest('POST'),
+  put: jsonApiRequest('PUT'),
 };
 
 const downloadZipApi = {
@@ -117,26 +177,37 @@ const downloadZipApi = {
     httpRequest('GET')({
       ...args,
       ...{ headers: { Accept: 'application/zip', ...args.headers } },
-    }).then(checkResponseOk),
+    }).then((response) => checkResponseOk(response, { api: args.api })),
   post: (args) =>
     httpRequest('POST')({
       ...args,
       ...{ headers: { Accept: 'application/zip', ...args.headers } },
-    }).then(checkResponseOk),
+    }).then((response) => checkResponseOk(response, { api: args.api })),
 };
 
 const getAuthorization =
-  (api, endpoint = '/challenge') =>
+  (api, endpoint = '/challenge', { ApiCallErrorClass = ApiCallError } = {}) =>
   async (chainId, address, signer) => {
-    try {
-      const challenge = await jsonApi.get({
+    // only the challenge request is an API call, signer errors are not wrapped
+    const challenge = await jsonApi
+      .get({
         api,
         endpoint,
         query: {
           chainId,
           address,
         },
+        ApiCallErrorClass,
+      })
+      .catch((error) => {
+        debug('getAuthorization()', error);
+        throw new ApiCallErrorClass('Failed to get authorization', {
+          api,
+          status: error.status,
+          originalError: error,
+        });
       });
+    try {
       const typedData = challenge.data || challenge;
       const { domain, message } = typedData;
       const { EIP712Domain, ...types } = typedData.types;
@@ -158,12 +229,13 @@ const getAuthorization =
       return authorization;
     } catch (error) {
       debug('getAuthorization()', error);
-      throw Error('Failed to get authorization');
+      throw error;
     }
   };
 
 module.exports = {
   wrapPaginableRequest,
+  iteratePaginableRequest,
   httpRequest,
   jsonApi,
   downloadZipApi,
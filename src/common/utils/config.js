@@ -65,6 +65,8 @@ const enterpriseEnabledMap = {
 
 const ipfsGatewayMap = {};
 
+const ipfsNodeMap = {};
+
 const iexecGatewayMap = {
   standard: {
     default: 'https://v6.api.market.iex.ec',
@@ -83,6 +85,9 @@ const getChainDefaults = ({ id, flavour }) => ({
     (ipfsGatewayMap[flavour] &&
       (ipfsGatewayMap[flavour][id] || ipfsGatewayMap[flavour].default)) ||
     'https://ipfs.iex.ec',
+  ipfsNode:
+    ipfsNodeMap[flavour] &&
+    (ipfsNodeMap[flavour][id] || ipfsNodeMap[flavour].default),
   iexecGateway:
     (iexecGatewayMap[flavour] &&
       (iexecGatewayMap[flavour][id] || iexecGatewayMap[flavour].default)) ||
@@ -0,0 +1,117 @@
+const Debug = require('debug');
+const { Buffer } = require('buffer');
+const forge = require('node-forge');
+// crypto is excluded from browser bundles (package.json "browser" field)
+const { generateKeyPair, webcrypto } = require('crypto');
+
+const debug = Debug('iexec:crypto-utils');
+
+const getSubtleCrypto = () => {
+  if (global.crypto && global.crypto.subtle) {
+    return global.crypto.subtle;
+  }
+  // NodeJS without global WebCrypto (NodeJS >= 15)
+  if (webcrypto && webcrypto.subtle) {
+    return webcrypto.subtle;
+  }
+  throw Error('WebCrypto is not available');
+};
+
+const RSA_MODULUS_LENGTH = 4096;
+// the key algorithm is only used by WebCrypto to generate and export the key material
+const RSA_KEY_ALGORITHM = {
+  name: 'RSA-OAEP',
+  hash: 'SHA-256',
+};
+
+const toPem = (derBuffer, label) =>
+  `-----BEGIN ${label}-----\n${Buffer.from(derBuffer)
+    .toString('base64')
+    .match(/.{1,64}/g)
+    .join('\n')}\n-----END ${label}-----\n`;
+
+const generateRsaKeypairNode = () =>
+  new Promise((resolve, reject) => {
+    generateKeyPair(
+      'rsa',
+      {
+        modulusLength: RSA_MODULUS_LENGTH,
+        publicKeyEncoding: {
+          type: 'spki',
+          format: 'pem',
+        },
+        privateKeyEncoding: {
+          type: 'pkcs8',
+          format: 'pem',
+        },
+      },
+      (err, pub, pri) => {
+        if (err) reject(err);
+        else {
+          resolve({
+            privateKey: pri,
+            publicKey: pub,
+          });
+        }
+      },
+    );
+  });
+
+const generateRsaKeypairWebCrypto = async () => {
+  const subtle = getSubtleCrypto();
+  const { publicKey, privateKey } = await subtle.generateKey(
+    {
+      ...RSA_KEY_ALGORITHM,
+      modulusLength: RSA_MODULUS_LENGTH,
+      publicExponent: new Uint8Array([1, 0, 1]),
+    },
+    true,
+    ['encrypt', 'decrypt'],
+  );
+  const [spki, pkcs8] = await Promise.all([
+    subtle.exportKey('spki', publicKey),
+    subtle.exportKey('pkcs8', privateKey),
+  ]);
+  return {
+    publicKey: toPem(spki, 'PUBLIC KEY'),
+    privateKey: toPem(pkcs8, 'PRIVATE KEY'),
+  };
+};
+
+// NodeJS crypto is preferred, WebCrypto is used in browsers
+const generateRsaKeypair = async () => {
+  try {
+    if (typeof generateKeyPair === 'function') {
+      return await generateRsaKeypairNode();
+    }
+    return await generateRsaKeypairWebCrypto();
+  } catch (error) {
+    debug('generateRsaKeypair()', error);
+    throw Error('Failed to generate RSA keypair');
+  }
+};
+
+// WebCrypto does not support RSAES-PKCS1-v1_5, node-forge works in NodeJS and browsers
+const rsaPkcs1Decrypt = async (privateKeyPem, encryptedBuffer) => {
+  try {
+    const privateKey = forge.pki.privateKeyFromPem(
+      Buffer.from(privateKeyPem).toString(),
+    );
+    return Buffer.from(
+      privateKey.decrypt(
+        Buffer.from(encryptedBuffer).toString('binary'),
+        'RSAES-PKCS1-V1_5',
+      ),
+      'binary',
+    );
+  } catch (error) {
+    debug('rsaPkcs1Decrypt()', error);
+    throw Error('Failed to decrypt with RSA private key');
+  }
+};
+
+module.exports = {
+  getSubtleCrypto,
+  generateRsaKeypair,
+  rsaPkcs1Decrypt,
+};
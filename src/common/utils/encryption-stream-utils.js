@@ -0,0 +1,220 @@
+const Debug = require('debug');
+const {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+} = require('crypto');
+const { Transform, pipeline } = require('stream');
+const {
+  base64Encoded256bitsKeySchema,
+  datasetEncryptionAlgorithmSchema,
+  throwIfMissing,
+} = require('./validator');
+const {
+  AES_256_CBC,
+  AES_256_GCM,
+  ENCRYPTION_HEADER_LENGTH,
+  AES_256_GCM_VERSION,
+  AES_GCM_IV_LENGTH,
+  AES_GCM_TAG_LENGTH,
+  encryptionHeader,
+  getEncryptionAlgorithm,
+} = require('./encryption-utils');
+
+const debug = Debug('iexec:encryption-stream-utils');
+
+// crypto and stream are excluded from browser bundles (package.json "browser" field)
+const checkNodeStreamSupport = () => {
+  if (typeof createCipheriv !== 'function' || typeof pipeline !== 'function') {
+    throw Error('Dataset streaming encryption is only available in NodeJS');
+  }
+};
+
+const pipelineAsync = (...streams) =>
+  new Promise((resolve, reject) => {
+    pipeline(...streams, (error) => (error ? reject(error) : resolve()));
+  });
+
+const createChecksumStream = (hash) =>
+  new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+const createEncryptStream = (algorithm, keyBuffer) => {
+  let cipher;
+  let prefixBuffer;
+  if (algorithm === AES_256_GCM) {
+    const ivBuffer = randomBytes(AES_GCM_IV_LENGTH);
+    cipher = createCipheriv(AES_256_GCM, keyBuffer, ivBuffer, {
+      authTagLength: AES_GCM_TAG_LENGTH,
+    });
+    prefixBuffer = Buffer.concat([
+      encryptionHeader(AES_256_GCM_VERSION),
+      ivBuffer,
+    ]);
+  } else {
+    const ivBuffer = randomBytes(16);
+    cipher = createCipheriv(AES_256_CBC, keyBuffer, ivBuffer);
+    prefixBuffer = ivBuffer;
+  }
+  const encryptStream = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      const finalBuffer = cipher.final();
+      // the authentication tag is appended to the encrypted data
+      callback(
+        null,
+        algorithm === AES_256_GCM
+          ? Buffer.concat([finalBuffer, cipher.getAuthTag()])
+          : finalBuffer,
+      );
+    },
+  });
+  encryptStream.push(prefixBuffer);
+  return encryptStream;
+};
+
+const encryptDatasetStream = async (
+  inputStream = throwIfMissing(),
+  outputStream = throwIfMissing(),
+  base64Key = throwIfMissing(),
+  { algorithm = AES_256_CBC } = {},
+) => {
+  try {
+    checkNodeStreamSupport();
+    const keyBuffer = Buffer.from(
+      await base64Encoded256bitsKeySchema().validate(base64Key),
+      'base64',
+    );
+    const vAlgorithm = await datasetEncryptionAlgorithmSchema().validate(
+      algorithm,
+    );
+    const hash = createHash('sha256');
+    await pipelineAsync(
+      inputStream,
+      createEncryptStream(vAlgorithm, keyBuffer),
+      createChecksumStream(hash),
+      outputStream,
+    );
+    return `0x${hash.digest('hex')}`;
+  } catch (error) {
+    debug('encryptDatasetStream()', error);
+    throw error;
+  }
+};
+
+const INVALID_FILE_ERROR_MESSAGE =
+  'Invalid encrypted file, must be a 16 bytes IV followed by AES-256-CBC encrypted blocks or a AES-256-GCM header followed by a 12 bytes IV, the encrypted data and a 16 bytes authentication tag';
+
+const createDecryptStream = (keyBuffer) => {
+  let headerBuffer = Buffer.alloc(0);
+  let algorithm;
+  let decipher;
+  // the AES-256-GCM authentication tag is the last 16 bytes of the file
+  let tagBuffer = Buffer.alloc(0);
+
+  const update = (buffer) => {
+    if (algorithm !== AES_256_GCM) return decipher.update(buffer);
+    const data = Buffer.concat([tagBuffer, buffer]);
+    const dataLength = Math.max(data.length - AES_GCM_TAG_LENGTH, 0);
+    tagBuffer = data.slice(dataLength);
+    return decipher.update(data.slice(0, dataLength));
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        if (decipher) {
+          callback(null, update(chunk));
+          return;
+        }
+        // the encrypted file starts with an optional header and the IV
+        const buffer = Buffer.concat([headerBuffer, chunk]);
+        if (buffer.length < ENCRYPTION_HEADER_LENGTH + AES_GCM_IV_LENGTH) {
+          headerBuffer = buffer;
+          callback();
+          return;
+        }
+        algorithm = getEncryptionAlgorithm(buffer);
+        let dataOffset;
+        if (algorithm === AES_256_GCM) {
+          dataOffset = ENCRYPTION_HEADER_LENGTH + AES_GCM_IV_LENGTH;
+          decipher = createDecipheriv(
+            AES_256_GCM,
+            keyBuffer,
+            buffer.slice(ENCRYPTION_HEADER_LENGTH, dataOffset),
+            { authTagLength: AES_GCM_TAG_LENGTH },
+          );
+        } else {
+          dataOffset = 16;
+          decipher = createDecipheriv(
+            AES_256_CBC,
+            keyBuffer,
+            buffer.slice(0, dataOffset),
+          );
+        }
+        callback(null, update(buffer.slice(dataOffset)));
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      if (
+        !decipher ||
+        (algorithm === AES_256_GCM && tagBuffer.length < AES_GCM_TAG_LENGTH)
+      ) {
+        callback(Error(INVALID_FILE_ERROR_MESSAGE));
+        return;
+      }
+      try {
+        if (algorithm === AES_256_GCM) decipher.setAuthTag(tagBuffer);
+        callback(null, decipher.final());
+      } catch (error) {
+        debug('createDecryptStream()', error);
+        callback(
+          Error(
+            algorithm === AES_256_GCM
+              ? 'Failed to decrypt dataset with the specified key, the key is wrong or the encrypted file was tampered with'
+              : 'Failed to decrypt dataset with the specified key',
+          ),
+        );
+      }
+    },
+  });
+};
+
+const decryptDatasetStream = async (
+  inputStream = throwIfMissing(),
+  outputStream = throwIfMissing(),
+  base64Key = throwIfMissing(),
+) => {
+  try {
+    checkNodeStreamSupport();
+    const keyBuffer = Buffer.from(
+      await base64Encoded256bitsKeySchema().validate(base64Key),
+      'base64',
+    );
+    const hash = createHash('sha256');
+    await pipelineAsync(
+      inputStream,
+      createChecksumStream(hash),
+      createDecryptStream(keyBuffer),
+      outputStream,
+    );
+    return `0x${hash.digest('hex')}`;
+  } catch (error) {
+    debug('decryptDatasetStream()', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  encryptDatasetStream,
+  decryptDatasetStream,
+};
@@ -1,11 +1,48 @@
 const { Buffer } = require('buffer');
 const { randomBytes, sha256 } = require('ethers').utils;
 const aesjs = require('aes-js');
+// crypto is excluded from browser bundles (package.json "browser" field)
+const { createCipheriv, createDecipheriv } = require('crypto');
 const {
   base64Encoded256bitsKeySchema,
+  datasetEncryptionAlgorithmSchema,
   fileBufferSchema,
   throwIfMissing,
 } = require('./validator');
+const { getSubtleCrypto } = require('./crypto-utils');
+
+const AES_256_CBC = 'aes-256-cbc';
+const AES_256_GCM = 'aes-256-gcm';
+
+// versioned encrypted files start with a header: magic bytes + version byte
+// legacy AES-256-CBC encrypted files have no header and start with the IV
+const ENCRYPTION_HEADER_MAGIC = Buffer.from('iExecEnc');
+const ENCRYPTION_HEADER_LENGTH = ENCRYPTION_HEADER_MAGIC.length + 1;
+const AES_256_GCM_VERSION = 1;
+const AES_GCM_IV_LENGTH = 12;
+const AES_GCM_TAG_LENGTH = 16;
+
+const encryptionHeader = (version) =>
+  Buffer.concat([ENCRYPTION_HEADER_MAGIC, Buffer.from([version])]);
+
+const getEncryptionAlgorithm = (encryptedFileBuffer) => {
+  if (
+    encryptedFileBuffer.length < ENCRYPTION_HEADER_LENGTH ||
+    !ENCRYPTION_HEADER_MAGIC.equals(
+      encryptedFileBuffer.slice(0, ENCRYPTION_HEADER_MAGIC.length),
+    )
+  ) {
+    return AES_256_CBC;
+  }
+  const version = encryptedFileBuffer[ENCRYPTION_HEADER_MAGIC.length];
+  if (version === AES_256_GCM_VERSION) return AES_256_GCM;
+  throw Error(`Unsupported encrypted file version ${version}`);
+};
+
+// NodeJS crypto is preferred, WebCrypto is used in browsers
+const hasNodeCrypto = () =>
+  typeof createCipheriv === 'function' &&
+  typeof createDecipheriv === 'function';
 
 const generateAes256Key = () => Buffer.from(randomBytes(32)).toString('base64');
 
@@ -38,13 +75,208 @@ const encryptAes256Cbc = async (
   return ivEncryptedFileBuffer;
 };
 
+const decryptAes256Cbc = async (
+  encryptedFileBytes = throwIfMissing(),
+  base64Key = throwIfMissing(),
+) => {
+  const keyBuffer = Buffer.from(
+    await base64Encoded256bitsKeySchema().validate(base64Key),
+    'base64',
+  );
+  const encryptedFileBuffer = await fileBufferSchema().validate(
+    encryptedFileBytes,
+  );
+
+  if (
+    encryptedFileBuffer.length < 32 ||
+    encryptedFileBuffer.length % 16 !== 0
+  ) {
+    throw Error(
+      'Invalid encrypted file, must be a 16 bytes IV followed by AES-256-CBC encrypted blocks',
+    );
+  }
+
+  const ivBuffer = encryptedFileBuffer.slice(0, 16);
+
+  const aesCbc = new aesjs.ModeOfOperation.cbc(keyBuffer, ivBuffer);
+
+  const decryptedFileBuffer = Buffer.from(
+    aesCbc.decrypt(encryptedFileBuffer.slice(16)),
+  );
+
+  // remove pkcs7 padding
+  const pkcs7PaddingLength =
+    decryptedFileBuffer[decryptedFileBuffer.length - 1];
+  const pkcs7PaddingBuffer = decryptedFileBuffer.slice(
+    decryptedFileBuffer.length - pkcs7PaddingLength,
+  );
+  if (
+    pkcs7PaddingLength < 1 ||
+    pkcs7PaddingLength > 16 ||
+    !pkcs7PaddingBuffer.every((byte) => byte === pkcs7PaddingLength)
+  ) {
+    throw Error('Failed to decrypt dataset with the specified key');
+  }
+
+  return decryptedFileBuffer.slice(
+    0,
+    decryptedFileBuffer.length - pkcs7PaddingLength,
+  );
+};
+
+const encryptAes256Gcm = async (
+  fileBytes = throwIfMissing(),
+  base64Key = throwIfMissing(),
+) => {
+  const keyBuffer = Buffer.from(
+    await base64Encoded256bitsKeySchema().validate(base64Key),
+    'base64',
+  );
+  const fileBuffer = await fileBufferSchema().validate(fileBytes);
+
+  const ivBuffer = Buffer.from(randomBytes(AES_GCM_IV_LENGTH));
+
+  // the authentication tag is appended to the encrypted data
+  let encryptedFileBuffer;
+  if (hasNodeCrypto()) {
+    const cipher = createCipheriv(AES_256_GCM, keyBuffer, ivBuffer, {
+      authTagLength: AES_GCM_TAG_LENGTH,
+    });
+    encryptedFileBuffer = Buffer.concat([
+      cipher.update(fileBuffer),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+  } else {
+    const subtle = getSubtleCrypto();
+    const key = await subtle.importKey('raw', keyBuffer, 'AES-GCM', false, [
+      'encrypt',
+    ]);
+    encryptedFileBuffer = Buffer.from(
+      await subtle.encrypt({ name: 'AES-GCM', iv: ivBuffer }, key, fileBuffer),
+    );
+  }
+
+  return Buffer.concat([
+    encryptionHeader(AES_256_GCM_VERSION),
+    ivBuffer,
+    encryptedFileBuffer,
+  ]);
+};
+
+const decryptAes256Gcm = async (
+  encryptedFileBytes = throwIfMissing(),
+  base64Key = throwIfMissing(),
+) => {
+  const keyBuffer = Buffer.from(
+    await base64Encoded256bitsKeySchema().validate(base64Key),
+    'base64',
+  );
+  const encryptedFileBuffer = await fileBufferSchema().validate(
+    encryptedFileBytes,
+  );
+
+  if (
+    encryptedFileBuffer.length <
+      ENCRYPTION_HEADER_LENGTH + AES_GCM_IV_LENGTH + AES_GCM_TAG_LENGTH ||
+    getEncryptionAlgorithm(encryptedFileBuffer) !== AES_256_GCM
+  ) {
+    throw Error(
+      'Invalid encrypted file, must be a AES-256-GCM header followed by a 12 bytes IV, the encrypted data and a 16 bytes authentication tag',
+    );
+  }
+
+  const ivBuffer = encryptedFileBuffer.slice(
+    ENCRYPTION_HEADER_LENGTH,
+    ENCRYPTION_HEADER_LENGTH + AES_GCM_IV_LENGTH,
+  );
+
+  const encryptedDataBuffer = encryptedFileBuffer.slice(
+    ENCRYPTION_HEADER_LENGTH + AES_GCM_IV_LENGTH,
+  );
+  try {
+    if (hasNodeCrypto()) {
+      const decipher = createDecipheriv(AES_256_GCM, keyBuffer, ivBuffer, {
+        authTagLength: AES_GCM_TAG_LENGTH,
+      });
+      decipher.setAuthTag(
+        encryptedDataBuffer.slice(
+          encryptedDataBuffer.length - AES_GCM_TAG_LENGTH,
+        ),
+      );
+      return Buffer.concat([
+        decipher.update(
+          encryptedDataBuffer.slice(
+            0,
+            encryptedDataBuffer.length - AES_GCM_TAG_LENGTH,
+          ),
+        ),
+        decipher.final(),
+      ]);
+    }
+    const subtle = getSubtleCrypto();
+    const key = await subtle.importKey('raw', keyBuffer, 'AES-GCM', false, [
+      'decrypt',
+    ]);
+    return Buffer.from(
+      await subtle.decrypt(
+        { name: 'AES-GCM', iv: ivBuffer },
+        key,
+        encryptedDataBuffer,
+      ),
+    );
+  } catch (error) {
+    throw Error(
+      'Failed to decrypt dataset with the specified key, the key is wrong or the encrypted file was tampered with',
+    );
+  }
+};
+
+const encryptDatasetFile = async (
+  fileBytes = throwIfMissing(),
+  base64Key = throwIfMissing(),
+  { algorithm = AES_256_CBC } = {},
+) => {
+  const vAlgorithm = await datasetEncryptionAlgorithmSchema().validate(
+    algorithm,
+  );
+  if (vAlgorithm === AES_256_GCM) return encryptAes256Gcm(fileBytes, base64Key);
+  return encryptAes256Cbc(fileBytes, base64Key);
+};
+
+const decryptDatasetFile = async (
+  encryptedFileBytes = throwIfMissing(),
+  base64Key = throwIfMissing(),
+) => {
+  const encryptedFileBuffer = await fileBufferSchema().validate(
+    encryptedFileBytes,
+  );
+  if (getEncryptionAlgorithm(encryptedFileBuffer) === AES_256_GCM) {
+    return decryptAes256Gcm(encryptedFileBuffer, base64Key);
+  }
+  return decryptAes256Cbc(encryptedFileBuffer, base64Key);
+};
+
 const sha256Sum = async (fileBytes = throwIfMissing()) => {
   const fileBuffer = await fileBufferSchema().validate(fileBytes);
   return sha256(fileBuffer);
 };
 
 module.exports = {
+  AES_256_CBC,
+  AES_256_GCM,
+  ENCRYPTION_HEADER_LENGTH,
+  AES_256_GCM_VERSION,
+  AES_GCM_IV_LENGTH,
+  AES_GCM_TAG_LENGTH,
+  encryptionHeader,
+  getEncryptionAlgorithm,
   generateAes256Key,
   encryptAes256Cbc,
+  decryptAes256Cbc,
+  encryptAes256Gcm,
+  decryptAes256Gcm,
+  encryptDatasetFile,
+  decryptDatasetFile,
   sha256Sum,
 };
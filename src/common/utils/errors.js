@@ -52,6 +52,104 @@ class Web3ProviderSignMessageError extends Web3ProviderError {
   }
 }
 
+class ReadOnlyError extends Error {
+  constructor(
+    message = 'Read-only mode, a signer is required to sign messages or send transactions',
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+class OfflineTransactionError extends Error {
+  constructor(
+    message = 'Offline mode, the transaction was built but not sent',
+    { unsignedTx } = {},
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.unsignedTx = unsignedTx;
+  }
+}
+
+class ApiCallError extends Error {
+  constructor(message, { api, status, originalError } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.api = api;
+    this.status = status;
+    this.originalError = originalError;
+  }
+}
+
+class MarketplaceApiError extends ApiCallError {
+  constructor(...args) {
+    super(...args);
+    this.name = this.constructor.name;
+  }
+}
+
+class SmsError extends ApiCallError {
+  constructor(...args) {
+    super(...args);
+    this.name = this.constructor.name;
+  }
+}
+
+class ResultProxyError extends ApiCallError {
+  constructor(...args) {
+    super(...args);
+    this.name = this.constructor.name;
+  }
+}
+
+class IpfsError extends ApiCallError {
+  constructor(...args) {
+    super(...args);
+    this.name = this.constructor.name;
+  }
+}
+
+class InsufficientStakeError extends Error {
+  constructor(message, { address, stake, requiredStake } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.address = address;
+    this.stake = stake;
+    this.requiredStake = requiredStake;
+  }
+}
+
+class OrderConsumedError extends Error {
+  constructor(message, { orderName, orderHash, volume, consumed } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.orderName = orderName;
+    this.orderHash = orderHash;
+    this.volume = volume;
+    this.consumed = consumed;
+  }
+}
+
+class SignatureMismatchError extends Error {
+  constructor(message, { orderName, orderHash, expectedSigner, signer } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.orderName = orderName;
+    this.orderHash = orderHash;
+    this.expectedSigner = expectedSigner;
+    this.signer = signer;
+  }
+}
+
+class KycError extends Error {
+  constructor(message, { address } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.address = address;
+  }
+}
+
 class ObjectNotFoundError extends Error {
   constructor(objName, objId, chainId) {
     super(`No ${objName} found for id ${objId} on chain ${chainId}`);
@@ -77,8 +175,19 @@ class BridgeError extends Error {
 }
 
 module.exports = {
+  ApiCallError,
+  MarketplaceApiError,
+  SmsError,
+  ResultProxyError,
+  IpfsError,
+  InsufficientStakeError,
+  OrderConsumedError,
+  SignatureMismatchError,
+  KycError,
   ConfigurationError,
   ObjectNotFoundError,
+  ReadOnlyError,
+  OfflineTransactionError,
   ValidationError,
   Web3ProviderError,
   Web3ProviderCallError,
@@ -0,0 +1,161 @@
+const Debug = require('debug');
+const { defaultAbiCoder, Logger } = require('ethers').utils;
+const { Web3ProviderCallError } = require('./errors');
+const { wrapCall } = require('./errorWrappers');
+
+const debug = Debug('iexec:multicall');
+
+// creation bytecode of a contract that is never deployed, its constructor
+// performs the static calls and returns their results
+//
+// source:
+// // SPDX-License-Identifier: Apache-2.0
+// pragma solidity 0.8.6;
+//
+// contract DeploylessMulticall {
+//   constructor(address[] memory targets, bytes[] memory calls) {
+//     bool[] memory success = new bool[](calls.length);
+//     bytes[] memory results = new bytes[](calls.length);
+//     for (uint256 i = 0; i < calls.length; i++) {
+//       (success[i], results[i]) = targets[i].staticcall(calls[i]);
+//     }
+//     bytes memory data = abi.encode(success, results);
+//     assembly {
+//       return(add(data, 32), mload(data))
+//     }
+//   }
+// }
+//
+// build: solc 0.8.6 (solc-js 0.8.6), optimizer enabled with 200 runs,
+// evmVersion istanbul, output `evm.bytecode.object` of DeploylessMulticall
+const DEPLOYLESS_MULTICALL_BYTECODE =
+  '0x608060405234801561001057600080fd5b5060405161054738038061054783398101604081905261002f916102c9565b600081516001600160401b0381111561004a5761004a610530565b604051908082528060200260200182016040528015610073578160200160208202803683370190505b509050600082516001600160401b0381111561009157610091610530565b6040519080825280602002602001820160405280156100c457816020015b60608152602001906001900390816100af5790505b50905060005b83518110156101ae578481815181106100e5576100e561051a565b60200260200101516001600160a01b03168482815181106101085761010861051a565b602002602001015160405161011d91906103a0565b600060405180830381855afa9150503d8060008114610158576040519150601f19603f3d011682016040523d82523d6000602084013e61015d565b606091505b508483815181106101705761017061051a565b602002602001018484815181106101895761018961051a565b60209081029190910101919091529015159052806101a6816104f1565b9150506100ca565b50600082826040516020016101c49291906103bc565b6040516020818303038152906040529050805160208201f35b6000601f83818401126101ef57600080fd5b825160206102046101ff8361049e565b61046e565b80838252828201915082870188848660051b8a0101111561022457600080fd5b60005b858110156102bb5781516001600160401b038082111561024657600080fd5b818b0191508b603f83011261025a57600080fd5b8682015160408282111561027057610270610530565b610281828c01601f19168a0161046e565b92508183528d8183860101111561029757600080fd5b6102a6828a85018387016104c1565b50508552509284019290840190600101610227565b509098975050505050505050565b600080604083850312156102dc57600080fd5b82516001600160401b03808211156102f357600080fd5b818501915085601f83011261030757600080fd5b815160206103176101ff8361049e565b8083825282820191508286018a848660051b890101111561033757600080fd5b600096505b8487101561036f5780516001600160a01b038116811461035b57600080fd5b83526001969096019591830191830161033c565b509188015191965090935050508082111561038957600080fd5b50610396858286016101dd565b9150509250929050565b600082516103b28184602087016104c1565b9190910192915050565b604080825283519082018190526000906020906060840190828701845b828110156103f75781511515845292840192908401906001016103d9565b50505083810382850152845180825282820190600581901b8301840187850160005b8381101561045f57601f198087850301865282518051808652610441818b88018c85016104c1565b96890196601f01909116939093018701925090860190600101610419565b50909998505050505050505050565b604051601f8201601f191681016001600160401b038111828210171561049657610496610530565b604052919050565b60006001600160401b038211156104b7576104b7610530565b5060051b60200190565b60005b838110156104dc5781810151838201526020016104c4565b838111156104eb576000848401525b50505050565b600060001982141561051357634e487b7160e01b600052601160045260246000fd5b5060010190565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052604160045260246000fdfe';
+
+const MULTICALL_BATCH_SIZE = 100;
+
+const unsupportedProviders = new WeakSet();
+
+// deterministic failures of the aggregated call, the node answered but cannot
+// run the deployless call (method not supported, revert, unexpected result)
+const isAggregateNotSupportedError = (error) => {
+  const rootError = error.originalError || error;
+  const { code } = rootError;
+  // JSON-RPC error response
+  if (code === Logger.errors.SERVER_ERROR) {
+    return !!(rootError.error && rootError.error.code !== undefined);
+  }
+  // EIP-1193 provider error
+  if (typeof code === 'number') {
+    return true;
+  }
+  // revert data or empty result
+  return [
+    Logger.errors.CALL_EXCEPTION,
+    Logger.errors.BUFFER_OVERRUN,
+    Logger.errors.INVALID_ARGUMENT,
+  ].includes(code);
+};
+
+const decodeCallResult = ({ contract, method }, data) => {
+  const fragment = contract.interface.getFunction(method);
+  const result = contract.interface.decodeFunctionResult(fragment, data);
+  return fragment.outputs.length === 1 ? result[0] : result;
+};
+
+const aggregateBatch = async (provider, calls) => {
+  const encodedArgs = defaultAbiCoder.encode(
+    ['address[]', 'bytes[]'],
+    [
+      calls.map(({ contract }) => contract.address),
+      calls.map(({ contract, method, args = [] }) =>
+        contract.interface.encodeFunctionData(method, args),
+      ),
+    ],
+  );
+  const returnData = await wrapCall(
+    provider.call({
+      data: DEPLOYLESS_MULTICALL_BYTECODE.concat(encodedArgs.substr(2)),
+    }),
+  );
+  const [success, results] = defaultAbiCoder.decode(
+    ['bool[]', 'bytes[]'],
+    returnData,
+  );
+  return calls.map((call, i) => {
+    try {
+      if (!success[i]) {
+        throw Error(`call to ${call.method}() reverted`);
+      }
+      return decodeCallResult(call, results[i]);
+    } catch (error) {
+      return new Web3ProviderCallError(error.message, error);
+    }
+  });
+};
+
+const callOneByOne = async (calls) =>
+  Promise.all(
+    calls.map(({ contract, method, args = [] }) =>
+      wrapCall(contract[method](...args)).catch((error) => error),
+    ),
+  );
+
+const multicall = async (
+  contracts,
+  calls = [],
+  { allowFailure = false } = {},
+) => {
+  const { provider } = contracts;
+  let results;
+  if (!unsupportedProviders.has(provider)) {
+    try {
+      const batches = [];
+      for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+        batches.push(calls.slice(i, i + MULTICALL_BATCH_SIZE));
+      }
+      const batchesResults = await Promise.all(
+        batches.map((batch) => aggregateBatch(provider, batch)),
+      );
+      results = [].concat(...batchesResults);
+    } catch (error) {
+      if (!isAggregateNotSupportedError(error)) {
+        debug('multicall() aggregated call failed', error);
+        throw error;
+      }
+      debug(
+        'multicall() aggregated call not supported, fallback to calls one by one',
+        error,
+      );
+      unsupportedProviders.add(provider);
+      results = undefined;
+    }
+  }
+  if (!results) {
+    results = await callOneByOne(calls);
+  }
+  if (!allowFailure) {
+    const failure = results.find((result) => result instanceof Error);
+    if (failure) {
+      throw failure;
+    }
+  }
+  return results;
+};
+
+const multicallByKey = async (contracts, callsMap = {}, options) => {
+  const keys = Object.keys(callsMap);
+  const results = await multicall(
+    contracts,
+    keys.map((key) => callsMap[key]),
+    options,
+  );
+  return keys.reduce((acc, key, i) => {
+    acc[key] = results[i];
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  multicall,
+  multicallByKey,
+};
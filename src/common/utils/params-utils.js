@@ -5,6 +5,7 @@ const paramsKeyName = {
   IEXEC_RESULT_STORAGE_PROVIDER: 'iexec_result_storage_provider',
   IEXEC_RESULT_STORAGE_PROXY: 'iexec_result_storage_proxy',
   IEXEC_DEVELOPER_LOGGER: 'iexec_developer_logger',
+  IEXEC_SECRETS: 'iexec_secrets',
 };
 
 const storageProviders = () => ['ipfs', 'dropbox'];
@@ -17,8 +17,9 @@ class SafeObserver {
   }
 
   error(err) {
-    // only try to emit error if you're subscribed and have a handler
-    if (!this.isUnsubscribed && this.destination.error) {
+    if (this.isUnsubscribed) return;
+    // only try to emit error if you have a handler
+    if (this.destination.error) {
       try {
         this.destination.error(err);
       } catch (e2) {
@@ -26,13 +27,15 @@ class SafeObserver {
         this.unsubscribe();
         throw e2;
       }
-      this.unsubscribe();
     }
+    // teardown resources even without handler
+    this.unsubscribe();
   }
 
   complete() {
-    // only try to emit completion if you're subscribed and have a handler
-    if (!this.isUnsubscribed && this.destination.complete) {
+    if (this.isUnsubscribed) return;
+    // only try to emit completion if you have a handler
+    if (this.destination.complete) {
       try {
         this.destination.complete();
       } catch (err) {
@@ -40,8 +43,9 @@ class SafeObserver {
         this.unsubscribe();
         throw err;
       }
-      this.unsubscribe();
     }
+    // teardown resources even without handler
+    this.unsubscribe();
   }
 
   unsubscribe() {
@@ -0,0 +1,154 @@
+const Debug = require('debug');
+const yauzl = require('yauzl');
+const { createDecipheriv } = require('crypto');
+const { Transform, PassThrough, pipeline } = require('stream');
+const { decryptResultKey } = require('./utils');
+const { throwIfMissing } = require('./validator');
+
+const debug = Debug('iexec:result-utils');
+
+const ENC_KEY_FILE = 'aes-key.rsa';
+const ENC_RESULTS_FILE = 'iexec_out.zip.aes';
+
+// yauzl, crypto and stream are excluded from browser bundles (package.json "browser" field)
+const checkNodeStreamSupport = () => {
+  if (typeof yauzl.open !== 'function' || typeof pipeline !== 'function') {
+    throw Error('Results streaming decryption is only available in NodeJS');
+  }
+};
+
+// the zip central directory is read from the file, entries are inflated as streams
+const openZip = (zipPath) =>
+  new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zip) =>
+      err ? reject(err) : resolve(zip),
+    );
+  });
+
+const readZipEntries = (zip) =>
+  new Promise((resolve, reject) => {
+    const entries = {};
+    zip.on('entry', (entry) => {
+      entries[entry.fileName] = entry;
+      zip.readEntry();
+    });
+    zip.on('end', () => resolve(entries));
+    zip.on('error', reject);
+    zip.readEntry();
+  });
+
+const openEntryStream = (zip, entry) =>
+  new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (err, stream) =>
+      err ? reject(err) : resolve(stream),
+    );
+  });
+
+const readEntry = async (zip, entry) => {
+  const entryStream = await openEntryStream(zip, entry);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    entryStream.on('data', (chunk) => chunks.push(chunk));
+    entryStream.on('error', reject);
+    entryStream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
+
+const createBase64DecodeStream = () => {
+  let remaining = '';
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const base64 = remaining + chunk.toString().replace(/\s/g, '');
+      const decodableLength = base64.length - (base64.length % 4);
+      remaining = base64.slice(decodableLength);
+      callback(null, Buffer.from(base64.slice(0, decodableLength), 'base64'));
+    },
+    flush(callback) {
+      callback(null, Buffer.from(remaining, 'base64'));
+    },
+  });
+};
+
+const decryptResultStream = async (
+  encryptedZipPath = throwIfMissing(),
+  beneficiaryKey = throwIfMissing(),
+) => {
+  checkNodeStreamSupport();
+  let zip;
+  let entries;
+  try {
+    zip = await openZip(encryptedZipPath);
+    entries = await readZipEntries(zip);
+  } catch (error) {
+    debug(error);
+    if (zip) zip.close();
+    throw Error('Failed to load encrypted results zip file');
+  }
+
+  const decryptedZipStream = new PassThrough();
+  try {
+    if (!entries[ENC_KEY_FILE]) {
+      throw Error(`Missing ${ENC_KEY_FILE} file in zip input file`);
+    }
+    if (!entries[ENC_RESULTS_FILE]) {
+      throw Error(`Missing ${ENC_RESULTS_FILE} file in zip input file`);
+    }
+    let encryptedResultsKeyBuffer;
+    try {
+      encryptedResultsKeyBuffer = await readEntry(zip, entries[ENC_KEY_FILE]);
+    } catch (error) {
+      debug(error);
+      throw Error(`Failed to read ${ENC_KEY_FILE} file in zip input file`);
+    }
+    const aesKeyBuffer = await decryptResultKey(
+      encryptedResultsKeyBuffer,
+      beneficiaryKey,
+    );
+
+    debug('Decrypting results');
+    // decrypt AES ECB (with one time AES key), pkcs7 padding is removed by the decipher
+    let decipher;
+    try {
+      decipher = createDecipheriv(
+        `aes-${aesKeyBuffer.length * 8}-ecb`,
+        aesKeyBuffer,
+        null,
+      );
+    } catch (error) {
+      debug(error);
+      throw Error('Failed to decrypt results with decrypted results key');
+    }
+    let encryptedResultsStream;
+    try {
+      encryptedResultsStream = await openEntryStream(
+        zip,
+        entries[ENC_RESULTS_FILE],
+      );
+    } catch (error) {
+      debug(error);
+      throw Error(`Failed to read ${ENC_RESULTS_FILE} file in zip input file`);
+    }
+    pipeline(
+      encryptedResultsStream,
+      createBase64DecodeStream(),
+      decipher,
+      (error) => {
+        zip.close();
+        if (error) {
+          debug(error);
+          decryptedZipStream.destroy(
+            Error('Failed to decrypt results with decrypted results key'),
+          );
+        }
+      },
+    ).pipe(decryptedZipStream);
+  } catch (error) {
+    zip.close();
+    throw error;
+  }
+  return decryptedZipStream;
+};
+
+module.exports = {
+  decryptResultStream,
+};
@@ -1,5 +1,7 @@
 const { Wallet, Signer, BigNumber, getDefaultProvider } = require('ethers');
 const { Web3Provider } = require('ethers').providers;
+const { getAddress, hexlify } = require('ethers').utils;
+const { OfflineTransactionError } = require('./errors');
 
 class EnhancedWallet extends Wallet {
   constructor(privateKey, provider, options = {}) {
@@ -69,6 +71,80 @@ class EnhancedWeb3Signer extends Signer {
   }
 }
 
+class OfflineSigner extends Signer {
+  constructor(address, provider, options = {}) {
+    super();
+    this.address = getAddress(address);
+    this.provider = provider;
+    this._options = options;
+    if (options.gasPrice) {
+      try {
+        BigNumber.from(options.gasPrice);
+      } catch (e) {
+        throw Error('Invalid gasPrice option');
+      }
+    }
+    if (
+      options.onUnsignedTransaction !== undefined &&
+      typeof options.onUnsignedTransaction !== 'function'
+    ) {
+      throw Error('Invalid onUnsignedTransaction option, must be a function');
+    }
+  }
+
+  connect(provider) {
+    return new OfflineSigner(this.address, provider, this._options);
+  }
+
+  getAddress() {
+    return Promise.resolve(this.address);
+  }
+
+  getGasPrice() {
+    if (this._options.gasPrice === undefined) return super.getGasPrice();
+    return BigNumber.from(this._options.gasPrice);
+  }
+
+  signMessage() {
+    return Promise.reject(
+      Error(`Offline mode, unable to sign messages with ${this.address}`),
+    );
+  }
+
+  signTypedData() {
+    return Promise.reject(
+      Error(`Offline mode, unable to sign typed data with ${this.address}`),
+    );
+  }
+
+  signTransaction() {
+    return Promise.reject(
+      Error(
+        `Offline mode, transactions must be signed with the wallet ${this.address} key`,
+      ),
+    );
+  }
+
+  async sendTransaction(transaction) {
+    // the transaction is populated (nonce, gas, chainId) but never signed
+    const tx = await this.populateTransaction(transaction);
+    const unsignedTx = {
+      from: getAddress(tx.from),
+      chainId: tx.chainId,
+      to: getAddress(tx.to),
+      data: hexlify(tx.data || '0x'),
+      value: BigNumber.from(tx.value || 0).toString(),
+      gasLimit: BigNumber.from(tx.gasLimit).toString(),
+      gasPrice: BigNumber.from(tx.gasPrice).toString(),
+      nonce: BigNumber.from(tx.nonce).toNumber(),
+    };
+    if (this._options.onUnsignedTransaction) {
+      await this._options.onUnsignedTransaction(unsignedTx);
+    }
+    throw new OfflineTransactionError(undefined, { unsignedTx });
+  }
+}
+
 const getSignerFromPrivateKey = (
   host,
   privateKey,
@@ -82,5 +158,6 @@ const getSignerFromPrivateKey = (
 module.exports = {
   EnhancedWallet,
   EnhancedWeb3Signer,
+  OfflineSigner,
   getSignerFromPrivateKey,
 };
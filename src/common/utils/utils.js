@@ -2,13 +2,13 @@ const Debug = require('debug');
 const { Buffer } = require('buffer');
 const BN = require('bn.js');
 const JSZip = require('jszip');
-const NodeRSA = require('node-rsa');
 const aesjs = require('aes-js');
 const { getAddress, randomBytes, formatUnits, parseUnits } =
   require('ethers').utils;
 const { BigNumber } = require('ethers');
 const { multiaddr } = require('multiaddr');
 const { ValidationError } = require('./errors');
+const { rsaPkcs1Decrypt } = require('./crypto-utils');
 
 const debug = Debug('iexec:utils');
 
@@ -320,6 +320,30 @@ const tagBitToHuman = (bit) => {
   return TAG_MAP[bit] || bit;
 };
 
+const decryptResultKey = async (encryptedResultsKeyBuffer, beneficiaryKey) => {
+  const base64encodedEncryptedAesKey = Buffer.from(
+    encryptedResultsKeyBuffer,
+  ).toString();
+
+  const encryptedAesKeyBuffer = Buffer.from(
+    base64encodedEncryptedAesKey,
+    'base64',
+  );
+
+  debug('Decrypting results key');
+  try {
+    const decryptedAesKeyBuffer = await rsaPkcs1Decrypt(
+      beneficiaryKey,
+      encryptedAesKeyBuffer,
+    );
+    const base64EncodedResultsKey = decryptedAesKeyBuffer.toString();
+    return Buffer.from(base64EncodedResultsKey, 'base64');
+  } catch (error) {
+    debug(error);
+    throw Error('Failed to decrypt results key with beneficiary key');
+  }
+};
+
 const decryptResult = async (encResultsZipBuffer, beneficiaryKey) => {
   const encKeyFile = 'aes-key.rsa';
   const encResultsFile = 'iexec_out.zip.aes';
@@ -344,29 +368,11 @@ const decryptResult = async (encResultsZipBuffer, beneficiaryKey) => {
     throw Error(`Missing ${encKeyFile} file in zip input file`);
   }
 
-  const base64encodedEncryptedAesKey = Buffer.from(
+  const aesKeyBuffer = await decryptResultKey(
     encryptedResultsKeyArrayBuffer,
-  ).toString();
-
-  const encryptedAesKeyBuffer = Buffer.from(
-    base64encodedEncryptedAesKey,
-    'base64',
+    keyBuffer,
   );
 
-  debug('Decrypting results key');
-  let aesKeyBuffer;
-  try {
-    const key = new NodeRSA(keyBuffer, {
-      encryptionScheme: 'pkcs1',
-    });
-    const decryptedAesKeyBuffer = key.decrypt(encryptedAesKeyBuffer);
-    const base64EncodedResultsKey = decryptedAesKeyBuffer.toString();
-    aesKeyBuffer = Buffer.from(base64EncodedResultsKey, 'base64');
-  } catch (error) {
-    debug(error);
-    throw Error('Failed to decrypt results key with beneficiary key');
-  }
-
   debug('Decrypting results');
   let encryptedZipArrayBuffer;
 
@@ -415,6 +421,7 @@ module.exports = {
   formatEth,
   parseRLC,
   parseEth,
+  decryptResultKey,
   decryptResult,
   checksummedAddress,
   cleanRPC,
@@ -1,5 +1,5 @@
 const Debug = require('debug');
-const { string, number, object, mixed, boolean, array } = require('yup');
+const { string, number, object, mixed, boolean, array, date } = require('yup');
 const { getAddress } = require('ethers').utils;
 const {
   humanToMultiaddrBuffer,
@@ -10,6 +10,7 @@ const {
   parseEth,
 } = require('./utils');
 const { paramsKeyName, storageProviders } = require('./params-utils');
+const { reservedSecretKeyName } = require('./secrets-utils');
 const { ValidationError } = require('./errors');
 const { wrapCall } = require('./errorWrappers');
 
@@ -35,6 +36,9 @@ const positiveStrictIntSchema = () =>
     .min(1)
     .max(Number.MAX_SAFE_INTEGER - 1);
 
+const dateSchema = () =>
+  date().typeError('${path} must be a valid date (${originalValue})');
+
 const hexnumberSchema = () =>
   string()
     .lowercase()
@@ -203,6 +207,41 @@ const signed = () => ({
 
 const catidSchema = () => uint256Schema();
 
+const requesterSecretNameSchema = () =>
+  string()
+    .matches(
+      /^[\w-]+$/,
+      '"${value}" is not a valid secret name, use only alphanumeric characters, "_" and "-"',
+    )
+    .notOneOf(
+      Object.values(reservedSecretKeyName),
+      '"${value}" is a reserved secret name',
+    );
+
+const paramsRequesterSecretsSchema = () =>
+  object()
+    .typeError(
+      '${path} must be an object mapping secret indexes to requester secret names',
+    )
+    .test(
+      'is-secret-index',
+      '${path} keys must be strictly positive integers',
+      (value) =>
+        value === undefined ||
+        Object.keys(value).every((key) => /^[1-9][0-9]*$/.test(key)),
+    )
+    .test(
+      'is-secret-name',
+      '${path} values must be valid requester secret names',
+      (value) =>
+        value === undefined ||
+        Object.values(value).every((name) =>
+          requesterSecretNameSchema()
+            .required()
+            .isValidSync(name, { strict: true }),
+        ),
+    );
+
 const objParamsSchema = () =>
   object({
     [paramsKeyName.IEXEC_ARGS]: string(),
@@ -244,6 +283,17 @@ const objParamsSchema = () =>
       },
     ),
     [paramsKeyName.IEXEC_DEVELOPER_LOGGER]: boolean().notRequired(),
+    [paramsKeyName.IEXEC_SECRETS]: paramsRequesterSecretsSchema()
+      .default(undefined)
+      .when('$isTee', {
+        is: true,
+        otherwise: (schema) =>
+          schema.test(
+            'is-tee-only',
+            '${path} is not supported for non TEE tasks',
+            (value) => value === undefined,
+          ),
+      }),
   }).noUnknown(true, 'Unknown key "${unknown}" in params');
 
 const paramsSchema = () =>
@@ -575,6 +625,12 @@ const fileBufferSchema = () =>
     }
   });
 
+const datasetEncryptionAlgorithmSchema = () =>
+  string().oneOf(
+    ['aes-256-cbc', 'aes-256-gcm'],
+    '"${value}" is not a valid encryption algorithm use one of ${values}',
+  );
+
 const base64Encoded256bitsKeySchema = () =>
   string().test(
     'is-base64-256bits-key',
@@ -593,6 +649,21 @@ const base64Encoded256bitsKeySchema = () =>
     },
   );
 
+const unsignedTransactionSchema = () =>
+  object({
+    from: addressSchema().required(),
+    chainId: positiveStrictIntSchema().required(),
+    to: addressSchema().required(),
+    data: hexnumberSchema().default('0x'),
+    value: uint256Schema().default('0'),
+    gasLimit: uint256Schema().required(),
+    gasPrice: uint256Schema().required(),
+    nonce: positiveIntSchema().required(),
+  });
+
+const signedTransactionSchema = () =>
+  hexnumberSchema().required().label('signed transaction');
+
 const throwIfMissing = () => {
   throw new ValidationError('Missing parameter');
 };
@@ -620,6 +691,8 @@ module.exports = {
   catidSchema,
   paramsSchema,
   objParamsSchema,
+  requesterSecretNameSchema,
+  paramsRequesterSecretsSchema,
   paramsArgsSchema,
   paramsInputFilesArraySchema,
   paramsEncryptResultSchema,
@@ -629,6 +702,7 @@ module.exports = {
   hexnumberSchema,
   positiveIntSchema,
   positiveStrictIntSchema,
+  dateSchema,
   mrenclaveSchema,
   appTypeSchema,
   appSchema,
@@ -636,6 +710,9 @@ module.exports = {
   categorySchema,
   workerpoolSchema,
   base64Encoded256bitsKeySchema,
+  datasetEncryptionAlgorithmSchema,
   fileBufferSchema,
+  unsignedTransactionSchema,
+  signedTransactionSchema,
   ValidationError,
 };
@@ -1,15 +1,17 @@
 const IExecContractsClient = require('iexec-contracts-js-client');
-const { getDefaultProvider } = require('ethers');
+const { getDefaultProvider, providers } = require('ethers');
 const wallet = require('../common/modules/wallet');
 const account = require('../common/modules/account');
 const hub = require('../common/modules/hub');
 const order = require('../common/modules/order');
 const orderbook = require('../common/modules/orderbook');
+const matchingEngine = require('../common/modules/matching-engine');
 const deal = require('../common/modules/deal');
 const task = require('../common/modules/task');
 const iexecProcess = require('../common/modules/iexecProcess');
 const secretMgtServ = require('../common/modules/sms');
 const resultProxyServ = require('../common/modules/result-proxy');
+const ipfs = require('../common/modules/ipfs');
 const {
   checkRequestRequirements,
 } = require('../common/modules/request-helper');
@@ -18,6 +20,7 @@ const {
   getResultEncryptionKeyName,
 } = require('../common/utils/secrets-utils');
 const errors = require('../common/utils/errors');
+const { iteratePaginableRequest } = require('../common/utils/api-utils');
 const {
   BN,
   NULL_ADDRESS,
@@ -31,11 +34,17 @@ const {
   sumTags,
   decryptResult,
 } = require('../common/utils/utils');
+const { decryptResultStream } = require('../common/utils/result-utils');
 const {
   generateAes256Key,
-  encryptAes256Cbc,
+  encryptDatasetFile,
+  decryptDatasetFile,
   sha256Sum,
 } = require('../common/utils/encryption-utils');
+const {
+  encryptDatasetStream,
+} = require('../common/utils/encryption-stream-utils');
+const { generateRsaKeypair } = require('../common/utils/crypto-utils');
 const {
   EnhancedWallet,
   EnhancedWeb3Signer,
@@ -59,6 +68,7 @@ const utils = {
   sumTags,
   getSignerFromPrivateKey,
   decryptResult,
+  decryptResultStream,
 };
 
 class IExec {
@@ -75,12 +85,17 @@ class IExec {
       resultProxyURL,
       smsURL,
       ipfsGatewayURL,
+      ipfsNodeURL,
       iexecGatewayURL,
     } = {},
   ) {
     let ethersProvider;
     let ethersSigner;
-    if (ethProvider instanceof EnhancedWallet) {
+    if (typeof ethProvider === 'string') {
+      ethersProvider = getDefaultProvider(ethProvider);
+    } else if (providers.Provider.isProvider(ethProvider)) {
+      ethersProvider = ethProvider;
+    } else if (ethProvider instanceof EnhancedWallet) {
       ethersProvider = ethProvider.provider;
       ethersSigner = ethProvider;
     } else {
@@ -89,6 +104,12 @@ class IExec {
       ethersSigner = web3SignerProvider;
     }
 
+    const checkSigner = () => {
+      if (!ethersSigner) {
+        throw new errors.ReadOnlyError();
+      }
+    };
+
     let _chainId;
     const getChainId = async () => {
       if (_chainId === undefined) {
@@ -286,6 +307,18 @@ class IExec {
       );
     };
 
+    const getIpfsNodeURL = async () => {
+      const chainId = await getChainId();
+      const chainConfDefaults = await getChainConfDefaults();
+      const value = ipfsNodeURL || chainConfDefaults.ipfsNode;
+      if (value !== undefined) {
+        return value;
+      }
+      throw Error(
+        `ipfsNodeURL option not set and no default value for your chain ${chainId}`,
+      );
+    };
+
     const getBridgeAddress = async () => {
       const chainId = await getChainId();
       const chainConfDefaults = await getChainConfDefaults();
@@ -300,6 +333,11 @@ class IExec {
       );
     };
 
+    const getSignerContracts = async () => {
+      checkSigner();
+      return getContracts();
+    };
+
     const getStandardContracts = async () => {
       const chainId = await getChainId();
       const contracts = await getContracts();
@@ -338,19 +376,20 @@ class IExec {
 
     this.wallet = {};
     this.wallet.getAddress = async () =>
-      wallet.getAddress(await getContracts());
+      wallet.getAddress(await getSignerContracts());
     this.wallet.checkBalances = async (address) =>
       wallet.checkBalances(await getContracts(), address);
     this.wallet.checkBridgedBalances = async (address) =>
       wallet.checkBalances(await getBridgedContracts(), address);
     this.wallet.sendETH = async (weiAmount, to) =>
-      wallet.sendETH(await getContracts(), weiAmount, to);
+      wallet.sendETH(await getSignerContracts(), weiAmount, to);
     this.wallet.sendRLC = async (nRlcAmount, to) =>
-      wallet.sendRLC(await getContracts(), nRlcAmount, to);
-    this.wallet.sweep = async (to) => wallet.sweep(await getContracts(), to);
+      wallet.sendRLC(await getSignerContracts(), nRlcAmount, to);
+    this.wallet.sweep = async (to) =>
+      wallet.sweep(await getSignerContracts(), to);
     this.wallet.bridgeToSidechain = async (nRlcAmount) =>
       wallet.bridgeToSidechain(
-        await getContracts(),
+        await getSignerContracts(),
         await getBridgeAddress(),
         nRlcAmount,
         {
@@ -362,7 +401,7 @@ class IExec {
       );
     this.wallet.bridgeToMainchain = async (nRlcAmount) =>
       wallet.bridgeToMainchain(
-        await getContracts(),
+        await getSignerContracts(),
         await getBridgeAddress(),
         nRlcAmount,
         {
@@ -372,42 +411,82 @@ class IExec {
           ),
         },
       );
-    this.wallet.wrapEnterpriseRLC = async (nRlcAmount) =>
-      wallet.wrapEnterpriseRLC(
+    this.wallet.wrapEnterpriseRLC = async (nRlcAmount) => {
+      checkSigner();
+      return wallet.wrapEnterpriseRLC(
         await getStandardContracts(),
         await getEnterpriseContracts(),
         nRlcAmount,
       );
-    this.wallet.unwrapEnterpriseRLC = async (nRlcAmount) =>
-      wallet.unwrapEnterpriseRLC(await getEnterpriseContracts(), nRlcAmount);
+    };
+    this.wallet.unwrapEnterpriseRLC = async (nRlcAmount) => {
+      checkSigner();
+      return wallet.unwrapEnterpriseRLC(
+        await getEnterpriseContracts(),
+        nRlcAmount,
+      );
+    };
     this.account = {};
     this.account.checkBalance = async (address) =>
       account.checkBalance(await getContracts(), address);
     this.account.checkBridgedBalance = async (address) =>
       account.checkBalance(await getBridgedContracts(), address);
     this.account.deposit = async (nRlcAmount) =>
-      account.deposit(await getContracts(), nRlcAmount);
+      account.deposit(await getSignerContracts(), nRlcAmount);
     this.account.withdraw = async (nRlcAmount) =>
-      account.withdraw(await getContracts(), nRlcAmount);
+      account.withdraw(await getSignerContracts(), nRlcAmount);
     this.app = {};
     this.app.deployApp = async (app) =>
-      hub.deployApp(await getContracts(), app);
+      hub.deployApp(await getSignerContracts(), app);
     this.app.showApp = async (address) =>
       hub.showApp(await getContracts(), address);
     this.app.showUserApp = async (index, userAddress) =>
       hub.showUserApp(await getContracts(), index, userAddress);
     this.app.countUserApps = async (address) =>
       hub.countUserApps(await getContracts(), address);
+    this.app.checkAppSecretExists = async (appAddress) =>
+      secretMgtServ.checkAppSecretExists(
+        await getContracts(),
+        await getSmsURL(),
+        appAddress,
+      );
+    this.app.pushAppSecret = async (appAddress, appSecret) =>
+      secretMgtServ.pushAppSecret(
+        await getSignerContracts(),
+        await getSmsURL(),
+        appAddress,
+        appSecret,
+      );
     this.dataset = {};
     this.dataset.generateEncryptionKey = () => generateAes256Key();
-    this.dataset.encrypt = (datasetFile, encryptionKey) =>
-      encryptAes256Cbc(datasetFile, encryptionKey);
+    this.dataset.encrypt = (datasetFile, encryptionKey, options) =>
+      encryptDatasetFile(datasetFile, encryptionKey, options);
+    this.dataset.encryptStream = (
+      datasetStream,
+      encryptedDatasetStream,
+      encryptionKey,
+      options,
+    ) =>
+      encryptDatasetStream(
+        datasetStream,
+        encryptedDatasetStream,
+        encryptionKey,
+        options,
+      );
+    this.dataset.decrypt = (encryptedDatasetFile, encryptionKey) =>
+      decryptDatasetFile(encryptedDatasetFile, encryptionKey);
+    this.dataset.upload = async (encryptedDataset) =>
+      ipfs.add(await getIpfsNodeURL(), encryptedDataset);
     this.dataset.computeEncryptedFileChecksum = (encryptedFile) =>
       sha256Sum(encryptedFile);
     this.dataset.deployDataset = async (dataset) =>
-      hub.deployDataset(await getContracts(), dataset);
+      hub.deployDataset(await getSignerContracts(), dataset);
     this.dataset.showDataset = async (address) =>
       hub.showDataset(await getContracts(), address);
+    this.dataset.verify = async (address) =>
+      hub.verifyDataset(await getContracts(), address, {
+        ipfsGatewayURL: await getIpfsGatewayURL(),
+      });
     this.dataset.showUserDataset = async (index, userAddress) =>
       hub.showUserDataset(await getContracts(), index, userAddress);
     this.dataset.countUserDatasets = async (address) =>
@@ -420,14 +499,14 @@ class IExec {
       );
     this.dataset.pushDatasetSecret = async (datasetAddress, datasetSecret) =>
       secretMgtServ.pushWeb3Secret(
-        await getContracts(),
+        await getSignerContracts(),
         await getSmsURL(),
         datasetAddress,
         datasetSecret,
       );
     this.workerpool = {};
     this.workerpool.deployWorkerpool = async (workerpool) =>
-      hub.deployWorkerpool(await getContracts(), workerpool);
+      hub.deployWorkerpool(await getSignerContracts(), workerpool);
     this.workerpool.showWorkerpool = async (address) =>
       hub.showWorkerpool(await getContracts(), address);
     this.workerpool.showUserWorkerpool = async (index, userAddress) =>
@@ -436,7 +515,7 @@ class IExec {
       hub.countUserWorkerpools(await getContracts(), address);
     this.hub = {};
     this.hub.createCategory = async (category) =>
-      hub.createCategory(await getContracts(), category);
+      hub.createCategory(await getSignerContracts(), category);
     this.hub.showCategory = async (index) =>
       hub.showCategory(await getContracts(), index);
     this.hub.countCategory = async () =>
@@ -445,6 +524,8 @@ class IExec {
       hub.getTimeoutRatio(await getContracts());
     this.deal = {};
     this.deal.show = async (dealid) => deal.show(await getContracts(), dealid);
+    this.deal.showTasks = async (dealid) =>
+      deal.showTasks(await getContracts(), dealid);
     this.deal.obsDeal = async (dealid) =>
       iexecProcess.obsDeal(await getContracts(), dealid);
     this.deal.computeTaskId = (dealid, taskIdx) =>
@@ -463,8 +544,18 @@ class IExec {
           workerpoolAddress,
         },
       );
+    this.deal.fetchResults = async (
+      dealid,
+      { beneficiaryKey, concurrency, onTaskResult } = {},
+    ) =>
+      iexecProcess.fetchDealResults(await getContracts(), dealid, {
+        ipfsGatewayURL: await getIpfsGatewayURL(),
+        beneficiaryKey,
+        concurrency,
+        onTaskResult,
+      });
     this.deal.claim = async (dealid) =>
-      deal.claim(await getContracts(), dealid);
+      deal.claim(await getSignerContracts(), dealid);
     this.deal.fetchDealsByApporder = async (apporderHash) =>
       order.fetchDealsByOrderHash(
         await getIexecGatewayURL(),
@@ -493,6 +584,49 @@ class IExec {
         await getChainId(),
         requestorderHash,
       );
+    this.deal.iterateRequesterDeals = (
+      requesterAddress,
+      { appAddress, datasetAddress, workerpoolAddress, limit, filter } = {},
+    ) =>
+      iteratePaginableRequest(
+        async () =>
+          deal.fetchRequesterDeals(
+            await getContracts(),
+            await getIexecGatewayURL(),
+            requesterAddress,
+            {
+              appAddress,
+              datasetAddress,
+              workerpoolAddress,
+            },
+          ),
+        'deals',
+        { limit, filter },
+      );
+    const iterateDealsByOrderHash =
+      (orderName) =>
+      (orderHash, { limit, filter } = {}) =>
+        iteratePaginableRequest(
+          async () =>
+            order.fetchDealsByOrderHash(
+              await getIexecGatewayURL(),
+              orderName,
+              await getChainId(),
+              orderHash,
+            ),
+          'deals',
+          { limit, filter },
+        );
+    this.deal.iterateDealsByApporder = iterateDealsByOrderHash(order.APP_ORDER);
+    this.deal.iterateDealsByDatasetorder = iterateDealsByOrderHash(
+      order.DATASET_ORDER,
+    );
+    this.deal.iterateDealsByWorkerpoolorder = iterateDealsByOrderHash(
+      order.WORKERPOOL_ORDER,
+    );
+    this.deal.iterateDealsByRequestorder = iterateDealsByOrderHash(
+      order.REQUEST_ORDER,
+    );
     this.order = {};
     this.order.createApporder = async (overwrite) =>
       order.createApporder(await getContracts(), overwrite);
@@ -517,17 +651,17 @@ class IExec {
     this.order.hashRequestorder = async (requestorder) =>
       order.hashRequestorder(await getContracts(), requestorder);
     this.order.signApporder = async (apporder) =>
-      order.signApporder(await getContracts(), apporder);
+      order.signApporder(await getSignerContracts(), apporder);
     this.order.signDatasetorder = async (datasetorder) =>
-      order.signDatasetorder(await getContracts(), datasetorder);
+      order.signDatasetorder(await getSignerContracts(), datasetorder);
     this.order.signWorkerpoolorder = async (workerpoolorder) =>
-      order.signWorkerpoolorder(await getContracts(), workerpoolorder);
+      order.signWorkerpoolorder(await getSignerContracts(), workerpoolorder);
     this.order.signRequestorder = async (
       requestorder,
       { checkRequest = true } = {},
     ) =>
       order.signRequestorder(
-        await getContracts(),
+        await getSignerContracts(),
         checkRequest === true
           ? await checkRequestRequirements(
               {
@@ -539,28 +673,31 @@ class IExec {
           : requestorder,
       );
     this.order.cancelApporder = async (signedApporder) =>
-      order.cancelApporder(await getContracts(), signedApporder);
+      order.cancelApporder(await getSignerContracts(), signedApporder);
     this.order.cancelDatasetorder = async (signedDatasetorder) =>
-      order.cancelDatasetorder(await getContracts(), signedDatasetorder);
+      order.cancelDatasetorder(await getSignerContracts(), signedDatasetorder);
     this.order.cancelWorkerpoolorder = async (signedWorkerpoolorder) =>
-      order.cancelWorkerpoolorder(await getContracts(), signedWorkerpoolorder);
+      order.cancelWorkerpoolorder(
+        await getSignerContracts(),
+        signedWorkerpoolorder,
+      );
     this.order.cancelRequestorder = async (signedRequestorder) =>
-      order.cancelRequestorder(await getContracts(), signedRequestorder);
+      order.cancelRequestorder(await getSignerContracts(), signedRequestorder);
     this.order.publishApporder = async (signedApporder) =>
       order.publishApporder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         signedApporder,
       );
     this.order.publishDatasetorder = async (signedDatasetorder) =>
       order.publishDatasetorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         signedDatasetorder,
       );
     this.order.publishWorkerpoolorder = async (signedWorkerpoolorder) =>
       order.publishWorkerpoolorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         signedWorkerpoolorder,
       );
@@ -569,7 +706,7 @@ class IExec {
       { checkRequest = true } = {},
     ) =>
       order.publishRequestorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         checkRequest === true
           ? await checkRequestRequirements(
@@ -583,72 +720,72 @@ class IExec {
       );
     this.order.unpublishApporder = async (apporderHash) =>
       order.unpublishApporder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         apporderHash,
       );
     this.order.unpublishDatasetorder = async (datasetorderHash) =>
       order.unpublishDatasetorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         datasetorderHash,
       );
     this.order.unpublishWorkerpoolorder = async (workerpoolorderHash) =>
       order.unpublishWorkerpoolorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         workerpoolorderHash,
       );
     this.order.unpublishRequestorder = async (requestorderHash) =>
       order.unpublishRequestorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         requestorderHash,
       );
     this.order.unpublishLastApporder = async (appAddress) =>
       order.unpublishLastApporder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         appAddress,
       );
     this.order.unpublishLastDatasetorder = async (datasetAddress) =>
       order.unpublishLastDatasetorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         datasetAddress,
       );
     this.order.unpublishLastWorkerpoolorder = async (workerpoolAddress) =>
       order.unpublishLastWorkerpoolorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         workerpoolAddress,
       );
     this.order.unpublishLastRequestorder = async () =>
       order.unpublishLastRequestorder(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
       );
     this.order.unpublishAllApporders = async (appAddress) =>
       order.unpublishAllApporders(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         appAddress,
       );
     this.order.unpublishAllDatasetorders = async (datasetAddress) =>
       order.unpublishAllDatasetorders(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         datasetAddress,
       );
     this.order.unpublishAllWorkerpoolorders = async (workerpoolAddress) =>
       order.unpublishAllWorkerpoolorders(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
         workerpoolAddress,
       );
     this.order.unpublishAllRequestorders = async () =>
       order.unpublishAllRequestorders(
-        await getContracts(),
+        await getSignerContracts(),
         await getIexecGatewayURL(),
       );
     this.order.matchOrders = async (
@@ -661,7 +798,7 @@ class IExec {
       { checkRequest = true } = {},
     ) =>
       order.matchOrders(
-        await getContracts(),
+        await getSignerContracts(),
         apporder,
         datasetorder,
         workerpoolorder,
@@ -675,6 +812,19 @@ class IExec {
             ).then(() => requestorder)
           : requestorder,
       );
+    this.order.diagnoseMatch = async (
+      apporder,
+      datasetorder = order.NULL_DATASETORDER,
+      workerpoolorder,
+      requestorder,
+    ) =>
+      order.diagnoseMatch(
+        await getContracts(),
+        apporder,
+        datasetorder,
+        workerpoolorder,
+        requestorder,
+      );
     this.orderbook = {};
     this.orderbook.fetchApporder = async (apporderHash) =>
       order.fetchPublishedOrderByHash(
@@ -733,17 +883,85 @@ class IExec {
         await getIexecGatewayURL(),
         options,
       );
+    this.orderbook.iterateAppOrderbook = (
+      appAddress,
+      { limit, filter, ...options } = {},
+    ) =>
+      iteratePaginableRequest(
+        async () =>
+          orderbook.fetchAppOrderbook(
+            await getContracts(),
+            await getIexecGatewayURL(),
+            appAddress,
+            options,
+          ),
+        'orders',
+        { limit, filter },
+      );
+    this.orderbook.iterateDatasetOrderbook = (
+      datasetAddress,
+      { limit, filter, ...options } = {},
+    ) =>
+      iteratePaginableRequest(
+        async () =>
+          orderbook.fetchDatasetOrderbook(
+            await getContracts(),
+            await getIexecGatewayURL(),
+            datasetAddress,
+            options,
+          ),
+        'orders',
+        { limit, filter },
+      );
+    this.orderbook.iterateWorkerpoolOrderbook = ({
+      limit,
+      filter,
+      ...options
+    } = {}) =>
+      iteratePaginableRequest(
+        async () =>
+          orderbook.fetchWorkerpoolOrderbook(
+            await getContracts(),
+            await getIexecGatewayURL(),
+            options,
+          ),
+        'orders',
+        { limit, filter },
+      );
+    this.orderbook.iterateRequestOrderbook = ({
+      limit,
+      filter,
+      ...options
+    } = {}) =>
+      iteratePaginableRequest(
+        async () =>
+          orderbook.fetchRequestOrderbook(
+            await getContracts(),
+            await getIexecGatewayURL(),
+            options,
+          ),
+        'orders',
+        { limit, filter },
+      );
+    this.orderbook.findBestOrders = async (requestorder, options = {}) =>
+      matchingEngine.findBestOrders(
+        await getContracts(),
+        await getIexecGatewayURL(),
+        requestorder,
+        options,
+      );
     this.task = {};
     this.task.show = async (taskid) => task.show(await getContracts(), taskid);
     this.task.obsTask = async (taskid, { dealid } = {}) =>
       iexecProcess.obsTask(await getContracts(), taskid, { dealid });
     this.task.claim = async (taskid) =>
-      task.claim(await getContracts(), taskid);
+      task.claim(await getSignerContracts(), taskid);
     this.task.fetchResults = async (taskid) =>
       iexecProcess.fetchTaskResults(await getContracts(), taskid, {
         ipfsGatewayURL: await getIpfsGatewayURL(),
       });
     this.result = {};
+    this.result.generateEncryptionKeypair = () => generateRsaKeypair();
     this.result.checkResultEncryptionKeyExists = async (address) =>
       secretMgtServ.checkWeb2SecretExists(
         await getContracts(),
@@ -756,15 +974,41 @@ class IExec {
       { forceUpdate = false } = {},
     ) =>
       secretMgtServ.pushWeb2Secret(
-        await getContracts(),
+        await getSignerContracts(),
         await getSmsURL(),
         getResultEncryptionKeyName(),
         publicKey,
         { forceUpdate },
       );
+    this.secrets = {};
+    this.secrets.checkRequesterSecretExists = async (
+      requesterAddress,
+      secretName,
+    ) =>
+      secretMgtServ.checkRequesterSecretExists(
+        await getContracts(),
+        await getSmsURL(),
+        requesterAddress,
+        secretName,
+      );
+    this.secrets.pushRequesterSecret = async (
+      secretName,
+      secretValue,
+      { forceUpdate = false } = {},
+    ) =>
+      secretMgtServ.pushRequesterSecret(
+        await getSignerContracts(),
+        await getSmsURL(),
+        secretName,
+        secretValue,
+        { forceUpdate },
+      );
     this.storage = {};
     this.storage.defaultStorageLogin = async () =>
-      resultProxyServ.login(await getContracts(), await getResultProxyURL());
+      resultProxyServ.login(
+        await getSignerContracts(),
+        await getResultProxyURL(),
+      );
     this.storage.checkStorageTokenExists = async (address, { provider } = {}) =>
       secretMgtServ.checkWeb2SecretExists(
         await getContracts(),
@@ -777,7 +1021,7 @@ class IExec {
       { provider, forceUpdate = false } = {},
     ) =>
       secretMgtServ.pushWeb2Secret(
-        await getContracts(),
+        await getSignerContracts(),
         await getSmsURL(),
         getStorageTokenKeyName(provider),
         token,
@@ -3,6 +3,7 @@ const ethers = require('ethers');
 const fs = require('fs-extra');
 const path = require('path');
 const BN = require('bn.js');
+const JSZip = require('jszip');
 const { execAsync } = require('./test-utils');
 const { bytes32Regex } = require('../src/common/utils/utils');
 
@@ -33,6 +34,9 @@ const smsURL = DRONE ? 'http://token-sms:15000' : 'http://localhost:5000';
 const resultProxyURL = DRONE
   ? 'http://token-result-proxy:18089'
   : 'http://localhost:18089';
+// ipfs node
+const ipfsNodeURL = DRONE ? 'http://ipfs:5001' : 'http://localhost:5001';
+const ipfsGatewayURL = DRONE ? 'http://ipfs:8080' : 'http://localhost:8080';
 
 const chainGasPrice = '20000000000';
 const nativeChainGasPrice = '0';
@@ -710,6 +714,55 @@ describe('[Mainchain]', () => {
     expect(res.count).not.toBe('0');
   });
 
+  test('[common] iexec app push-secret', async () => {
+    await setRichWallet();
+    await setTokenChainParity();
+    await setAppUniqueName();
+    await execAsync('cp deployed.json deployed.back');
+    const { address } = JSON.parse(
+      await execAsync(`${iexecPath} app deploy --raw`),
+    );
+    const resCheckNotSet = JSON.parse(
+      await execAsync(`${iexecPath} app check-secret --raw`),
+    );
+    expect(resCheckNotSet.ok).toBe(true);
+    expect(resCheckNotSet.isSecretSet).toBe(false);
+    const resPush = JSON.parse(
+      await execAsync(
+        `${iexecPath} app push-secret --secret-value my-api-key --raw`,
+      ),
+    );
+    expect(resPush.ok).toBe(true);
+    const resCheckSet = JSON.parse(
+      await execAsync(`${iexecPath} app check-secret ${address} --raw`),
+    );
+    expect(resCheckSet.ok).toBe(true);
+    expect(resCheckSet.isSecretSet).toBe(true);
+    const resAlreadyExists = JSON.parse(
+      await execAsync(
+        `${iexecPath} app push-secret --secret-value my-other-api-key --raw`,
+      ).catch((e) => e.message),
+    );
+    expect(resAlreadyExists.ok).toBe(false);
+    expect(resAlreadyExists.error.message).toBe(
+      `Secret already exists for ${address} and can't be updated`,
+    );
+
+    await setPoorWallet1();
+    const resNotOwner = JSON.parse(
+      await execAsync(
+        `${iexecPath} app push-secret ${address} --secret-value my-api-key --raw`,
+      ).catch((e) => e.message),
+    );
+    expect(resNotOwner.ok).toBe(false);
+    expect(resNotOwner.error.message).toBe(
+      `Wallet ${POOR_ADDRESS1} is not allowed to set secret for ${address}`,
+    );
+    await setRichWallet();
+    await setTokenChain();
+    await execAsync('mv deployed.back deployed.json');
+  });
+
   // DATASET
   test('[common] iexec dataset init (no wallet)', async () => {
     await removeWallet();
@@ -1115,6 +1168,32 @@ describe('[Mainchain]', () => {
     expect(res.requestorder.app).toBeDefined();
   });
 
+  test('[mainchain] iexec order match --check', async () => {
+    const raw = await execAsync(`${iexecPath} order match --check --raw`);
+    const res = JSON.parse(raw);
+    expect(res.ok).toBe(true);
+    expect(res.matchable).toBe(true);
+    expect(res.volume).toBe('5');
+    expect(res.checks.length).toBeGreaterThan(0);
+    res.checks.forEach((check) => {
+      expect(check.pass).toBe(true);
+      expect(check.message).toBeUndefined();
+    });
+  });
+
+  test('[mainchain] iexec order fill --check', async () => {
+    const resMatch = JSON.parse(
+      await execAsync(`${iexecPath} order match --check --raw`),
+    );
+    const res = JSON.parse(
+      await execAsync(`${iexecPath} order fill --check --raw`),
+    );
+    expect(res.ok).toBe(true);
+    expect(res.matchable).toBe(resMatch.matchable);
+    expect(res.volume).toBe(resMatch.volume);
+    expect(res.checks).toEqual(resMatch.checks);
+  });
+
   test('[mainchain] iexec order fill (BoT 5)', async () => {
     const raw = await execAsync(
       `${iexecPath} order fill --skip-request-check --raw`,
@@ -1434,6 +1513,38 @@ describe('[Mainchain]', () => {
     expect(resDeal.deal.tasks['0']).toBeDefined();
   });
 
+  test('[common] iexec app run --workerpool deployed --input-files <localFile>', async () => {
+    const deployed = {
+      app: {
+        [networkId]: mainchainApp,
+      },
+      workerpool: {
+        [networkId]: mainchainWorkerpool,
+      },
+    };
+    await saveJSONToFile(deployed, 'deployed.json');
+    await setTokenChain({ ipfsNode: ipfsNodeURL });
+    const raw = await execAsync(
+      `${iexecPath} app run --workerpool deployed --input-files https://example.com/foo.txt,inputs/files/text.zip --skip-request-check --force --raw`,
+    );
+    await setTokenChain();
+    const res = JSON.parse(raw);
+    expect(res.ok).toBe(true);
+    expect(res.deals.length).toBe(1);
+
+    const rawDeal = await execAsync(
+      `${iexecPath} deal show ${res.deals[0].dealid} --raw`,
+    );
+    const resDeal = JSON.parse(rawDeal);
+    expect(resDeal.ok).toBe(true);
+    const inputFiles = JSON.parse(resDeal.deal.params).iexec_input_files;
+    expect(inputFiles.length).toBe(2);
+    expect(inputFiles[0]).toBe('https://example.com/foo.txt');
+    expect(inputFiles[1]).toMatch(
+      /^https:\/\/ipfs\.iex\.ec\/ipfs\/Qm[1-9A-HJ-NP-Za-km-z]{44}$/,
+    );
+  });
+
   test('[common] iexec app run --workerpool deployed --watch (timeout)', async () => {
     const deployed = {
       app: {
@@ -1519,6 +1630,23 @@ describe('[Mainchain]', () => {
     mainchainTaskidNoDuration = res.deal.tasks['0'];
   });
 
+  test('[mainchain] iexec deal download-results (BoT 5 timeout)', async () => {
+    const raw = await execAsync(
+      `${iexecPath} deal download-results ${mainchainDealidNoDuration} --output-dir out/deal-results --concurrency 2 --raw`,
+    );
+    const res = JSON.parse(raw);
+    expect(res.ok).toBe(true);
+    expect(res.dealid).toBe(mainchainDealidNoDuration);
+    expect(res.tasksCount).toBe(5);
+    expect(res.downloaded).toStrictEqual([]);
+    expect(res.failed).toStrictEqual([]);
+    expect(res.notCompleted.length).toBe(5);
+    expect(res.notCompleted[0].statusName).toBe('TIMEOUT');
+    expect(res.manifestPath).toBe(filePath('out/deal-results/manifest.json'));
+    const manifest = await loadJSONFile('out/deal-results/manifest.json');
+    expect(manifest.notCompleted.length).toBe(5);
+  });
+
   test('[mainchain] iexec deal show --watch (BoT 5 timeout)', async () => {
     const raw = await execAsync(
       `${iexecPath} deal show ${mainchainDealidNoDuration} --watch --raw`,
@@ -2161,6 +2289,86 @@ describe('[Mainchain]', () => {
         const resErr = JSON.parse(rawErr);
         expect(resErr.ok).toBe(false);
       });
+
+      test('[common] iexec deal list', async () => {
+        await setRichWallet();
+        await setTokenChainParity({ iexecGateway: 'http://localhost:13000' });
+        const raw = await execAsync(`${iexecPath} deal list --raw`);
+        const res = JSON.parse(raw);
+        expect(res.ok).toBe(true);
+        expect(res.count).toBeDefined();
+        expect(Array.isArray(res.deals)).toBe(true);
+        res.deals.forEach((deal) => expect(deal.requester).toBe(ADDRESS));
+        const rawFuture = await execAsync(
+          `${iexecPath} deal list ${ADDRESS} --from 2100-01-01 --raw`,
+        );
+        const resFuture = JSON.parse(rawFuture);
+        expect(resFuture.ok).toBe(true);
+        expect(resFuture.count).toBeUndefined();
+        expect(resFuture.deals).toEqual([]);
+        // date only --to includes the deals of the whole day
+        const today = new Date().toISOString().split('T')[0];
+        const rawToday = await execAsync(
+          `${iexecPath} deal list ${ADDRESS} --to ${today} --raw`,
+        );
+        const resToday = JSON.parse(rawToday);
+        expect(resToday.ok).toBe(true);
+        expect(resToday.deals.length).toBe(res.deals.length);
+        const rawErr = await execAsync(
+          `${iexecPath} deal list --to foo --raw`,
+        ).catch((e) => e.message);
+        const resErr = JSON.parse(rawErr);
+        expect(resErr.ok).toBe(false);
+        expect(resErr.error.message).toBe('to must be a valid date (foo)');
+      });
+
+      test('[common] iexec app run --offline, iexec order fill --offline', async () => {
+        await setRichWallet();
+        await setTokenChainParity({ iexecGateway: 'http://localhost:13000' });
+        await execAsync(`${iexecPath} app init`);
+        await setAppUniqueName();
+        await execAsync(`${iexecPath} app deploy --raw`);
+        await execAsync(`${iexecPath} app publish --force --raw`);
+        await execAsync(`${iexecPath} workerpool init`);
+        await setWorkerpoolUniqueDescription();
+        await execAsync(`${iexecPath} workerpool deploy --raw`);
+        await execAsync(`${iexecPath} workerpool publish --force --raw`);
+        const resRun = JSON.parse(
+          await execAsync(
+            `${iexecPath} app run --workerpool deployed --offline presign.json --skip-request-check --force --raw`,
+          ),
+        );
+        expect(resRun.ok).toBe(true);
+        expect(resRun.unsignedTxFile).toBe('presign.json');
+        const unsignedPresignTx = await loadJSONFile('presign.json');
+        expect(unsignedPresignTx.description.method).toBe('manageRequestOrder');
+        const { requestorder } = (await loadJSONFile('orders.json'))[networkId];
+        expect(requestorder.requester).toBe(ADDRESS);
+        expect(requestorder.sign).toBe('0x');
+        await execAsync(`${iexecPath} tx sign presign.json --force --raw`);
+        const resPresign = JSON.parse(
+          await execAsync(`${iexecPath} tx send presign.signed.json --raw`),
+        );
+        expect(resPresign.ok).toBe(true);
+        expect(resPresign.method).toBe('manageRequestOrder');
+
+        const resFill = JSON.parse(
+          await execAsync(
+            `${iexecPath} order fill --offline fill.json --skip-request-check --force --raw`,
+          ),
+        );
+        expect(resFill.ok).toBe(true);
+        await execAsync(`${iexecPath} tx sign fill.json --force --raw`);
+        const resSend = JSON.parse(
+          await execAsync(`${iexecPath} tx send fill.signed.json --raw`),
+        );
+        await execAsync(
+          'rm presign.json presign.signed.json fill.json fill.signed.json',
+        ).catch(() => {});
+        expect(resSend.ok).toBe(true);
+        expect(resSend.method).toBe('matchOrders');
+        expect(resSend.dealid).toBeDefined();
+      });
     });
   }
 });
@@ -3290,6 +3498,215 @@ describe('[Common]', () => {
       expect(res.wallet.address).toBe(POOR_ADDRESS1);
     });
 
+    // mnemonic
+    test('iexec wallet create --mnemonic', async () => {
+      await execAsync('rm -rf out/keystore && mkdir out/keystore').catch(
+        () => {},
+      );
+      const raw = await execAsync(
+        `${iexecPath} wallet create --mnemonic --password test --keystoredir ./out/keystore --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.wallet).toBeDefined();
+      expect(res.wallet['x-ethers'].mnemonicCiphertext).toBeDefined();
+      expect(res.mnemonic.split(' ').length).toBe(12);
+      expect(res.derivationPath).toBe("m/44'/60'/0'/0/0");
+      expect(res.address).toBe(
+        ethers.Wallet.fromMnemonic(res.mnemonic).address,
+      );
+    });
+
+    test('iexec wallet import --mnemonic --derivation-path', async () => {
+      await execAsync('rm -rf out/keystore && mkdir out/keystore').catch(
+        () => {},
+      );
+      const raw = await execAsync(
+        `${iexecPath} wallet import --mnemonic "test test test test test test test test test test test junk" --derivation-path "m/44'/60'/0'/0/2" --password test --keystoredir ./out/keystore --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.wallet).toBeDefined();
+      expect(res.address).toBe('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC');
+      expect(res.derivationPath).toBe("m/44'/60'/0'/0/2");
+    });
+
+    test('iexec wallet show --account-index <index>', async () => {
+      const raw = await execAsync(
+        `${iexecPath} wallet show --show-private-key --account-index 1 --password test --keystoredir ./out/keystore --wallet-address 0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.wallet.address).toBe(
+        '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+      );
+      expect(res.wallet.privateKey).toBe(
+        '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+      );
+    });
+
+    test('iexec wallet show --account-index <index> (private key wallet)', async () => {
+      const raw = await execAsync(
+        `${iexecPath} wallet show --account-index 1 --raw`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        'Option --account-index <index> requires a wallet created or imported from a mnemonic',
+      );
+    });
+
+    test('iexec wallet list', async () => {
+      const raw = await execAsync(
+        `${iexecPath} wallet list --keystoredir ./out/keystore --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.wallets).toBeDefined();
+      const unencrypted = res.wallets.find(
+        ({ fileName }) => fileName === 'wallet.json',
+      );
+      expect(unencrypted.address).toBe(POOR_ADDRESS1);
+      expect(unencrypted.isEncrypted).toBe(false);
+      expect(unencrypted.isDefault).toBe(false);
+      const mnemonicWallet = res.wallets.find(
+        ({ address }) =>
+          address === '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+      );
+      expect(mnemonicWallet.isEncrypted).toBe(true);
+      expect(mnemonicWallet.creationDate).toBeDefined();
+      expect(mnemonicWallet.keystoreDir.indexOf('out/keystore')).not.toBe(-1);
+      expect(
+        res.wallets.find(({ address }) => address === ADDRESS).isEncrypted,
+      ).toBe(true);
+    });
+
+    test('iexec wallet use <address>', async () => {
+      const raw = await execAsync(`${iexecPath} wallet use ${ADDRESS} --raw`);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.defaultWallet).toBe(ADDRESS);
+      const chainConf = await loadJSONFile('chain.json');
+      expect(chainConf.defaultWallet).toBe(ADDRESS);
+      const rawShow = await execAsync(
+        `${iexecPath} wallet show --password test --raw`,
+      );
+      const resShow = JSON.parse(rawShow);
+      expect(resShow.ok).toBe(true);
+      expect(resShow.wallet.address).toBe(ADDRESS);
+      const rawList = await execAsync(`${iexecPath} wallet list --raw`);
+      const resList = JSON.parse(rawList);
+      expect(
+        resList.wallets.find(({ address }) => address === ADDRESS).isDefault,
+      ).toBe(true);
+      await setTokenChain();
+    });
+
+    test('iexec wallet use <address> (missing wallet file)', async () => {
+      const randomAddress = getRandomAddress();
+      const raw = await execAsync(
+        `${iexecPath} wallet use ${randomAddress} --raw`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        `No wallet file matching address ${randomAddress} found`,
+      );
+    });
+
+    test('iexec wallet change-password', async () => {
+      const raw = await execAsync(
+        `${iexecPath} wallet change-password --password 'my local pass phrase' --new-password 'my new pass phrase' --keystoredir local --wallet-address ${POOR_ADDRESS2} --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.address).toBe(POOR_ADDRESS2);
+      expect(res.fileName.indexOf(localWalletFileName)).not.toBe(-1);
+      const rawShow = await execAsync(
+        `${iexecPath} wallet show --show-private-key --password 'my new pass phrase' --keystoredir local --wallet-address ${POOR_ADDRESS2} --raw`,
+      );
+      const resShow = JSON.parse(rawShow);
+      expect(resShow.ok).toBe(true);
+      expect(resShow.wallet.privateKey).toBe(POOR_PRIVATE_KEY2);
+      const rawOldPassword = await execAsync(
+        `${iexecPath} wallet show --show-private-key --password 'my local pass phrase' --keystoredir local --wallet-address ${POOR_ADDRESS2} --raw`,
+      ).catch((e) => e.message);
+      expect(JSON.parse(rawOldPassword).ok).toBe(false);
+    });
+
+    test('iexec wallet encrypt', async () => {
+      await execAsync('rm -rf out/keystore && mkdir out/keystore').catch(
+        () => {},
+      );
+      const raw = await execAsync(
+        `${iexecPath} wallet encrypt --password encrypted --keystoredir ./out/keystore --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.address).toBe(POOR_ADDRESS1);
+      expect(res.fileName.indexOf('out/keystore/')).not.toBe(-1);
+      expect(await checkExists(filePath('wallet.json'))).toBe(false);
+      const rawShow = await execAsync(
+        `${iexecPath} wallet show --show-private-key --password encrypted --keystoredir ./out/keystore --wallet-address ${POOR_ADDRESS1} --raw`,
+      );
+      const resShow = JSON.parse(rawShow);
+      expect(resShow.ok).toBe(true);
+      expect(resShow.wallet.privateKey).toBe(POOR_PRIVATE_KEY1);
+    });
+
+    test('iexec wallet decrypt', async () => {
+      const raw = await execAsync(
+        `${iexecPath} wallet decrypt --password encrypted --keystoredir ./out/keystore --wallet-address ${POOR_ADDRESS1} --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.address).toBe(POOR_ADDRESS1);
+      expect(res.fileName).toBe('wallet.json');
+      const walletJson = await loadJSONFile('wallet.json');
+      expect(walletJson.privateKey).toBe(POOR_PRIVATE_KEY1);
+      expect(walletJson.address).toBe(POOR_ADDRESS1);
+    });
+
+    test('iexec wallet show --password-file <path>', async () => {
+      await fs.writeFile(filePath('out/password.txt'), 'test\n');
+      const raw = await execAsync(
+        `${iexecPath} wallet show --show-private-key --password-file out/password.txt --wallet-address ${ADDRESS} --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.wallet.address).toBe(ADDRESS);
+      expect(res.wallet.privateKey).toBe(PRIVATE_KEY);
+    });
+
+    test('iexec wallet show --password-file - (stdin)', async () => {
+      const raw = await execAsync(
+        `echo test | ${iexecPath} wallet show --show-private-key --password-file - --wallet-address ${ADDRESS} --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.wallet.privateKey).toBe(PRIVATE_KEY);
+    });
+
+    test('iexec wallet show (IEXEC_WALLET_PASSWORD)', async () => {
+      const raw = await execAsync(
+        `IEXEC_WALLET_PASSWORD=test ${iexecPath} wallet show --show-private-key --wallet-address ${ADDRESS} --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.wallet.privateKey).toBe(PRIVATE_KEY);
+    });
+
+    test('iexec wallet show (missing password in non-interactive mode)', async () => {
+      const raw = await execAsync(
+        `${iexecPath} wallet show --show-private-key --wallet-address ${ADDRESS} --raw < /dev/null`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        'Missing wallet password, use option --password-file <path> or environment variable IEXEC_WALLET_PASSWORD (interactive prompt is disabled when stdin is not a TTY)',
+      );
+    });
+
     test('iexec wallet show [address]', async () => {
       const raw = await execAsync(`${iexecPath} wallet show ${ADDRESS} --raw`);
       const res = JSON.parse(raw);
@@ -3398,6 +3815,130 @@ describe('[Common]', () => {
     });
   });
 
+  describe('[tx]', () => {
+    beforeAll(async () => {
+      await execAsync(`${iexecPath} init --skip-wallet --force`);
+      await setTokenChain();
+      await setRichWallet();
+    });
+    afterAll(async () => {
+      await execAsync(
+        'rm deposit.json deposit.signed.json deposit-no-wallet.json',
+      ).catch(() => {});
+      await execAsync('rm app.json app.signed.json').catch(() => {});
+    });
+    test('iexec account deposit --offline, iexec tx sign, iexec tx send', async () => {
+      const initialStake = new BN(
+        JSON.parse(
+          await execAsync(`${iexecPath} account show --raw`),
+        ).balance.stake,
+      );
+      const rawOffline = await execAsync(
+        `${iexecPath} account deposit 10 --offline deposit.json --raw`,
+      );
+      const resOffline = JSON.parse(rawOffline);
+      expect(resOffline.ok).toBe(true);
+      expect(resOffline.unsignedTxFile).toBe('deposit.json');
+      expect(resOffline.unsignedTx.from).toBe(ADDRESS);
+      expect(resOffline.unsignedTx.chainId).toBe(chainId);
+      expect(resOffline.unsignedTx.to).toBeDefined();
+      expect(resOffline.unsignedTx.data).toBeDefined();
+      expect(resOffline.unsignedTx.gasLimit).toBeDefined();
+      expect(resOffline.unsignedTx.gasPrice).toBe(chainGasPrice);
+      expect(resOffline.unsignedTx.nonce).toBeDefined();
+      const unsignedTx = await loadJSONFile('deposit.json');
+      expect(unsignedTx.description.contract).toBe('rlc');
+      expect(unsignedTx.description.method).toBe('approveAndCall');
+      expect(unsignedTx.description.args).toMatchObject({ _value: '10' });
+      const stakeAfterOffline = new BN(
+        JSON.parse(
+          await execAsync(`${iexecPath} account show --raw`),
+        ).balance.stake,
+      );
+      expect(stakeAfterOffline.eq(initialStake)).toBe(true);
+
+      const rawSign = await execAsync(
+        `${iexecPath} tx sign deposit.json --force --raw`,
+      );
+      const resSign = JSON.parse(rawSign);
+      expect(resSign.ok).toBe(true);
+      expect(resSign.hash).toBeDefined();
+      expect(resSign.rawTransaction).toBeDefined();
+      expect(resSign.signedTxFile).toBe('deposit.signed.json');
+
+      const rawSend = await execAsync(
+        `${iexecPath} tx send deposit.signed.json --raw`,
+      );
+      const resSend = JSON.parse(rawSend);
+      expect(resSend.ok).toBe(true);
+      expect(resSend.txHash).toBe(resSign.hash);
+      expect(resSend.from).toBe(ADDRESS);
+      expect(resSend.method).toBe('approveAndCall');
+      expect(resSend.events.length).toBeGreaterThan(0);
+      const finalStake = new BN(
+        JSON.parse(
+          await execAsync(`${iexecPath} account show --raw`),
+        ).balance.stake,
+      );
+      expect(finalStake.eq(initialStake.add(new BN(10)))).toBe(true);
+    });
+    test('iexec app deploy --offline, iexec tx send returns the app address', async () => {
+      await execAsync(`${iexecPath} app init`);
+      await setAppUniqueName();
+      const resOffline = JSON.parse(
+        await execAsync(`${iexecPath} app deploy --offline app.json --raw`),
+      );
+      expect(resOffline.ok).toBe(true);
+      await execAsync(`${iexecPath} tx sign app.json --force --raw`);
+      const resSend = JSON.parse(
+        await execAsync(`${iexecPath} tx send app.signed.json --raw`),
+      );
+      expect(resSend.ok).toBe(true);
+      expect(resSend.method).toBe('createApp');
+      expect(resSend.address).toBeDefined();
+      const resShow = JSON.parse(
+        await execAsync(`${iexecPath} app show ${resSend.address} --raw`),
+      );
+      expect(resShow.ok).toBe(true);
+      expect(resShow.app.owner).toBe(ADDRESS);
+    });
+    test('iexec account deposit --offline (no wallet file)', async () => {
+      await removeWallet();
+      const res = JSON.parse(
+        await execAsync(
+          `${iexecPath} account deposit 10 --offline deposit-no-wallet.json --wallet-address ${ADDRESS} --raw`,
+        ).catch((e) => e.message),
+      );
+      await setRichWallet();
+      expect(res.ok).toBe(true);
+      expect(res.unsignedTx.from).toBe(ADDRESS);
+    });
+    test('iexec tx sign (wallet mismatch)', async () => {
+      const unsignedTx = await loadJSONFile('deposit.json');
+      await saveJSONToFile(
+        { ...unsignedTx, from: POOR_ADDRESS1 },
+        'deposit.json',
+      );
+      const res = JSON.parse(
+        await execAsync(
+          `${iexecPath} tx sign deposit.json --force --raw`,
+        ).catch((e) => e.message),
+      );
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        `Transaction from ${POOR_ADDRESS1} cannot be signed with wallet ${ADDRESS}`,
+      );
+    });
+    test('iexec tx send (already sent)', async () => {
+      const res = JSON.parse(
+        await execAsync(`${iexecPath} tx send deposit.signed.json --raw`).catch(
+          (e) => e.message,
+        ),
+      );
+      expect(res.ok).toBe(false);
+    });
+  });
+
   describe('[dataset encryption]', () => {
     beforeAll(async () => {
       await execAsync(`${iexecPath} init --skip-wallet --force`);
@@ -3482,6 +4023,197 @@ describe('[Common]', () => {
       ).resolves.toBeDefined();
     });
 
+    test('iexec dataset encrypt --zip-folders', async () => {
+      const raw = await execAsync(
+        `${iexecPath} dataset encrypt --original-dataset-dir inputs/originalDataset --zip-folders --force --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.encryptedFiles).toBeDefined();
+      expect(res.encryptedFiles.length).toBe(3);
+      const encryptedFolder = res.encryptedFiles.find(
+        (e) => e.original.indexOf('datasetFolder') !== -1,
+      );
+      expect(encryptedFolder).toBeDefined();
+      expect(encryptedFolder.checksum).toMatch(bytes32Regex);
+      expect(
+        await checkExists(filePath('.secrets/datasets/datasetFolder.zip.key')),
+      ).toBe(true);
+      expect(
+        await checkExists(filePath('datasets/encrypted/datasetFolder.zip.enc')),
+      ).toBe(true);
+
+      // decrypt with openssl
+      const decryptedFilePath = 'out/datasetFolder.zip';
+      await expect(
+        execAsync(
+          `tail -c+17 "${encryptedFolder.encrypted}" | openssl enc -d -aes-256-cbc -out "${decryptedFilePath}" -K $(cat "${encryptedFolder.key}" | base64 -d | xxd -p -c 32) -iv $(head -c 16 "${encryptedFolder.encrypted}" | xxd -p -c 16)`,
+        ),
+      ).resolves.toBeDefined();
+      const decryptedZip = await new JSZip().loadAsync(
+        await fs.readFile(filePath(decryptedFilePath)),
+      );
+      const entries = [];
+      decryptedZip.forEach((relativePath, zipEntry) => {
+        entries.push(zipEntry);
+      });
+      expect(entries.map((e) => e.name)).toEqual(['data1', 'data2']);
+      expect(entries[0].date).toEqual(new Date('1980-01-01T00:00:00Z'));
+    });
+
+    test('iexec dataset encrypt --zip-folders (deterministic zip)', async () => {
+      // entries are created out of order to check the zip does not depend on the filesystem order
+      const originalDir = 'out/zipFoldersDataset';
+      await fs.remove(filePath(originalDir));
+      await fs.outputFile(filePath(`${originalDir}/folder/c.txt`), 'c');
+      await fs.outputFile(filePath(`${originalDir}/folder/b/z`), 'z');
+      await fs.outputFile(filePath(`${originalDir}/folder/b/a`), 'a');
+      await fs.outputFile(filePath(`${originalDir}/folder/a.txt`), 'a.txt');
+      const encryptAndDecryptFolder = async (decryptedFilePath) => {
+        const raw = await execAsync(
+          `${iexecPath} dataset encrypt --original-dataset-dir ${originalDir} --zip-folders --force --raw`,
+        );
+        const res = JSON.parse(raw);
+        expect(res.ok).toBe(true);
+        expect(res.encryptedFiles.length).toBe(1);
+        const [encryptedFolder] = res.encryptedFiles;
+        await execAsync(
+          `tail -c+17 "${encryptedFolder.encrypted}" | openssl enc -d -aes-256-cbc -out "${decryptedFilePath}" -K $(cat "${encryptedFolder.key}" | base64 -d | xxd -p -c 32) -iv $(head -c 16 "${encryptedFolder.encrypted}" | xxd -p -c 16)`,
+        );
+        return fs.readFile(filePath(decryptedFilePath));
+      };
+      const firstZip = await encryptAndDecryptFolder('out/folder1.zip');
+      await fs.utimes(
+        filePath(`${originalDir}/folder/b/a`),
+        new Date(),
+        new Date(),
+      );
+      const secondZip = await encryptAndDecryptFolder('out/folder2.zip');
+      expect(secondZip.equals(firstZip)).toBe(true);
+      const decryptedZip = await new JSZip().loadAsync(firstZip);
+      const entries = [];
+      decryptedZip.forEach((relativePath) => {
+        entries.push(relativePath);
+      });
+      expect(entries).toEqual(['a.txt', 'b/', 'b/a', 'b/z', 'c.txt']);
+    });
+
+    test('iexec dataset decrypt <encryptedFilePath>', async () => {
+      await execAsync('mv deployed.json deployed.back').catch(() => {});
+      const raw = await execAsync(
+        `${iexecPath} dataset decrypt datasets/encrypted/dataset.txt.enc --output out/dataset.txt --force --raw`,
+      );
+      await execAsync('mv deployed.back deployed.json').catch(() => {});
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.decryptedFilePath).toBe('out/dataset.txt');
+      expect(res.checksum).toMatch(bytes32Regex);
+      expect(res.datasetChecksum).toBeUndefined();
+      expect(await fs.readFile(filePath('out/dataset.txt'))).toEqual(
+        await fs.readFile(filePath('inputs/originalDataset/dataset.txt')),
+      );
+    });
+
+    test('iexec dataset decrypt <encryptedFilePath> <datasetAddress> (checksum mismatch)', async () => {
+      await execAsync(`${iexecPath} dataset init --raw`);
+      await setDatasetUniqueName();
+      const { address } = JSON.parse(
+        await execAsync(`${iexecPath} dataset deploy --raw`),
+      );
+      const raw = await execAsync(
+        `${iexecPath} dataset decrypt datasets/encrypted/dataset.txt.enc ${address} --output out/dataset-mismatch.txt --force --raw`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(
+        res.error.message.indexOf(`does not match dataset ${address} checksum`),
+      ).not.toBe(-1);
+      expect(await checkExists(filePath('out/dataset-mismatch.txt'))).toBe(
+        false,
+      );
+    });
+
+    test('iexec dataset decrypt <encryptedFilePath> --key-file <path> (wrong key)', async () => {
+      const raw = await execAsync(
+        `${iexecPath} dataset decrypt datasets/encrypted/dataset.txt.enc --key-file .secrets/datasets/dataset.zip.key --output out/dataset.txt --force --raw`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        'Failed to decrypt dataset with the specified key',
+      );
+    });
+
+    test('iexec dataset encrypt --algorithm aes-256-gcm', async () => {
+      const raw = await execAsync(
+        `${iexecPath} dataset encrypt --original-dataset-dir inputs/originalDataset --algorithm aes-256-gcm --force --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.encryptedFiles.length).toBe(2);
+      expect(res.encryptedFiles[0].algorithm).toBe('aes-256-gcm');
+      expect(res.encryptedFiles[0].checksum).toMatch(bytes32Regex);
+      const encryptedFile = await fs.readFile(res.encryptedFiles[0].encrypted);
+      expect(encryptedFile.slice(0, 9).toString('hex')).toBe(
+        '6945786563456e6301',
+      );
+
+      await execAsync('mv deployed.json deployed.back').catch(() => {});
+      const rawDecrypt = await execAsync(
+        `${iexecPath} dataset decrypt ${res.encryptedFiles[0].encrypted} --key-file ${res.encryptedFiles[0].key} --output out/decrypted-gcm --force --raw`,
+      );
+      await execAsync('mv deployed.back deployed.json').catch(() => {});
+      const resDecrypt = JSON.parse(rawDecrypt);
+      expect(resDecrypt.ok).toBe(true);
+      expect(resDecrypt.checksum).toBe(res.encryptedFiles[0].checksum);
+      expect(await fs.readFile(filePath('out/decrypted-gcm'))).toEqual(
+        await fs.readFile(res.encryptedFiles[0].original),
+      );
+    });
+
+    test('iexec dataset upload <encryptedFilePath>', async () => {
+      await setTokenChain({ ipfsNode: ipfsNodeURL });
+      await execAsync(`${iexecPath} dataset init --raw`);
+      const raw = await execAsync(
+        `${iexecPath} dataset upload datasets/encrypted/dataset.txt.enc --raw`,
+      );
+      await setTokenChain();
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.multiaddr).toMatch(/^\/ipfs\/Qm[1-9A-HJ-NP-Za-km-z]{44}$/);
+      expect(res.checksum).toMatch(bytes32Regex);
+      const iexecJson = await loadJSONFile('iexec.json');
+      expect(iexecJson.dataset.multiaddr).toBe(res.multiaddr);
+      expect(iexecJson.dataset.checksum).toBe(res.checksum);
+      expect(iexecJson.dataset.owner).toBe(ADDRESS);
+    });
+
+    test('iexec dataset verify', async () => {
+      await setTokenChain({ ipfsGateway: ipfsGatewayURL });
+      await setDatasetUniqueName();
+      const { address } = JSON.parse(
+        await execAsync(`${iexecPath} dataset deploy --raw`),
+      );
+      const raw = await execAsync(`${iexecPath} dataset verify --raw`);
+      await setTokenChain();
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.address).toBe(address);
+      expect(res.checksum).toBe(res.datasetChecksum);
+      expect(res.verified).toBe(true);
+    });
+
+    test('iexec dataset upload <encryptedFilePath> (missing ipfsNode)', async () => {
+      const raw = await execAsync(
+        `${iexecPath} dataset upload datasets/encrypted/dataset.txt.enc --raw`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        `Missing ipfsNode in "chain.json" for chain ${networkId}`,
+      );
+    });
+
     test('iexec dataset push-secret', async () => {
       await setRichWallet();
       await setTokenChainParity();
@@ -3618,6 +4350,107 @@ describe('[Common]', () => {
           '0x7bd4783FDCAD405A28052a0d1f11236A741da593_key.pub',
         );
       });
+
+      test('iexec result generate-encryption-keypair (keyring)', async () => {
+        const { privateKey, publicKey, address } = getRandomWallet();
+        await saveJSONToFile({ privateKey, publicKey, address }, 'wallet.json');
+        const res = JSON.parse(
+          await execAsync(
+            `${iexecPath} result generate-encryption-keypair --raw`,
+          ),
+        );
+        expect(res.ok).toBe(true);
+        expect(res.keyId).toMatch(/^[0-9a-f]{16}$/);
+        const res2 = JSON.parse(
+          await execAsync(
+            `${iexecPath} result generate-encryption-keypair --force --raw`,
+          ),
+        );
+        expect(res2.ok).toBe(true);
+        expect(res2.keyId).not.toBe(res.keyId);
+        const keyring = await loadJSONFile(
+          `.secrets/beneficiary/${address}_keyring.json`,
+        );
+        expect(keyring.activeKeyId).toBe(res2.keyId);
+        expect(keyring.keys.map(({ id }) => id)).toEqual([
+          res.keyId,
+          res2.keyId,
+        ]);
+        expect(keyring.keys[0].privateKeyFile).toBe(
+          `${address}_${res.keyId}_key`,
+        );
+        expect(keyring.keys[0].publicKeyFile).toBe(
+          `${address}_${res.keyId}_key.pub`,
+        );
+        expect(typeof keyring.keys[0].createdAt).toBe('string');
+        const activeKey = await fs.readFile(
+          `.secrets/beneficiary/${address}_key`,
+          'utf8',
+        );
+        const keyringKey = await fs.readFile(
+          `.secrets/beneficiary/${address}_${res2.keyId}_key`,
+          'utf8',
+        );
+        expect(activeKey).toBe(keyringKey);
+      });
+
+      test('iexec result rotate-encryption-key', async () => {
+        await setTokenChainParity();
+        const { privateKey, publicKey, address } = getRandomWallet();
+        await saveJSONToFile({ privateKey, publicKey, address }, 'wallet.json');
+        const resGenerate = JSON.parse(
+          await execAsync(
+            `${iexecPath} result generate-encryption-keypair --raw`,
+          ),
+        );
+        await execAsync(`${iexecPath} result push-encryption-key --raw`);
+        const raw = await execAsync(
+          `${iexecPath} result rotate-encryption-key --raw`,
+        );
+        const res = JSON.parse(raw);
+        expect(res.ok).toBe(true);
+        expect(res.isPushed).toBe(true);
+        expect(res.isUpdated).toBe(true);
+        expect(res.previousKeyId).toBe(resGenerate.keyId);
+        expect(res.keyId).not.toBe(resGenerate.keyId);
+        expect(res.privateKeyFile).toBe(`${address}_key`);
+        const keyring = await loadJSONFile(
+          `.secrets/beneficiary/${address}_keyring.json`,
+        );
+        expect(keyring.activeKeyId).toBe(res.keyId);
+        expect(keyring.keys.length).toBe(2);
+        await setTokenChain();
+      });
+
+      test('iexec result rotate-encryption-key (push failure)', async () => {
+        await setTokenChainParity();
+        const { privateKey, publicKey, address } = getRandomWallet();
+        await saveJSONToFile({ privateKey, publicKey, address }, 'wallet.json');
+        const resGenerate = JSON.parse(
+          await execAsync(
+            `${iexecPath} result generate-encryption-keypair --raw`,
+          ),
+        );
+        const activeKey = await fs.readFile(
+          `.secrets/beneficiary/${address}_key`,
+          'utf8',
+        );
+        await setTokenChainParity({ sms: 'http://localhost:1' });
+        const raw = await execAsync(
+          `${iexecPath} result rotate-encryption-key --raw`,
+        ).catch((e) => e.message);
+        const res = JSON.parse(raw);
+        expect(res.ok).toBe(false);
+        const keyring = await loadJSONFile(
+          `.secrets/beneficiary/${address}_keyring.json`,
+        );
+        expect(keyring.activeKeyId).toBe(resGenerate.keyId);
+        expect(keyring.keys.length).toBe(2);
+        expect(
+          await fs.readFile(`.secrets/beneficiary/${address}_key`, 'utf8'),
+        ).toBe(activeKey);
+        await setTokenChain();
+      });
     }
 
     test('iexec result push-encryption-key', async () => {
@@ -3757,6 +4590,42 @@ describe('[Common]', () => {
       expect(res.error.name).toBe('Error');
     });
 
+    test('iexec result decrypt --force (invalid zip)', async () => {
+      await setRichWallet();
+      await execAsync('mkdir -p .secrets/beneficiary/').catch(() => {});
+      await execAsync(
+        `cp ./inputs/beneficiaryKeys/${ADDRESS}_key ./.secrets/beneficiary/${ADDRESS}_key`,
+      );
+      const raw = await execAsync(
+        `${iexecPath} result decrypt inputs/files/text.txt --force --raw`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        'Failed to load encrypted results zip file',
+      );
+    });
+
+    test('iexec result decrypt --force (previous key in keyring)', async () => {
+      await setRichWallet();
+      await execAsync('mkdir -p .secrets/beneficiary/').catch(() => {});
+      await execAsync(`rm -f .secrets/beneficiary/${ADDRESS}_keyring.json`);
+      await execAsync(
+        `cp ./inputs/beneficiaryKeys/${ADDRESS}_key ./.secrets/beneficiary/${ADDRESS}_key`,
+      );
+      // the previous key is imported in the keyring and replaced by a new active key
+      await execAsync(
+        `${iexecPath} result generate-encryption-keypair --force --raw`,
+      );
+      const raw = await execAsync(
+        `${iexecPath} result decrypt inputs/encryptedResults/encryptedResults.zip --force --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.resultsPath).toBeDefined();
+      expect(res.resultsPath.indexOf('results.zip')).not.toBe(-1);
+    });
+
     test('iexec result decrypt --beneficiary-keystoredir <path>', async () => {
       await setRichWallet();
       const raw = await execAsync(
@@ -3916,6 +4785,100 @@ describe('[Common]', () => {
     });
   });
 
+  describe('[requester]', () => {
+    beforeAll(async () => {
+      await setTokenChainParity();
+    });
+
+    test('iexec requester push-secret', async () => {
+      const { privateKey, publicKey, address } = getRandomWallet();
+      await saveJSONToFile({ privateKey, publicKey, address }, 'wallet.json');
+      const raw = await execAsync(
+        `${iexecPath} requester push-secret my-api-key --secret-value oops --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.isPushed).toBe(true);
+      expect(res.isUpdated).toBe(false);
+      const rawAlreadyExists = await execAsync(
+        `${iexecPath} requester push-secret my-api-key --secret-value oops --raw`,
+      ).catch((e) => e.message);
+      const resAlreadyExists = JSON.parse(rawAlreadyExists);
+      expect(resAlreadyExists.ok).toBe(false);
+      expect(resAlreadyExists.error.message).toBe(
+        `Secret "my-api-key" already exists for ${address}`,
+      );
+      const rawUpdate = await execAsync(
+        `${iexecPath} requester push-secret my-api-key --secret-value oops --force-update --raw`,
+      );
+      const resUpdate = JSON.parse(rawUpdate);
+      expect(resUpdate.ok).toBe(true);
+      expect(resUpdate.isPushed).toBe(true);
+      expect(resUpdate.isUpdated).toBe(true);
+    });
+
+    test('iexec requester push-secret (reserved name)', async () => {
+      const { privateKey, publicKey, address } = getRandomWallet();
+      await saveJSONToFile({ privateKey, publicKey, address }, 'wallet.json');
+      const raw = await execAsync(
+        `${iexecPath} requester push-secret iexec-result-dropbox-token --secret-value oops --raw`,
+      ).catch((e) => e.message);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(false);
+      expect(res.error.message).toBe(
+        '"iexec-result-dropbox-token" is a reserved secret name',
+      );
+    });
+
+    test('iexec requester check-secret', async () => {
+      const { privateKey, publicKey, address } = getRandomWallet();
+      await saveJSONToFile({ privateKey, publicKey, address }, 'wallet.json');
+      const raw = await execAsync(
+        `${iexecPath} requester check-secret my-api-key --raw`,
+      );
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.isSecretSet).toBe(false);
+      await execAsync(
+        `${iexecPath} requester push-secret my-api-key --secret-value oops --raw`,
+      );
+      const rawAlreadyExists = await execAsync(
+        `${iexecPath} requester check-secret my-api-key --raw`,
+      );
+      const resAlreadyExists = JSON.parse(rawAlreadyExists);
+      expect(resAlreadyExists.ok).toBe(true);
+      expect(resAlreadyExists.isSecretSet).toBe(true);
+      const rawOtherUser = await execAsync(
+        `${iexecPath} requester check-secret my-api-key ${getRandomAddress()} --raw`,
+      );
+      const resOtherUser = JSON.parse(rawOtherUser);
+      expect(resOtherUser.ok).toBe(true);
+      expect(resOtherUser.isSecretSet).toBe(false);
+    });
+
+    test('iexec requester list', async () => {
+      const { privateKey, publicKey, address } = getRandomWallet();
+      await saveJSONToFile({ privateKey, publicKey, address }, 'wallet.json');
+      const raw = await execAsync(`${iexecPath} requester list --raw`);
+      const res = JSON.parse(raw);
+      expect(res.ok).toBe(true);
+      expect(res.secrets).toEqual([]);
+      await execAsync(
+        `${iexecPath} requester push-secret foo --secret-value oops --raw`,
+      );
+      await execAsync(
+        `${iexecPath} requester push-secret bar --secret-value oops --raw`,
+      );
+      const rawList = await execAsync(`${iexecPath} requester list --raw`);
+      const resList = JSON.parse(rawList);
+      expect(resList.ok).toBe(true);
+      expect(resList.secrets).toEqual([
+        { name: 'bar', isSecretSet: true },
+        { name: 'foo', isSecretSet: true },
+      ]);
+    });
+  });
+
   describe('[registry]', () => {
     beforeAll(async () => {
       await execAsync(`${iexecPath} init --skip-wallet --force`);
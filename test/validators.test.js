@@ -25,6 +25,7 @@ const {
   // hexnumberSchema,
   positiveIntSchema,
   positiveStrictIntSchema,
+  dateSchema,
   mrenclaveSchema,
   // appSchema,
   // datasetSchema,
@@ -32,7 +33,11 @@ const {
   // workerpoolSchema,
   objParamsSchema,
   base64Encoded256bitsKeySchema,
+  datasetEncryptionAlgorithmSchema,
   fileBufferSchema,
+  requesterSecretNameSchema,
+  paramsRequesterSecretsSchema,
+  unsignedTransactionSchema,
   ValidationError,
 } = require('../src/common/utils/validator');
 
@@ -184,6 +189,29 @@ describe('[positiveStrictIntSchema]', () => {
   });
 });
 
+describe('[dateSchema]', () => {
+  test('ISO date string', async () => {
+    await expect(dateSchema().validate('2021-07-19')).resolves.toStrictEqual(
+      new Date('2021-07-19'),
+    );
+  });
+  test('ISO datetime string', async () => {
+    await expect(
+      dateSchema().validate('2021-07-19T10:30:00.000Z'),
+    ).resolves.toStrictEqual(new Date('2021-07-19T10:30:00.000Z'));
+  });
+  test('Date', async () => {
+    await expect(
+      dateSchema().validate(new Date(1626690600000)),
+    ).resolves.toStrictEqual(new Date(1626690600000));
+  });
+  test('throw with invalid date', async () => {
+    await expect(dateSchema().validate('foo')).rejects.toThrow(
+      new ValidationError('this must be a valid date (foo)'),
+    );
+  });
+});
+
 describe('[uint256Schema]', () => {
   test('int', async () => {
     await expect(uint256Schema().validate(48)).resolves.toBe('48');
@@ -726,6 +754,125 @@ describe('[objParamsSchema]', () => {
       iexec_result_storage_proxy: 'https://result-proxy.iex.ec',
     });
   });
+
+  test('with requester secrets (tee)', async () => {
+    await expect(
+      objParamsSchema().validate(
+        {
+          iexec_secrets: { 1: 'foo', 2: 'bar-baz' },
+        },
+        {
+          context: {
+            isTee: true,
+            resultProxyURL: 'https://result-proxy.iex.ec',
+          },
+        },
+      ),
+    ).resolves.toEqual({
+      iexec_secrets: { 1: 'foo', 2: 'bar-baz' },
+      iexec_result_storage_provider: 'ipfs',
+      iexec_result_storage_proxy: 'https://result-proxy.iex.ec',
+    });
+  });
+
+  test('requester secrets not supported for non-tee', async () => {
+    await expect(
+      objParamsSchema().validate(
+        {
+          iexec_secrets: { 1: 'foo' },
+        },
+        { context: { resultProxyURL: 'https://result-proxy.iex.ec' } },
+      ),
+    ).rejects.toThrow(
+      new ValidationError('iexec_secrets is not supported for non TEE tasks'),
+    );
+  });
+
+  test('requester secrets with reserved name', async () => {
+    await expect(
+      objParamsSchema().validate(
+        {
+          iexec_secrets: { 1: 'iexec-result-dropbox-token' },
+        },
+        {
+          context: {
+            isTee: true,
+            resultProxyURL: 'https://result-proxy.iex.ec',
+          },
+        },
+      ),
+    ).rejects.toThrow(
+      new ValidationError(
+        'iexec_secrets values must be valid requester secret names',
+      ),
+    );
+  });
+});
+
+describe('[requesterSecretNameSchema]', () => {
+  test('valid name', async () => {
+    await expect(
+      requesterSecretNameSchema().validate('my_API-key1'),
+    ).resolves.toBe('my_API-key1');
+  });
+  test('throw with invalid characters', async () => {
+    await expect(
+      requesterSecretNameSchema().validate('my key'),
+    ).rejects.toThrow(
+      new ValidationError(
+        '"my key" is not a valid secret name, use only alphanumeric characters, "_" and "-"',
+      ),
+    );
+  });
+  test('throw with reserved name', async () => {
+    await expect(
+      requesterSecretNameSchema().validate(
+        'iexec-result-encryption-public-key',
+      ),
+    ).rejects.toThrow(
+      new ValidationError(
+        '"iexec-result-encryption-public-key" is a reserved secret name',
+      ),
+    );
+  });
+});
+
+describe('[paramsRequesterSecretsSchema]', () => {
+  test('valid secrets map', async () => {
+    await expect(
+      paramsRequesterSecretsSchema().validate({ 1: 'foo', 12: 'bar' }),
+    ).resolves.toEqual({ 1: 'foo', 12: 'bar' });
+  });
+  test('throw with index 0', async () => {
+    await expect(
+      paramsRequesterSecretsSchema().validate({ 0: 'foo' }),
+    ).rejects.toThrow(
+      new ValidationError('this keys must be strictly positive integers'),
+    );
+  });
+  test('throw with non integer index', async () => {
+    await expect(
+      paramsRequesterSecretsSchema().validate({ foo: 'foo' }),
+    ).rejects.toThrow(
+      new ValidationError('this keys must be strictly positive integers'),
+    );
+  });
+  test('throw with invalid name', async () => {
+    await expect(
+      paramsRequesterSecretsSchema().validate({ 1: 'foo bar' }),
+    ).rejects.toThrow(
+      new ValidationError('this values must be valid requester secret names'),
+    );
+  });
+  test('throw with non object', async () => {
+    await expect(
+      paramsRequesterSecretsSchema().validate('foo'),
+    ).rejects.toThrow(
+      new ValidationError(
+        'this must be an object mapping secret indexes to requester secret names',
+      ),
+    );
+  });
 });
 
 describe('[tagSchema]', () => {
@@ -869,6 +1016,26 @@ describe('[base64Encoded256bitsKeySchema]', () => {
   });
 });
 
+describe('[datasetEncryptionAlgorithmSchema]', () => {
+  test('aes-256-cbc', async () => {
+    await expect(
+      datasetEncryptionAlgorithmSchema().validate('aes-256-cbc'),
+    ).resolves.toBe('aes-256-cbc');
+  });
+  test('aes-256-gcm', async () => {
+    await expect(
+      datasetEncryptionAlgorithmSchema().validate('aes-256-gcm'),
+    ).resolves.toBe('aes-256-gcm');
+  });
+  test('unknown algorithm', async () => {
+    await expect(
+      datasetEncryptionAlgorithmSchema().validate('aes-128-cbc'),
+    ).rejects.toThrow(
+      '"aes-128-cbc" is not a valid encryption algorithm use one of aes-256-cbc, aes-256-gcm',
+    );
+  });
+});
+
 describe('[fileBufferSchema]', () => {
   test('file', async () => {
     const fileBuffer = await fs.readFile(
@@ -1049,3 +1216,57 @@ describe('[mrenclaveSchema]', () => {
     );
   });
 });
+
+describe('[unsignedTransactionSchema]', () => {
+  const unsignedTx = {
+    from: '0x7bd4783FDCAD405A28052a0d1f11236A741da593',
+    chainId: 134,
+    to: '0x3eca1B216A7DF1C7689aEb259fFB83ADFB894E7f',
+    data: '0xD0E30DB0',
+    value: '0',
+    gasLimit: '21000',
+    gasPrice: '1000000000',
+    nonce: 0,
+  };
+  test('valid unsigned transaction', async () => {
+    await expect(
+      unsignedTransactionSchema().validate(unsignedTx),
+    ).resolves.toEqual({ ...unsignedTx, data: '0xd0e30db0' });
+  });
+  test('checksum addresses', async () => {
+    await expect(
+      unsignedTransactionSchema().validate({
+        ...unsignedTx,
+        from: unsignedTx.from.toLowerCase(),
+        to: unsignedTx.to.toLowerCase(),
+      }),
+    ).resolves.toEqual({ ...unsignedTx, data: '0xd0e30db0' });
+  });
+  test('default data and value', async () => {
+    const { data, value, ...rest } = unsignedTx;
+    await expect(unsignedTransactionSchema().validate(rest)).resolves.toEqual({
+      ...rest,
+      data: '0x',
+      value: '0',
+    });
+  });
+  test('throw with invalid from', async () => {
+    await expect(
+      unsignedTransactionSchema().validate({ ...unsignedTx, from: '0xfoo' }),
+    ).rejects.toThrow(
+      new ValidationError('0xfoo is not a valid ethereum address'),
+    );
+  });
+  test('throw when nonce is missing', async () => {
+    const { nonce, ...rest } = unsignedTx;
+    await expect(unsignedTransactionSchema().validate(rest)).rejects.toThrow(
+      new ValidationError('nonce is a required field'),
+    );
+  });
+  test('throw when gasLimit is missing', async () => {
+    const { gasLimit, ...rest } = unsignedTx;
+    await expect(unsignedTransactionSchema().validate(rest)).rejects.toThrow(
+      new ValidationError('gasLimit is a required field'),
+    );
+  });
+});